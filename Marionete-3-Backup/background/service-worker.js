@@ -1,304 +1,1680 @@
-/**
- * Background Service Worker - WITH STATE PERSISTENCE & AUTO-RECOVERY
- * Fixes: Recording lost on navigation, state synchronization
- */
-
-// Global recording state tracking
-const recordingState = {
-  isRecording: false,
-  tabId: null,
-  actions: [],
-  startUrl: null,
-  startTime: null,
-  lastSyncTime: null
-};
-
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('[Marionete BG] Received:', request.type);
-
-  if (request.type === 'EXECUTE_FLOW') {
-    handleExecuteFlow(request.data, sendResponse);
-    return true;
-  }
-
-  if (request.type === 'INJECT_CONTENT_SCRIPT') {
-    handleInjectContentScript(request.tabId, sendResponse);
-    return true;
-  }
-
-  if (request.type === 'RECORDING_STARTED') {
-    handleRecordingStarted(sender.tab.id, request.data, sendResponse);
-    return true;
-  }
-
-  if (request.type === 'RECORDING_STOPPED') {
-    handleRecordingStopped(sendResponse);
-    return true;
-  }
-
-  if (request.type === 'SYNC_ACTIONS') {
-    handleSyncActions(request.data, sendResponse);
-    return true;
-  }
-
-  if (request.type === 'GET_RECORDING_STATE') {
-    sendResponse({ success: true, state: recordingState });
-    return true;
-  }
-
-  return false;
-});
-
-// Monitor tab updates to re-inject content script during recording
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (!recordingState.isRecording || recordingState.tabId !== tabId) return;
-  
-  if (changeInfo.status === 'loading' && tab.url) {
-    console.log('[Marionete BG] Page navigating during recording:', tab.url);
-  }
-  
-  if (changeInfo.status === 'complete') {
-    console.log('[Marionete BG] Page loaded, re-injecting content script...');
-    
-    try {
-      await wait(500); // Wait for page to settle
-      await injectContentScript(tabId);
-      await wait(200);
-      
-      // Restore recording state
-      const response = await chrome.tabs.sendMessage(tabId, {
-        type: 'RESTORE_RECORDING',
-        data: {
-          actions: recordingState.actions,
-          startUrl: recordingState.startUrl,
-          startTime: recordingState.startTime
-        }
-      });
-      
-      if (response?.success) {
-        console.log('[Marionete BG] Recording state restored successfully');
-      }
-    } catch (error) {
-      console.error('[Marionete BG] Failed to restore recording:', error);
-    }
-  }
-});
-
-// Track when recording tab is closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (recordingState.isRecording && recordingState.tabId === tabId) {
-    console.warn('[Marionete BG] Recording tab closed, clearing state');
-    resetRecordingState();
-  }
-});
-
-async function handleRecordingStarted(tabId, data, sendResponse) {
-  recordingState.isRecording = true;
-  recordingState.tabId = tabId;
-  recordingState.startUrl = data.startUrl;
-  recordingState.startTime = data.startTime;
-  recordingState.actions = [];
-  recordingState.lastSyncTime = Date.now();
-  
-  console.log('[Marionete BG] Recording started, state saved', {
-    tabId,
-    startUrl: data.startUrl
-  });
-  
-  sendResponse({ success: true });
-}
-
-async function handleRecordingStopped(sendResponse) {
-  const data = {
-    actions: recordingState.actions,
-    startUrl: recordingState.startUrl,
-    startTime: recordingState.startTime
-  };
-  
-  resetRecordingState();
-  
-  console.log('[Marionete BG] Recording stopped, returning', data.actions.length, 'actions');
-  sendResponse({ success: true, data });
-}
-
-async function handleSyncActions(data, sendResponse) {
-  if (!recordingState.isRecording) {
-    sendResponse({ success: false, error: 'Not recording' });
-    return;
-  }
-  
-  // Merge new actions (avoid duplicates by timestamp)
-  const existingTimestamps = new Set(
-    recordingState.actions.map(a => a.timing?.timestamp).filter(Boolean)
-  );
-  
-  const newActions = data.actions.filter(action => {
-    return !action.timing?.timestamp || !existingTimestamps.has(action.timing.timestamp);
-  });
-  
-  recordingState.actions.push(...newActions);
-  recordingState.lastSyncTime = Date.now();
-  
-  console.log('[Marionete BG] Synced', newActions.length, 'new actions. Total:', recordingState.actions.length);
-  
-  sendResponse({ 
-    success: true, 
-    totalActions: recordingState.actions.length 
-  });
-}
-
-function resetRecordingState() {
-  recordingState.isRecording = false;
-  recordingState.tabId = null;
-  recordingState.actions = [];
-  recordingState.startUrl = null;
-  recordingState.startTime = null;
-  recordingState.lastSyncTime = null;
-}
-
-async function handleExecuteFlow(data, sendResponse) {
-  try {
-    const { actions, startUrl, speed = 1 } = data;
-
-    const tab = await chrome.tabs.create({ 
-      url: startUrl || 'about:blank',
-      active: true
-    });
-
-    await waitForTabLoad(tab.id);
-    
-    // Wait extra time for page to fully settle
-    await wait(1000);
-    
-    await injectContentScript(tab.id);
-    await wait(800);
-
-    // Use a more reliable message sending method
-    let retries = 3;
-    let response = null;
-    
-    while (retries > 0 && !response) {
-      try {
-        response = await chrome.tabs.sendMessage(tab.id, {
-          type: 'START_PLAYBACK',
-          data: { actions, speed }
-        });
-        break;
-      } catch (error) {
-        retries--;
-        if (retries > 0) {
-          console.log(`[Marionete BG] Retry sending playback message, ${retries} left`);
-          await wait(500);
-        } else {
-          throw error;
-        }
-      }
-    }
-
-    sendResponse(response);
-  } catch (error) {
-    console.error('[Marionete BG] Execute error:', error);
-    sendResponse({ success: false, error: error.message });
-  }
-}
-
-async function handleInjectContentScript(tabId, sendResponse) {
-  try {
-    await injectContentScript(tabId);
-    sendResponse({ success: true });
-  } catch (error) {
-    console.error('[Marionete BG] Inject error:', error);
-    sendResponse({ success: false, error: error.message });
-  }
-}
-
-async function injectContentScript(tabId) {
-  try {
-    // Get tab info
-    const tab = await chrome.tabs.get(tabId);
-    
-    // Validate URL - DON'T inject on protected pages
-    if (!canInjectIntoUrl(tab.url)) {
-      console.log('[Marionete BG] Cannot inject into:', tab.url);
-      throw new Error('Cannot inject into this page (protected URL)');
-    }
-
-    // Check if already injected
-    try {
-      const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' });
-      if (response?.status === 'ready') {
-        console.log('[Marionete BG] Already injected');
-        return;
-      }
-    } catch (e) {
-      // Not injected, continue
-    }
-
-    // Inject in correct order
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: [
-        'lib/timing.js',
-        'lib/selector-engine.js',
-        'content/halo.js',
-        'content/recorder.js',
-        'content/player.js',
-        'content/injector.js'
-      ]
-    });
-
-    console.log('[Marionete BG] Injected successfully');
-  } catch (error) {
-    console.error('[Marionete BG] Injection failed:', error);
-    throw error;
-  }
-}
-
-/**
- * Check if we can inject into this URL
- */
-function canInjectIntoUrl(url) {
-  if (!url) return false;
-  
-  // Block chrome:// pages
-  if (url.startsWith('chrome://')) return false;
-  if (url.startsWith('chrome-extension://')) return false;
-  
-  // Block Edge pages
-  if (url.startsWith('edge://')) return false;
-  
-  // Block internal pages
-  if (url.startsWith('about:')) return false;
-  
-  // Block Chrome Web Store
-  if (url.includes('chrome.google.com/webstore')) return false;
-  
-  // Allow http and https
-  if (url.startsWith('http://') || url.startsWith('https://')) return true;
-  
-  return false;
-}
-
-function waitForTabLoad(tabId) {
-  return new Promise((resolve) => {
-    const listener = (updatedTabId, changeInfo) => {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        chrome.tabs.onUpdated.removeListener(listener);
-        resolve();
-      }
-    };
-
-    chrome.tabs.onUpdated.addListener(listener);
-
-    setTimeout(() => {
-      chrome.tabs.onUpdated.removeListener(listener);
-      resolve();
-    }, 30000);
-  });
-}
-
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
+/**
+ * Background Service Worker - WITH STATE PERSISTENCE & AUTO-RECOVERY
+ * Fixes: Recording lost on navigation, state synchronization
+ *
+ * Recording and playback state is mirrored into chrome.storage.session, since
+ * MV3 suspends idle workers and module-level state dies with them.
+ */
+
+importScripts('../lib/storage.js', '../lib/extension-db.js', '../lib/fixture-store.js', '../lib/screenshot-store.js');
+
+const SESSION_STATE_KEY = 'marioneteSession';
+
+// How long a shortcut's result stays on the toolbar icon
+const COMMAND_BADGE_DURATION = 3000;
+
+// captureVisibleTab is limited to two calls per second
+const CAPTURE_INTERVAL = 550;
+// Context kept around the step's element, in CSS pixels
+const SCREENSHOT_PADDING = 120;
+const SCREENSHOT_MAX_WIDTH = 640;
+
+// Content scripts, in load order. Injected into every frame of the tab.
+const CONTENT_SCRIPT_FILES = [
+  'lib/timing.js',
+  'lib/key-chord.js',
+  'lib/selector-engine.js',
+  'lib/frame-locator.js',
+  'lib/sensitive-fields.js',
+  'lib/recording-rules.js',
+  'lib/navigation-tracker.js',
+  'lib/dialog-bridge.js',
+  'content/halo.js',
+  'content/recorder.js',
+  'content/player.js',
+  'content/injector.js'
+];
+
+// Global recording state tracking
+const recordingState = {
+  isRecording: false,
+  isPaused: false,
+  tabId: null,
+  actions: [],
+  startUrl: null,
+  startTime: null,
+  lastSyncTime: null,
+  // Tabs taking part in the recording. index is the tab's number in the flow
+  // (0 = the tab recording started in): [{ tabId, index, openerIndex, url, recorded, resumePending }]
+  tabs: [],
+  // Existing flow the recording goes into: { flowId, index, replaceCount }
+  target: null,
+  filteredCount: 0 // Events dropped by RecordingRules so far
+};
+
+// Playback run cursor - owned here so a run can continue across full page loads
+const playbackState = {
+  isPlaying: false,
+  tabId: null,
+  actions: [],
+  speed: 1,
+  failOnUnexpectedDialog: false,
+  cursor: -1, // Index of the last step the player started
+  assertions: [], // Assertion results from every document the run passed through
+  startPaused: false,
+  awaitingNavigation: false,
+  navigationTimeout: null,
+  segmentActive: false, // A START_PLAYBACK message is in flight from this worker
+  tabs: {}, // Flow tab index -> tabId in this run
+  openedTabs: [], // Tabs opened by the run, not yet claimed by a switchTab step
+  recordInto: null, // { flowId, index, replaceCount } - start recording once the run reaches index
+  sendResponse: null
+};
+
+// Tab switches during recording are applied one at a time, in event order
+let tabHandoff = Promise.resolve();
+
+// Step screenshots are taken one at a time, spaced out by CAPTURE_INTERVAL
+let captureQueue = Promise.resolve();
+let lastCaptureTime = 0;
+
+// The tab handleExecuteFlow is opening, as a promise, until its run starts
+let launchingPlaybackTab = null;
+
+// Resolves once state from a previous worker instance has been restored.
+// Every handler that reads or writes state waits for it first.
+const stateReady = rehydrateState();
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  console.log('[Marionete BG] Received:', request.type);
+
+  if (request.type === 'EXECUTE_FLOW') {
+    handleExecuteFlow(request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'INJECT_CONTENT_SCRIPT') {
+    handleInjectContentScript(request.tabId, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'RECORDING_STARTED') {
+    handleRecordingStarted(sender.tab.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'RECORDING_STOPPED') {
+    handleRecordingStopped(request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'RECORDING_PAUSED' || request.type === 'RECORDING_RESUMED') {
+    handleRecordingPaused(request.type === 'RECORDING_PAUSED', sendResponse);
+    return true;
+  }
+
+  if (request.type === 'SYNC_ACTIONS') {
+    handleSyncActions(sender.tab?.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'PLAYBACK_PROGRESS') {
+    handlePlaybackProgress(sender.tab?.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'PLAYBACK_ASSERTION') {
+    handlePlaybackAssertion(sender.tab?.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'PLAYBACK_FINISHED') {
+    handlePlaybackFinished(sender.tab?.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'FRAME_ACTION') {
+    handleFrameAction(sender.tab?.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'EXECUTE_FRAME_STEP') {
+    handleExecuteFrameStep(sender.tab?.id, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'CAPTURE_STEP') {
+    handleCaptureStep(sender, request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'GET_FIXTURES') {
+    handleGetFixtures(request.data, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'GET_RECORDING_STATE') {
+    stateReady.then(() => {
+      sendResponse({ success: true, state: recordingState });
+    });
+    return true;
+  }
+
+  return false;
+});
+
+// Monitor tab updates to re-inject content script during recording
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await stateReady;
+  if (!recordingState.isRecording || recordingState.tabId !== tabId) return;
+  
+  if (changeInfo.status === 'loading' && tab.url) {
+    console.log('[Marionete BG] Page navigating during recording:', tab.url);
+  }
+  
+  if (changeInfo.status === 'complete') {
+    console.log('[Marionete BG] Page loaded, re-injecting content script...');
+    
+    try {
+      await wait(500); // Wait for page to settle
+      await restoreRecordingInTab(tabId);
+    } catch (error) {
+      console.error('[Marionete BG] Failed to restore recording:', error);
+    }
+  }
+});
+
+// Monitor tab updates to resume playback in the new document after a full page load
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  await stateReady;
+  if (!playbackState.isPlaying || playbackState.tabId !== tabId) return;
+  if (changeInfo.status !== 'complete') return;
+
+  // A worker that restarted mid-run has no message in flight to report the
+  // old document going away, so any completed load means "resume"
+  if (playbackState.awaitingNavigation || !playbackState.segmentActive) {
+    playbackState.awaitingNavigation = true;
+    resumePlaybackAfterNavigation();
+  }
+});
+
+// Frames that finish loading after the page itself (lazy iframes, payment
+// widgets, in-frame navigation) need the content scripts too
+chrome.webNavigation.onCompleted.addListener(async ({ tabId, frameId }) => {
+  if (frameId === 0) return;
+  await stateReady;
+
+  const isRecordingTab = recordingState.isRecording && recordingState.tabId === tabId;
+  const isPlaybackTab = playbackState.isPlaying && playbackState.tabId === tabId;
+  if (!isRecordingTab && !isPlaybackTab) return;
+
+  try {
+    await injectIntoFrame(tabId, frameId);
+
+    if (isRecordingTab) {
+      await wait(200);
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'START_FRAME_RECORDING',
+        data: { isPaused: recordingState.isPaused }
+      }, { frameId });
+    }
+  } catch (error) {
+    console.log('[Marionete BG] Could not prepare frame', frameId, error.message);
+  }
+});
+
+// Dialogs a page opens while loading would block the session before the
+// content scripts get there, so the hook goes in as each document commits
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId }) => {
+  const files = await getDialogHookFiles(tabId);
+  if (!files) return;
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      files,
+      world: 'MAIN',
+      injectImmediately: true
+    });
+  } catch (error) {
+    console.log('[Marionete BG] Could not hook dialogs in frame', frameId, error.message);
+  }
+});
+
+// Tabs opened from a recording or playback tab (target=_blank, window.open)
+chrome.tabs.onCreated.addListener(async (tab) => {
+  await stateReady;
+  if (tab.openerTabId === undefined) return;
+
+  if (recordingState.isRecording) {
+    registerRecordingTab(tab);
+  }
+
+  if (playbackState.isPlaying && Object.values(playbackState.tabs).includes(tab.openerTabId)) {
+    playbackState.openedTabs.push(tab.id);
+    persistState();
+  }
+});
+
+// Recording follows the user between the tabs of the session
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  await stateReady;
+  if (!recordingState.isRecording || recordingState.tabId === tabId) return;
+
+  // onActivated can arrive before onCreated for a freshly opened tab
+  if (!findRecordingTab(tabId)) {
+    try {
+      registerRecordingTab(await chrome.tabs.get(tabId));
+    } catch (error) {
+      return;
+    }
+  }
+  if (!findRecordingTab(tabId)) return;
+
+  queueTabHandoff(() => switchRecordingTab(tabId));
+});
+
+// Track when recording tab is closed
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
+
+  if (recordingState.isRecording && findRecordingTab(tabId)) {
+    queueTabHandoff(() => handleRecordingTabClosed(tabId));
+  }
+
+  // Pages often close themselves once done (OAuth popups). If that's what
+  // the flow does next, carry on in the opener instead of failing the run.
+  if (playbackState.isPlaying && playbackState.tabId === tabId) {
+    if (isUpcomingTabClose(tabId)) {
+      console.log('[Marionete BG] Playback tab closed itself, continuing in opener');
+      followTabStep(playbackState.cursor + 1);
+      return;
+    }
+
+    console.warn('[Marionete BG] Playback tab closed, ending run');
+    finishPlayback({
+      success: false,
+      error: 'Playback tab was closed',
+      stepsExecuted: playbackState.cursor + 1
+    });
+  }
+});
+
+// Keyboard shortcuts declared under "commands" in the manifest.
+// Users rebind them at chrome://extensions/shortcuts.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await stateReady;
+  console.log('[Marionete BG] Command:', command);
+
+  try {
+    switch (command) {
+      case 'toggle-recording':
+        await toggleRecordingCommand(tab);
+        break;
+
+      case 'stop-recording':
+        await stopRecordingCommand();
+        break;
+
+      case 'replay-last':
+        await replayLastCommand();
+        break;
+
+      case 'abort-playback':
+        await abortPlaybackCommand();
+        break;
+
+      default:
+        console.warn('[Marionete BG] Unknown command:', command);
+    }
+  } catch (error) {
+    console.error('[Marionete BG] Command failed:', command, error);
+    showCommandBadge('!', '#dc3545');
+  }
+});
+
+async function handleRecordingStarted(tabId, data, sendResponse) {
+  await stateReady;
+
+  recordingState.isRecording = true;
+  recordingState.isPaused = false;
+  recordingState.tabId = tabId;
+  recordingState.startUrl = data.startUrl;
+  recordingState.startTime = data.startTime;
+  recordingState.actions = [];
+  recordingState.lastSyncTime = Date.now();
+  recordingState.tabs = [{ tabId, index: 0, openerIndex: null, url: data.startUrl, recorded: true, resumePending: false }];
+  recordingState.target = data.target || null;
+  recordingState.filteredCount = 0;
+  persistState();
+  
+  console.log('[Marionete BG] Recording started, state saved', {
+    tabId,
+    startUrl: data.startUrl
+  });
+  
+  sendResponse({ success: true });
+
+  try {
+    await injectContentScript(tabId);
+    await wait(200);
+    await startFrameRecorders(tabId);
+  } catch (error) {
+    console.error('[Marionete BG] Failed to start frame recorders:', error);
+  }
+}
+
+/**
+ * @param {Object} stopped - { actions } from the recording tab's recorder,
+ *   null if it had nothing (the last sync stands)
+ */
+async function handleRecordingStopped(stopped, sendResponse) {
+  await stateReady;
+
+  if (!recordingState.isRecording) {
+    sendResponse({ success: false, error: 'Not recording' });
+    return;
+  }
+
+  if (stopped?.actions) {
+    adoptRecorderActions(stopped.actions);
+  }
+
+  const data = {
+    actions: recordingState.actions,
+    startUrl: recordingState.startUrl,
+    startTime: recordingState.startTime,
+    target: recordingState.target
+  };
+  const tabId = recordingState.tabId;
+  
+  resetRecordingState();
+  sendToSubframes(tabId, { type: 'STOP_FRAME_RECORDING' });
+  
+  console.log('[Marionete BG] Recording stopped, returning', data.actions.length, 'actions');
+  sendResponse({ success: true, data });
+}
+
+async function handleRecordingPaused(paused, sendResponse) {
+  await stateReady;
+
+  if (!recordingState.isRecording) {
+    sendResponse({ success: false, error: 'Not recording' });
+    return;
+  }
+
+  recordingState.isPaused = paused;
+  persistState();
+  sendToSubframes(recordingState.tabId, {
+    type: 'SET_FRAME_RECORDING_PAUSED',
+    data: { isPaused: paused }
+  });
+
+  console.log('[Marionete BG] Recording', paused ? 'paused' : 'resumed');
+  sendResponse({ success: true });
+}
+
+async function handleSyncActions(tabId, data, sendResponse) {
+  await stateReady;
+
+  if (!recordingState.isRecording) {
+    sendResponse({ success: false, error: 'Not recording' });
+    return;
+  }
+
+  // A tab recording was handed off from may still flush on its way out
+  if (tabId !== recordingState.tabId) {
+    sendResponse({ success: false, error: 'Not the recording tab' });
+    return;
+  }
+  
+  adoptRecorderActions(data.actions);
+  recordingState.filteredCount = data.filteredCount ?? recordingState.filteredCount;
+  recordingState.lastSyncTime = Date.now();
+  persistState();
+  
+  console.log('[Marionete BG] Synced. Total:', recordingState.actions.length);
+  
+  sendResponse({ 
+    success: true, 
+    totalActions: recordingState.actions.length 
+  });
+}
+
+/**
+ * Take the recording tab's list as the recording's actions. It started from
+ * ours on restore and updates steps in place (typing, key repeats, scrolls),
+ * which appending would duplicate. Tab steps recorded here since then are
+ * kept after it.
+ */
+function adoptRecorderActions(actions) {
+  const knownTabSteps = new Set(actions.map(a => a.tabStepId).filter(Boolean));
+  const pendingTabSteps = recordingState.actions.filter(a => a.tabStepId && !knownTabSteps.has(a.tabStepId));
+
+  recordingState.actions = [...actions, ...pendingTabSteps];
+}
+
+function resetRecordingState() {
+  recordingState.isRecording = false;
+  recordingState.isPaused = false;
+  recordingState.tabId = null;
+  recordingState.actions = [];
+  recordingState.startUrl = null;
+  recordingState.startTime = null;
+  recordingState.lastSyncTime = null;
+  recordingState.tabs = [];
+  recordingState.target = null;
+  recordingState.filteredCount = 0;
+  persistState();
+}
+
+/**
+ * Inject into the recording tab and hand its recorder the actions so far
+ */
+async function restoreRecordingInTab(tabId) {
+  await injectContentScript(tabId);
+  await wait(200);
+
+  // A tab we just switched to is compared against its own URL, not the
+  // flow's start URL, when the recorder decides whether it navigated
+  const entry = findRecordingTab(tabId);
+  const tabUrl = entry?.resumePending ? entry.url : undefined;
+  if (entry) entry.resumePending = false;
+
+  const response = await chrome.tabs.sendMessage(tabId, {
+    type: 'RESTORE_RECORDING',
+    data: {
+      actions: recordingState.actions,
+      startUrl: recordingState.startUrl,
+      startTime: recordingState.startTime,
+      isPaused: recordingState.isPaused,
+      target: recordingState.target,
+      filteredCount: recordingState.filteredCount,
+      tabUrl
+    }
+  }, { frameId: 0 });
+  
+  if (response?.success) {
+    console.log('[Marionete BG] Recording state restored successfully');
+  }
+
+  await startFrameRecorders(tabId);
+}
+
+function findRecordingTab(tabId) {
+  return recordingState.tabs.find(entry => entry.tabId === tabId);
+}
+
+/**
+ * Add a tab to the recording session if it was opened from one of its tabs
+ */
+function registerRecordingTab(tab) {
+  const opener = findRecordingTab(tab.openerTabId);
+  if (!opener || findRecordingTab(tab.id)) return;
+
+  recordingState.tabs.push({
+    tabId: tab.id,
+    index: Math.max(...recordingState.tabs.map(entry => entry.index)) + 1,
+    openerIndex: opener.index,
+    url: tab.pendingUrl || tab.url,
+    recorded: false,
+    resumePending: false
+  });
+  persistState();
+
+  console.log('[Marionete BG] Tab opened during recording', tab.id, 'from', tab.openerTabId);
+}
+
+function queueTabHandoff(task) {
+  tabHandoff = tabHandoff.then(task).catch(error => {
+    console.error('[Marionete BG] Tab handoff failed:', error);
+  });
+  return tabHandoff;
+}
+
+/**
+ * Move recording to another tab of the session, recording a switchTab step
+ */
+async function switchRecordingTab(tabId) {
+  if (!recordingState.isRecording || recordingState.tabId === tabId) return;
+
+  const target = findRecordingTab(tabId);
+  if (!target) return;
+
+  await suspendRecordingTab(recordingState.tabId);
+
+  const action = {
+    type: 'switchTab',
+    tabIndex: target.index,
+    url: target.url,
+    tabStepId: crypto.randomUUID(),
+    timing: createTabStepTiming('switchTab')
+  };
+  if (!target.recorded) {
+    action.opened = true;
+    action.openerIndex = target.openerIndex;
+    target.recorded = true;
+  }
+  recordingState.actions.push(action);
+
+  console.log('[Marionete BG] Recording moved to tab', target.index + 1);
+  await resumeRecordingInTab(target);
+}
+
+/**
+ * A tab of the session was closed. Closing the tab being recorded returns
+ * recording to the tab that opened it.
+ */
+async function handleRecordingTabClosed(tabId) {
+  const entry = findRecordingTab(tabId);
+  if (!recordingState.isRecording || !entry) return;
+
+  recordingState.tabs = recordingState.tabs.filter(tab => tab !== entry);
+
+  // The opener may itself be gone by now - fall back to the oldest tab left
+  const opener = recordingState.tabs.find(tab => tab.index === entry.openerIndex) || recordingState.tabs[0];
+  const isCurrent = recordingState.tabId === tabId;
+
+  if (isCurrent && !opener) {
+    console.warn('[Marionete BG] Recording tab closed, clearing state');
+    resetRecordingState();
+    return;
+  }
+
+  recordingState.actions.push({
+    type: 'closeTab',
+    tabIndex: entry.index,
+    returnTo: opener ? opener.index : null,
+    tabStepId: crypto.randomUUID(),
+    timing: createTabStepTiming('closeTab')
+  });
+
+  if (isCurrent) {
+    console.log('[Marionete BG] Recording tab closed, returning to tab', opener.index + 1);
+    await resumeRecordingInTab(opener);
+  } else {
+    persistState();
+  }
+}
+
+/**
+ * Stop capturing in a tab we're leaving and take its latest actions
+ */
+async function suspendRecordingTab(tabId) {
+  const entry = findRecordingTab(tabId);
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'SUSPEND_RECORDING' }, { frameId: 0 });
+    if (response?.success) {
+      adoptRecorderActions(response.data.actions);
+      if (entry) entry.url = response.data.url;
+    }
+  } catch (error) {
+    // Tab closing or navigating - the last sync is the best we have
+  }
+
+  await sendToSubframes(tabId, { type: 'STOP_FRAME_RECORDING' });
+}
+
+async function resumeRecordingInTab(entry) {
+  recordingState.tabId = entry.tabId;
+  entry.resumePending = true;
+  recordingState.lastSyncTime = Date.now();
+  persistState();
+
+  // Still loading: the onUpdated 'complete' handler restores it
+  const tab = await chrome.tabs.get(entry.tabId);
+  if (tab.status === 'complete') {
+    await restoreRecordingInTab(entry.tabId);
+  }
+}
+
+/**
+ * Tab steps are recorded here, away from any document's clock. The player
+ * waits for the tab to load instead of replaying a delay. The tabStepId tells
+ * syncs which of them the recording tab already has.
+ */
+function createTabStepTiming(type) {
+  return { timestamp: null, delay: 0, type };
+}
+
+async function handleExecuteFlow(data, sendResponse) {
+  await stateReady;
+
+  if (playbackState.isPlaying) {
+    sendResponse({ success: false, error: 'Already playing' });
+    return;
+  }
+
+  if (data.recordInto && recordingState.isRecording) {
+    sendResponse({ success: false, error: 'Already recording' });
+    return;
+  }
+
+  try {
+    const { actions, startUrl, speed = 1, failOnUnexpectedDialog = false, recordInto = null } = data;
+
+    // The first page commits as soon as the tab exists; onCommitted waits on
+    // this to know the tab is the run's and hook its dialogs too
+    launchingPlaybackTab = chrome.tabs.create({ 
+      url: startUrl || 'about:blank',
+      active: true
+    });
+    const tab = await launchingPlaybackTab;
+
+    await waitForTabLoad(tab.id);
+    
+    // Wait extra time for page to fully settle
+    await wait(1000);
+
+    playbackState.isPlaying = true;
+    playbackState.tabId = tab.id;
+    playbackState.actions = actions;
+    playbackState.speed = speed;
+    playbackState.failOnUnexpectedDialog = failOnUnexpectedDialog;
+    playbackState.cursor = -1;
+    playbackState.assertions = [];
+    playbackState.startPaused = false;
+    playbackState.awaitingNavigation = false;
+    playbackState.tabs = { 0: tab.id };
+    playbackState.openedTabs = [];
+    playbackState.recordInto = recordInto;
+    playbackState.sendResponse = sendResponse;
+    persistState();
+    launchingPlaybackTab = null;
+
+    await runPlaybackSegment();
+  } catch (error) {
+    console.error('[Marionete BG] Execute error:', error);
+    launchingPlaybackTab = null;
+
+    if (playbackState.isPlaying) {
+      finishPlayback({ success: false, error: error.message, stepsExecuted: playbackState.cursor + 1 });
+    } else {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+}
+
+/**
+ * Run the remaining actions in the tab's current document.
+ * Resolves when the player answers (run finished or failed) or when the
+ * document goes away mid-run, in which case the run continues from
+ * resumePlaybackAfterNavigation once the next page has loaded.
+ */
+async function runPlaybackSegment() {
+  const { tabId, actions, speed, startPaused, failOnUnexpectedDialog } = playbackState;
+  const startIndex = playbackState.cursor + 1;
+
+  if (startIndex >= actions.length) {
+    finishPlayback({ success: true, stepsExecuted: actions.length });
+    return;
+  }
+
+  playbackState.segmentActive = true;
+
+  await injectContentScript(tabId);
+  await wait(800);
+
+  console.log('[Marionete BG] Playing from step', startIndex + 1, 'of', actions.length);
+
+  let response;
+  try {
+    response = await sendPlaybackMessage(tabId, {
+      type: 'START_PLAYBACK',
+      data: { actions, speed, startIndex, startPaused, failOnUnexpectedDialog }
+    }, { frameId: 0 });
+  } catch (error) {
+    // The tab closed itself and the run already moved to its opener
+    if (playbackState.tabId !== tabId) return;
+
+    playbackState.segmentActive = false;
+    if (!isChannelClosedError(error)) throw error;
+
+    awaitPlaybackNavigation();
+    return;
+  }
+
+  if (playbackState.tabId !== tabId) return;
+
+  // The player stops at tab steps and leaves them to us
+  if (response?.tabStep !== undefined) {
+    playbackState.startPaused = !!response.paused;
+    await followTabStep(response.tabStep);
+    return;
+  }
+
+  playbackState.segmentActive = false;
+  finishPlayback(response);
+}
+
+/**
+ * Run a switchTab/closeTab step, then continue the run in the tab it leads to
+ * @param {number} index - Index of the tab step in the flow
+ */
+async function followTabStep(index) {
+  const action = playbackState.actions[index];
+
+  playbackState.cursor = index;
+  playbackState.segmentActive = true; // Keep onUpdated from resuming the run meanwhile
+  playbackState.awaitingNavigation = false;
+  clearTimeout(playbackState.navigationTimeout);
+  playbackState.navigationTimeout = null;
+  persistState();
+
+  console.log('[Marionete BG] Step', index + 1, action.type, 'tab', action.tabIndex + 1);
+
+  try {
+    if (action.type === 'switchTab') {
+      await switchPlaybackTab(action);
+    } else {
+      await closePlaybackTab(action);
+    }
+
+    await runPlaybackSegment();
+  } catch (error) {
+    console.error('[Marionete BG] Tab step failed:', error);
+    finishPlayback({ success: false, error: error.message, stepsExecuted: index });
+  }
+}
+
+async function switchPlaybackTab(action) {
+  let tabId = playbackState.tabs[action.tabIndex];
+
+  if (tabId === undefined && action.opened) {
+    tabId = await claimOpenedTab();
+    playbackState.tabs[action.tabIndex] = tabId;
+  }
+  if (tabId === undefined) {
+    throw new Error(`Tab ${action.tabIndex + 1} is not open`);
+  }
+
+  await activatePlaybackTab(tabId);
+}
+
+async function closePlaybackTab(action) {
+  const tabId = playbackState.tabs[action.tabIndex];
+  delete playbackState.tabs[action.tabIndex];
+
+  // Move on first, so onRemoved doesn't take the closing tab for the run's
+  if (playbackState.tabId === tabId) {
+    const returnTo = action.returnTo ?? 0;
+    const openerId = playbackState.tabs[returnTo];
+    if (openerId === undefined) {
+      throw new Error(`Tab ${returnTo + 1} is not open`);
+    }
+    playbackState.tabId = openerId;
+    persistState();
+  }
+
+  if (tabId !== undefined && await tabExists(tabId)) {
+    // Give a page that closes itself the chance to do so
+    await wait(1000);
+    if (await tabExists(tabId)) {
+      await chrome.tabs.remove(tabId);
+    }
+  }
+
+  await activatePlaybackTab(playbackState.tabId);
+}
+
+async function activatePlaybackTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+
+  playbackState.tabId = tabId;
+  persistState();
+
+  if (tab.status !== 'complete') {
+    await waitForTabLoad(tabId);
+  }
+  await wait(500);
+}
+
+/**
+ * Whether the flow's next steps close this tab, possibly after switching
+ * away from it first (the order Chrome reported the recorded close in)
+ */
+function isUpcomingTabClose(tabId) {
+  for (const action of playbackState.actions.slice(playbackState.cursor + 1)) {
+    if (action.type === 'closeTab') return playbackState.tabs[action.tabIndex] === tabId;
+    if (action.type !== 'switchTab') return false;
+  }
+  return false;
+}
+
+/**
+ * Take the next tab opened during the run, waiting for it if the page hasn't opened it yet
+ */
+async function claimOpenedTab(timeout = 10000) {
+  const start = Date.now();
+
+  while (Date.now() - start < timeout) {
+    const tabId = playbackState.openedTabs.shift();
+    if (tabId !== undefined) {
+      persistState();
+      if (await tabExists(tabId)) return tabId;
+      continue;
+    }
+    await wait(250);
+  }
+
+  throw new Error('Expected a new tab to open, but none did');
+}
+
+/**
+ * Send a message to the tab, retrying while the content script is still
+ * initializing. Errors other than "no receiver yet" are rethrown at once.
+ */
+async function sendPlaybackMessage(tabId, message, options = {}) {
+  let retries = 3;
+
+  while (true) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message, options);
+    } catch (error) {
+      retries--;
+      if (retries > 0 && !isChannelClosedError(error)) {
+        console.log(`[Marionete BG] Retry sending playback message, ${retries} left`);
+        await wait(500);
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * The player's document was replaced mid-run. Wait for the new one to load.
+ */
+async function awaitPlaybackNavigation() {
+  console.log('[Marionete BG] Page navigating during playback after step', playbackState.cursor + 1);
+
+  playbackState.awaitingNavigation = true;
+  persistState();
+
+  clearTimeout(playbackState.navigationTimeout);
+  playbackState.navigationTimeout = setTimeout(() => {
+    if (!playbackState.awaitingNavigation) return;
+
+    finishPlayback({
+      success: false,
+      error: 'Page did not finish loading during playback',
+      stepsExecuted: playbackState.cursor + 1
+    });
+  }, 30000);
+
+  // The load may already be complete by the time the old port reported closing
+  try {
+    const tab = await chrome.tabs.get(playbackState.tabId);
+    if (tab.status === 'complete') {
+      resumePlaybackAfterNavigation();
+    }
+  } catch (error) {
+    // Tab is gone - onRemoved ends the run
+  }
+}
+
+async function resumePlaybackAfterNavigation() {
+  if (!playbackState.awaitingNavigation) return;
+
+  playbackState.awaitingNavigation = false;
+  playbackState.segmentActive = true; // Claim the resume against duplicate 'complete' events
+  clearTimeout(playbackState.navigationTimeout);
+  playbackState.navigationTimeout = null;
+
+  console.log('[Marionete BG] Page loaded, resuming playback...');
+
+  try {
+    await wait(500); // Wait for page to settle
+    await runPlaybackSegment();
+  } catch (error) {
+    console.error('[Marionete BG] Failed to resume playback:', error);
+    finishPlayback({ success: false, error: error.message, stepsExecuted: playbackState.cursor + 1 });
+  }
+}
+
+async function handlePlaybackProgress(tabId, data, sendResponse) {
+  await stateReady;
+
+  if (!playbackState.isPlaying || playbackState.tabId !== tabId) {
+    sendResponse({ success: false, error: 'Not playing in this tab' });
+    return;
+  }
+
+  playbackState.cursor = data.step;
+  playbackState.startPaused = !!data.paused;
+  persistState();
+
+  sendResponse({ success: true });
+}
+
+async function handlePlaybackAssertion(tabId, result, sendResponse) {
+  await stateReady;
+
+  if (playbackState.isPlaying && playbackState.tabId === tabId) {
+    playbackState.assertions.push(result);
+    persistState();
+  }
+
+  sendResponse({ success: true });
+}
+
+/**
+ * The player reports its result directly as well as answering START_PLAYBACK,
+ * so a run still ends cleanly if the worker restarted while it was going
+ */
+async function handlePlaybackFinished(tabId, result, sendResponse) {
+  await stateReady;
+
+  if (playbackState.isPlaying && playbackState.tabId === tabId) {
+    finishPlayback(result);
+  }
+
+  sendResponse({ success: true });
+}
+
+function finishPlayback(result) {
+  if (!playbackState.isPlaying) return;
+
+  const { sendResponse, recordInto, tabId } = playbackState;
+
+  // The player only knows about assertions checked in its own document
+  if (playbackState.assertions.length > 0) {
+    result = { ...result, assertions: playbackState.assertions };
+  }
+
+  resetPlaybackState();
+
+  console.log('[Marionete BG] Playback finished', result);
+
+  const respond = (response) => {
+    if (!sendResponse) return;
+    try {
+      sendResponse(response);
+    } catch (error) {
+      // Caller (popup) may already be closed
+    }
+  };
+
+  if (recordInto && result.success) {
+    startRecordingInto(tabId, recordInto)
+      .then(() => respond({ ...result, recording: true }))
+      .catch(error => {
+        console.error('[Marionete BG] Failed to start recording into flow:', error);
+        respond({ success: false, error: `Could not start recording: ${error.message}`, stepsExecuted: result.stepsExecuted });
+      });
+    return;
+  }
+
+  respond(result);
+}
+
+/**
+ * Hand the tab over to the recorder where a "record from here" run stopped.
+ * The popup splices what it records into the flow when recording stops.
+ * @param {number} tabId
+ * @param {Object} target - { flowId, index, replaceCount }
+ */
+async function startRecordingInto(tabId, target) {
+  // Let the player clean up its indicators first
+  await wait(300);
+  await injectContentScript(tabId);
+
+  const response = await chrome.tabs.sendMessage(tabId, {
+    type: 'START_RECORDING',
+    data: { target }
+  }, { frameId: 0 });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'Recorder did not respond');
+  }
+}
+
+function resetPlaybackState() {
+  clearTimeout(playbackState.navigationTimeout);
+
+  playbackState.isPlaying = false;
+  playbackState.tabId = null;
+  playbackState.actions = [];
+  playbackState.speed = 1;
+  playbackState.failOnUnexpectedDialog = false;
+  playbackState.cursor = -1;
+  playbackState.assertions = [];
+  playbackState.startPaused = false;
+  playbackState.awaitingNavigation = false;
+  playbackState.navigationTimeout = null;
+  playbackState.segmentActive = false;
+  playbackState.tabs = {};
+  playbackState.openedTabs = [];
+  playbackState.recordInto = null;
+  playbackState.sendResponse = null;
+  persistState();
+}
+
+/**
+ * Mirror recording and playback state into session storage
+ */
+function persistState() {
+  const { navigationTimeout, segmentActive, sendResponse, ...playback } = playbackState;
+
+  chrome.storage.session.set({
+    [SESSION_STATE_KEY]: {
+      recording: recordingState,
+      playback
+    }
+  }).catch(error => {
+    console.error('[Marionete BG] Failed to persist state:', error);
+  });
+}
+
+/**
+ * Restore state saved by a previous worker instance, then drop sessions
+ * whose tab no longer exists
+ */
+async function rehydrateState() {
+  try {
+    const stored = await chrome.storage.session.get(SESSION_STATE_KEY);
+    const session = stored[SESSION_STATE_KEY];
+
+    if (session?.recording) {
+      Object.assign(recordingState, session.recording);
+    }
+    if (session?.playback) {
+      Object.assign(playbackState, session.playback);
+    }
+
+    if (recordingState.isRecording || playbackState.isPlaying) {
+      console.log('[Marionete BG] Rehydrated session state', {
+        recording: recordingState.isRecording,
+        actions: recordingState.actions.length,
+        playing: playbackState.isPlaying,
+        cursor: playbackState.cursor
+      });
+    }
+
+    await reconcileSessions();
+  } catch (error) {
+    console.error('[Marionete BG] Failed to rehydrate state:', error);
+  }
+}
+
+async function reconcileSessions() {
+  if (recordingState.isRecording && !(await tabExists(recordingState.tabId))) {
+    console.warn('[Marionete BG] Recording tab no longer exists, discarding session');
+    resetRecordingState();
+  }
+
+  if (playbackState.isPlaying) {
+    if (!(await tabExists(playbackState.tabId))) {
+      console.warn('[Marionete BG] Playback tab no longer exists, discarding run');
+      resetPlaybackState();
+    } else {
+      // Not awaited: resuming must not hold up stateReady
+      reattachPlayback();
+    }
+  }
+}
+
+/**
+ * Pick up a run the previous worker was driving. If the player is still
+ * going in the page it reports progress and its result to us directly;
+ * otherwise the document it ran in is gone and we resume from the cursor.
+ */
+async function reattachPlayback() {
+  try {
+    const response = await chrome.tabs.sendMessage(playbackState.tabId, {
+      type: 'GET_RECORDING_STATE'
+    });
+    if (response?.state?.player?.isPlaying) {
+      console.log('[Marionete BG] Player still running, reattached to run');
+      return;
+    }
+  } catch (error) {
+    // No content script in the current document
+  }
+
+  awaitPlaybackNavigation();
+}
+
+async function tabExists(tabId) {
+  if (tabId === null || tabId === undefined) return false;
+
+  try {
+    await chrome.tabs.get(tabId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Errors raised when the receiving document was unloaded before answering
+ */
+function isChannelClosedError(error) {
+  const message = error?.message || '';
+  return message.includes('message channel closed') ||
+         message.includes('message port closed') ||
+         message.includes('back/forward cache');
+}
+
+/**
+ * Start recording in the active tab, or pause/resume the recording in progress
+ * @param {Object} tab - Active tab when the shortcut was pressed
+ */
+async function toggleRecordingCommand(tab) {
+  if (recordingState.isRecording) {
+    const response = await chrome.tabs.sendMessage(recordingState.tabId, {
+      type: recordingState.isPaused ? 'RESUME_RECORDING' : 'PAUSE_RECORDING'
+    }, { frameId: 0 });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Recorder did not respond');
+    }
+    return;
+  }
+
+  if (playbackState.isPlaying) {
+    throw new Error('Cannot record during playback');
+  }
+
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (tabId === undefined) {
+    throw new Error('No active tab');
+  }
+
+  await injectContentScript(tabId);
+  const response = await chrome.tabs.sendMessage(tabId, { type: 'START_RECORDING' }, { frameId: 0 });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Recorder did not respond');
+  }
+  showCommandBadge('REC', '#dc3545');
+}
+
+/**
+ * Stop recording and save it like the popup does, without asking for a name
+ */
+async function stopRecordingCommand() {
+  if (!recordingState.isRecording) return;
+
+  const response = await chrome.tabs.sendMessage(recordingState.tabId, { type: 'STOP_RECORDING' }, { frameId: 0 });
+  if (!response?.success || !response.data) {
+    throw new Error(response?.error || 'Recorder did not respond');
+  }
+
+  const data = response.data;
+  if (data.actions.length === 0) {
+    console.log('[Marionete BG] Nothing recorded, no flow saved');
+    return;
+  }
+
+  if (data.target) {
+    await FlowStore.spliceActions(data.target.flowId, data.target.index, data.target.replaceCount, data.actions);
+  } else {
+    const flow = await FlowStore.create({
+      name: `Fluxo ${new Date().toLocaleString('pt-BR')}`,
+      actions: data.actions,
+      startUrl: data.startUrl,
+      duration: data.duration,
+      recordedAt: data.recordedAt
+    });
+    console.log('[Marionete BG] Flow saved:', flow.name, flow.id);
+  }
+
+  showCommandBadge('✓', '#28a745');
+}
+
+/**
+ * Replay the most recently recorded flow, with variables at their default values
+ */
+async function replayLastCommand() {
+  if (playbackState.isPlaying || recordingState.isRecording) {
+    throw new Error('Busy recording or playing');
+  }
+
+  const [flow] = await FlowStore.list();
+  if (!flow) {
+    throw new Error('No saved flows');
+  }
+
+  // Sensitive values aren't stored, so there's nothing to default to -
+  // let the manager ask for them
+  const needsValues = flow.actions.some(action =>
+    action.isVariable && /^{{(.+)}}$/.test(action.value) && !action.originalValue);
+  if (needsValues) {
+    console.log('[Marionete BG] Flow needs variable values, opening manager:', flow.name);
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL('manager/flows.html?run=' + encodeURIComponent(flow.id))
+    });
+    return;
+  }
+
+  const actions = flow.actions.map(action => {
+    const variable = action.isVariable && action.value.match(/^{{(.+)}}$/);
+    return variable ? { ...action, value: action.originalValue } : action;
+  });
+
+  handleExecuteFlow({
+    actions,
+    startUrl: flow.startUrl,
+    speed: 1,
+    failOnUnexpectedDialog: !!flow.failOnUnexpectedDialog
+  }, (result) => {
+    console.log('[Marionete BG] Shortcut replay finished:', flow.name, result);
+    showCommandBadge(result?.success ? '✓' : '!', result?.success ? '#28a745' : '#dc3545');
+  });
+}
+
+async function abortPlaybackCommand() {
+  if (!playbackState.isPlaying) return;
+
+  const { tabId } = playbackState;
+  chrome.tabs.sendMessage(tabId, { type: 'STOP_PLAYBACK' }, { frameId: 0 }).catch(() => {
+    // Between documents - there's no player to stop
+  });
+
+  finishPlayback({
+    success: false,
+    error: 'Playback aborted',
+    stepsExecuted: playbackState.cursor + 1
+  });
+}
+
+/**
+ * Shortcuts have no UI of their own, so flash their result on the toolbar icon
+ */
+function showCommandBadge(text, color) {
+  chrome.action.setBadgeBackgroundColor({ color });
+  chrome.action.setBadgeText({ text });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), COMMAND_BADGE_DURATION);
+}
+
+/**
+ * Hand upload fixtures to the player. Content scripts can't open the
+ * extension's IndexedDB, so the worker reads and serializes them.
+ */
+async function handleGetFixtures(data, sendResponse) {
+  try {
+    const fixtures = await Promise.all(data.ids.map(async (id) => {
+      const record = await FixtureStore.get(id);
+      if (!record) {
+        throw new Error(`Fixture not found: ${id}`);
+      }
+      return FixtureStore.serialize(record);
+    }));
+
+    sendResponse({ success: true, fixtures });
+  } catch (error) {
+    console.error('[Marionete BG] Failed to load fixtures:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Screenshot the recording tab for a step, cropped around its element.
+ * Answers right away - the recorder doesn't wait for the image.
+ * Captures are spaced out, so the step's frame hides Marionete's halo for
+ * the shot and the capture is dropped if that frame has navigated since
+ * (its rect would be cropped out of the next page). Every frame masks its
+ * filled-in sensitive fields, which may be in view of any step.
+ */
+async function handleCaptureStep(sender, data, sendResponse) {
+  await stateReady;
+
+  const tab = sender.tab;
+
+  if (!recordingState.isRecording || recordingState.tabId !== tab?.id || recordingState.isPaused) {
+    sendResponse({ success: false, error: 'Not recording in this tab' });
+    return;
+  }
+
+  sendResponse({ success: true });
+
+  captureQueue = captureQueue.then(async () => {
+    await wait(lastCaptureTime + CAPTURE_INTERVAL - Date.now());
+    lastCaptureTime = Date.now();
+
+    // Only the visible tab can be captured
+    const current = await chrome.tabs.get(tab.id);
+    if (!current.active) return;
+
+    const frame = { frameId: sender.frameId };
+    const prepared = await chrome.tabs.sendMessage(tab.id, {
+      type: 'PREPARE_CAPTURE',
+      data: { documentToken: data.documentToken }
+    }, frame).catch(() => null);
+    if (!prepared?.ready) return;
+
+    let dataUrl;
+    try {
+      await sendToAllFrames(tab.id, { type: 'MASK_SENSITIVE_FIELDS' });
+      dataUrl = await chrome.tabs.captureVisibleTab(current.windowId, { format: 'png' });
+    } finally {
+      sendToAllFrames(tab.id, { type: 'FINISH_CAPTURE' });
+    }
+
+    const blob = await cropScreenshot(dataUrl, data.rect, data.viewport);
+    await ScreenshotStore.add(data.screenshotId, blob);
+  }).catch(error => {
+    console.warn('[Marionete BG] Step screenshot failed:', error.message);
+  });
+}
+
+/**
+ * Cut the area around a step's element out of a viewport capture and scale it down
+ * @param {string} dataUrl - captureVisibleTab result
+ * @param {Object|null} rect - Element's client rect in CSS pixels; null keeps the whole viewport
+ * @param {Object|null} viewport - { width, height } in CSS pixels; null when unknown (subframes)
+ * @returns {Promise<Blob>} JPEG
+ */
+async function cropScreenshot(dataUrl, rect, viewport) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  viewport = viewport || { width: bitmap.width, height: bitmap.height };
+  // Device pixels per CSS pixel, including page zoom
+  const scale = bitmap.width / viewport.width;
+
+  let left = 0;
+  let top = 0;
+  let right = viewport.width;
+  let bottom = viewport.height;
+
+  if (rect && rect.width > 0 && rect.height > 0) {
+    left = Math.max(0, rect.x - SCREENSHOT_PADDING);
+    top = Math.max(0, rect.y - SCREENSHOT_PADDING);
+    right = Math.min(viewport.width, rect.x + rect.width + SCREENSHOT_PADDING);
+    bottom = Math.min(viewport.height, rect.y + rect.height + SCREENSHOT_PADDING);
+
+    // Element scrolled out of view - show the viewport instead
+    if (right <= left || bottom <= top) {
+      left = 0;
+      top = 0;
+      right = viewport.width;
+      bottom = viewport.height;
+    }
+  }
+
+  const sourceWidth = (right - left) * scale;
+  const sourceHeight = (bottom - top) * scale;
+  const outputScale = Math.min(1, SCREENSHOT_MAX_WIDTH / sourceWidth);
+
+  const canvas = new OffscreenCanvas(
+    Math.max(1, Math.round(sourceWidth * outputScale)),
+    Math.max(1, Math.round(sourceHeight * outputScale))
+  );
+  canvas.getContext('2d').drawImage(
+    bitmap,
+    left * scale, top * scale, sourceWidth, sourceHeight,
+    0, 0, canvas.width, canvas.height
+  );
+  bitmap.close();
+
+  return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+}
+
+async function handleInjectContentScript(tabId, sendResponse) {
+  try {
+    await injectContentScript(tabId);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('[Marionete BG] Inject error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function injectContentScript(tabId) {
+  try {
+    // Get tab info
+    const tab = await chrome.tabs.get(tabId);
+    
+    // Validate URL - DON'T inject on protected pages
+    if (!canInjectIntoUrl(tab.url)) {
+      console.log('[Marionete BG] Cannot inject into:', tab.url);
+      throw new Error('Cannot inject into this page (protected URL)');
+    }
+
+    await injectIntoFrame(tabId, 0);
+
+    // Subframes are best effort - one that is navigating away mustn't fail the page
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    const subframes = (frames || []).filter(frame => frame.frameId !== 0 && canInjectIntoUrl(frame.url));
+
+    const results = await Promise.allSettled(subframes.map(frame => injectIntoFrame(tabId, frame.frameId)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.log('[Marionete BG] Skipped frame', subframes[i].url, result.reason?.message);
+      }
+    });
+  } catch (error) {
+    console.error('[Marionete BG] Injection failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Inject the content scripts into one frame unless they're already there
+ */
+async function injectIntoFrame(tabId, frameId) {
+  // Check if already injected
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' }, { frameId });
+    if (response?.status === 'ready') {
+      return;
+    }
+  } catch (e) {
+    // Not injected, continue
+  }
+
+  // Inject in correct order
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    files: CONTENT_SCRIPT_FILES
+  });
+
+  // Hooks for the History API and native dialogs must run in the page's own
+  // world to see its pushState and alert/confirm/prompt calls
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    files: ['content/history-hook.js', 'content/dialog-hook.js'],
+    world: 'MAIN'
+  });
+
+  console.log('[Marionete BG] Injected successfully', frameId === 0 ? '(top frame)' : `(frame ${frameId})`);
+}
+
+/**
+ * Dialog hook scripts for a document committing in this tab: the replay
+ * preset goes first in a playback tab, so dialogs are dismissed until the
+ * player arms answers. Tabs outside a session get nothing.
+ * @returns {Promise<string[]|null>}
+ */
+async function getDialogHookFiles(tabId) {
+  await stateReady;
+
+  const isPlaybackTab = playbackState.isPlaying &&
+    (Object.values(playbackState.tabs).includes(tabId) || playbackState.openedTabs.includes(tabId));
+  const launching = launchingPlaybackTab && await launchingPlaybackTab.catch(() => null);
+
+  if (isPlaybackTab || launching?.id === tabId) {
+    return ['content/dialog-hook-replay.js', 'content/dialog-hook.js'];
+  }
+  if (recordingState.isRecording && findRecordingTab(tabId)) {
+    return ['content/dialog-hook.js'];
+  }
+  return null;
+}
+
+/**
+ * Start the recorder in every subframe of the tab
+ */
+async function startFrameRecorders(tabId) {
+  await sendToSubframes(tabId, {
+    type: 'START_FRAME_RECORDING',
+    data: { isPaused: recordingState.isPaused }
+  });
+}
+
+/**
+ * Send a message to each subframe individually; frames without a content
+ * script are skipped
+ */
+async function sendToSubframes(tabId, message) {
+  if (tabId === null || tabId === undefined) return;
+
+  let frames = [];
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  } catch (error) {
+    return;
+  }
+
+  await Promise.allSettled(frames
+    .filter(frame => frame.frameId !== 0)
+    .map(frame => chrome.tabs.sendMessage(tabId, message, { frameId: frame.frameId })));
+}
+
+/**
+ * Send a message to each frame of the tab, the top frame included
+ */
+async function sendToAllFrames(tabId, message) {
+  let frames = [];
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  } catch (error) {
+    return;
+  }
+
+  await Promise.allSettled(frames.map(frame =>
+    chrome.tabs.sendMessage(tabId, message, { frameId: frame.frameId })));
+}
+
+/**
+ * Relay an action recorded in a subframe to the top frame, which owns the flow
+ */
+async function handleFrameAction(tabId, data, sendResponse) {
+  await stateReady;
+
+  if (!recordingState.isRecording || recordingState.tabId !== tabId) {
+    sendResponse({ success: false, error: 'Not recording' });
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'APPLY_FRAME_ACTION', data }, { frameId: 0 });
+    sendResponse({ success: true });
+  } catch (error) {
+    // Top document is navigating - the action is lost with the frame anyway
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Route one playback step to the frame it was recorded in
+ */
+async function handleExecuteFrameStep(tabId, data, sendResponse) {
+  try {
+    const frameId = await resolveFrameId(tabId, data.action.frame);
+    await injectIntoFrame(tabId, frameId);
+
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'RUN_FRAME_STEP',
+      data
+    }, { frameId });
+
+    sendResponse(response || { success: false, error: 'Frame did not respond' });
+  } catch (error) {
+    console.error('[Marionete BG] Frame step error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Walk a recorded frame path from the top document down, asking each
+ * frame for the frameId of the next <iframe>. Retries while frames load.
+ * @param {number} tabId
+ * @param {Object} frame - { path: [{ selectors, src, origin }], origin, url }
+ * @returns {Promise<number>} frameId
+ */
+async function resolveFrameId(tabId, frame, timeout = 10000) {
+  const start = Date.now();
+  let lastError = null;
+
+  while (Date.now() - start < timeout) {
+    try {
+      let frameId = 0;
+
+      for (const entry of frame.path) {
+        await injectIntoFrame(tabId, frameId);
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+          type: 'GET_CHILD_FRAME_ID',
+          data: { entry }
+        }, { frameId });
+
+        if (!response?.success) {
+          throw new Error(`Frame not found: ${entry.src || entry.origin}`);
+        }
+        frameId = response.frameId;
+      }
+
+      const details = await chrome.webNavigation.getFrame({ tabId, frameId });
+      if (details?.url && !details.url.startsWith(frame.origin)) {
+        console.warn('[Marionete BG] Frame origin changed since recording:', frame.origin, '->', details.url);
+      }
+
+      return frameId;
+    } catch (error) {
+      lastError = error;
+      await wait(500);
+    }
+  }
+
+  throw lastError || new Error('Frame not found');
+}
+
+/**
+ * Check if we can inject into this URL
+ */
+function canInjectIntoUrl(url) {
+  if (!url) return false;
+  
+  // Block chrome:// pages
+  if (url.startsWith('chrome://')) return false;
+  if (url.startsWith('chrome-extension://')) return false;
+  
+  // Block Edge pages
+  if (url.startsWith('edge://')) return false;
+  
+  // Block internal pages
+  if (url.startsWith('about:')) return false;
+  
+  // Block Chrome Web Store
+  if (url.includes('chrome.google.com/webstore')) return false;
+  
+  // Allow http and https
+  if (url.startsWith('http://') || url.startsWith('https://')) return true;
+  
+  return false;
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }, 30000);
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 console.log('[Marionete BG] Service worker initialized with state persistence');
\ No newline at end of file
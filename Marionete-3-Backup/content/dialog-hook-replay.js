@@ -0,0 +1,7 @@
+/**
+ * Dialog Hook preset - Runs in the page's MAIN world, just before
+ * content/dialog-hook.js, while a flow plays. Dialogs the page opens before
+ * the player arms its answers are dismissed instead of blocking the run.
+ */
+
+window.__MARIONETE_DIALOG_PRESET__ = 'replay';
\ No newline at end of file
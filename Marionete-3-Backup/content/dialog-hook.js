@@ -0,0 +1,183 @@
+/**
+ * Dialog Hook - Runs in the page's MAIN world
+ * Wraps alert/confirm/prompt and the page's beforeunload handlers, which
+ * block the page and can't be seen from the isolated world. While recording
+ * it reports each dialog and the user's answer; during playback it answers
+ * with the responses DialogBridge armed instead of showing anything.
+ *
+ * Responses are 'accept' or 'dismiss' (beforeunload: leave or stay), plus
+ * the text for an accepted prompt.
+ *
+ * While a flow records or plays, the service worker injects this hook into
+ * each document of the session's tabs as it commits, before the isolated
+ * world can configure it. Dialogs the page
+ * opens while loading are shown (recording) or dismissed (playback, preset by
+ * content/dialog-hook-replay.js), and reported once the first config arrives.
+ */
+
+(() => {
+  if (window.__MARIONETE_DIALOG_HOOK__) return;
+  window.__MARIONETE_DIALOG_HOOK__ = true;
+
+  // mode: 'idle' | 'record' | 'replay'; answers: [{ dialogType, response, value }]
+  let config = { mode: window.__MARIONETE_DIALOG_PRESET__ || 'idle', answers: [] };
+  let configured = false;
+  // Reports from before the first config, when nothing listens for them yet
+  const early = [];
+
+  // Detail as a string: objects don't reliably cross the world boundary
+  const dispatch = (data) => {
+    window.dispatchEvent(new CustomEvent('marionete:dialog', {
+      detail: JSON.stringify(data)
+    }));
+  };
+
+  const report = (data) => {
+    if (configured) {
+      dispatch(data);
+    } else if (early.length < 10) {
+      early.push({ ...data, early: true });
+    }
+  };
+
+  window.addEventListener('marionete:dialog-config', (event) => {
+    try {
+      config = JSON.parse(event.detail);
+    } catch (e) {
+      // Malformed config - keep the previous one
+      return;
+    }
+
+    if (!configured) {
+      configured = true;
+      early.splice(0).forEach(dispatch);
+    }
+  });
+
+  const takeAnswer = (dialogType) => {
+    if (config.answers[0]?.dialogType !== dialogType) return null;
+    return config.answers.shift();
+  };
+
+  const original = {
+    alert: window.alert,
+    confirm: window.confirm,
+    prompt: window.prompt
+  };
+
+  const handle = (dialogType, args) => {
+    const message = args[0] === undefined ? '' : String(args[0]);
+    const defaultValue = dialogType === 'prompt' && args[1] !== undefined ? String(args[1]) : undefined;
+
+    if (config.mode === 'replay') {
+      const answer = takeAnswer(dialogType);
+      if (!answer) {
+        // Dismissing keeps the run from freezing; the player decides whether that fails it
+        report({ event: 'unexpected', dialogType, message });
+        return dialogType === 'confirm' ? false : dialogType === 'prompt' ? null : undefined;
+      }
+
+      report({ event: 'answered', dialogType, message });
+      if (dialogType === 'confirm') return answer.response === 'accept';
+      if (dialogType === 'prompt') return answer.response === 'accept' ? (answer.value ?? '') : null;
+      return undefined;
+    }
+
+    const result = original[dialogType].apply(window, args);
+
+    // Before the first config this may be a recording: report it in case
+    if (config.mode === 'record' || !configured) {
+      const accepted = dialogType === 'alert' || (dialogType === 'confirm' ? result : result !== null);
+      report({
+        event: 'recorded',
+        dialogType,
+        message,
+        defaultValue,
+        response: accepted ? 'accept' : 'dismiss',
+        value: dialogType === 'prompt' && result !== null ? result : undefined
+      });
+    }
+
+    return result;
+  };
+
+  ['alert', 'confirm', 'prompt'].forEach(dialogType => {
+    window[dialogType] = function(...args) {
+      return handle(dialogType, args);
+    };
+  });
+
+  /**
+   * Wrap a beforeunload handler. During playback the page's handlers don't
+   * run unless the flow armed a "stay" answer, so no prompt blocks the run
+   * on its way out. A "stay" can't be answered from script - that prompt is
+   * left to the user.
+   */
+  const wrapBeforeUnload = (listener) => function(event) {
+    if (config.mode === 'replay') {
+      const answer = config.answers[0];
+      if (answer?.dialogType !== 'beforeunload' || answer.response === 'accept') {
+        return undefined;
+      }
+    }
+
+    const result = typeof listener === 'function'
+      ? listener.call(this, event)
+      : listener.handleEvent(event);
+
+    const wantsPrompt = event.defaultPrevented ||
+                        (typeof event.returnValue === 'string' && event.returnValue !== '') ||
+                        (typeof result === 'string' && result !== '');
+    if (wantsPrompt && (config.mode === 'record' || !configured)) {
+      report({ event: 'beforeunload', dialogType: 'beforeunload', message: '' });
+    }
+
+    return result;
+  };
+
+  const wrappers = new WeakMap();
+  const getWrapper = (listener) => {
+    if (!wrappers.has(listener)) {
+      wrappers.set(listener, wrapBeforeUnload(listener));
+    }
+    return wrappers.get(listener);
+  };
+
+  const originalAdd = EventTarget.prototype.addEventListener;
+  const originalRemove = EventTarget.prototype.removeEventListener;
+
+  EventTarget.prototype.addEventListener = function(type, listener, options) {
+    if (this === window && type === 'beforeunload' && listener) {
+      return originalAdd.call(this, type, getWrapper(listener), options);
+    }
+    return originalAdd.call(this, type, listener, options);
+  };
+
+  EventTarget.prototype.removeEventListener = function(type, listener, options) {
+    if (this === window && type === 'beforeunload' && listener && wrappers.has(listener)) {
+      return originalRemove.call(this, type, wrappers.get(listener), options);
+    }
+    return originalRemove.call(this, type, listener, options);
+  };
+
+  // window.onbeforeunload = fn, including a handler set before we got here
+  const handlerProperty = Object.getOwnPropertyDescriptor(window, 'onbeforeunload') ||
+                          Object.getOwnPropertyDescriptor(Window.prototype, 'onbeforeunload');
+  if (handlerProperty?.set && handlerProperty.configurable !== false) {
+    let handler = handlerProperty.get.call(window);
+
+    Object.defineProperty(window, 'onbeforeunload', {
+      configurable: true,
+      enumerable: true,
+      get: () => handler,
+      set: (value) => {
+        handler = value;
+        handlerProperty.set.call(window, typeof value === 'function' ? getWrapper(value) : value);
+      }
+    });
+
+    if (typeof handler === 'function') {
+      handlerProperty.set.call(window, getWrapper(handler));
+    }
+  }
+})();
\ No newline at end of file
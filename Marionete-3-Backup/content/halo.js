@@ -1,297 +1,460 @@
-/**
- * Halo System - Visual feedback for recording and replay
- * Creates badge overlays around target elements
- */
-
-class HaloSystem {
-  constructor() {
-    this.activeHalos = new Map();
-    this.haloContainer = null;
-    this.init();
-  }
-
-  init() {
-    this.haloContainer = document.createElement('div');
-    this.haloContainer.id = 'marionete-halo-container';
-    
-    const shadow = this.haloContainer.attachShadow({ mode: 'open' });
-    
-    const style = document.createElement('style');
-    style.textContent = `
-      :host {
-        all: initial;
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        pointer-events: none;
-        z-index: 2147483647;
-      }
-
-      .halo {
-        position: absolute;
-        pointer-events: none;
-        border-radius: 4px;
-        box-sizing: border-box;
-        transition: all 0.2s ease;
-      }
-
-      .halo-recording {
-        border: 3px solid #00ff00;
-        background: rgba(0, 255, 0, 0.1);
-        box-shadow: 0 0 10px rgba(0, 255, 0, 0.5);
-        animation: pulse-recording 1.5s infinite;
-      }
-
-      .halo-replay {
-        border: 3px solid #0099ff;
-        background: rgba(0, 153, 255, 0.1);
-        box-shadow: 0 0 10px rgba(0, 153, 255, 0.5);
-        animation: pulse-replay 1s infinite;
-      }
-
-      .halo-badge {
-        position: absolute;
-        top: -8px;
-        left: 50%;
-        transform: translateX(-50%);
-        background: #000;
-        color: #fff;
-        padding: 2px 8px;
-        border-radius: 10px;
-        font-family: Arial, sans-serif;
-        font-size: 11px;
-        font-weight: 600;
-        white-space: nowrap;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
-      }
-
-      .halo-recording .halo-badge {
-        background: #00ff00;
-        color: #000;
-      }
-
-      .halo-replay .halo-badge {
-        background: #0099ff;
-        color: #fff;
-      }
-
-      @keyframes pulse-recording {
-        0%, 100% { opacity: 1; transform: scale(1); }
-        50% { opacity: 0.7; transform: scale(1.02); }
-      }
-
-      @keyframes pulse-replay {
-        0%, 100% { border-color: #0099ff; }
-        50% { border-color: #00ccff; }
-      }
-
-      .recording-indicator {
-        position: fixed;
-        top: 16px;
-        right: 16px;
-        background: linear-gradient(135deg, #ff4444 0%, #cc0000 100%);
-        color: white;
-        padding: 10px 16px;
-        border-radius: 24px;
-        font-family: Arial, sans-serif;
-        font-size: 13px;
-        font-weight: 600;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        z-index: 2147483647;
-        animation: pulse-indicator 2s infinite;
-      }
-
-      .recording-dot {
-        width: 8px;
-        height: 8px;
-        background: #fff;
-        border-radius: 50%;
-        animation: blink 1s infinite;
-      }
-
-      @keyframes pulse-indicator {
-        0%, 100% { transform: scale(1); }
-        50% { transform: scale(1.05); }
-      }
-
-      @keyframes blink {
-        0%, 100% { opacity: 1; }
-        50% { opacity: 0.3; }
-      }
-
-      .replay-indicator {
-        position: fixed;
-        top: 16px;
-        right: 16px;
-        background: linear-gradient(135deg, #0099ff 0%, #0066cc 100%);
-        color: white;
-        padding: 10px 16px;
-        border-radius: 24px;
-        font-family: Arial, sans-serif;
-        font-size: 13px;
-        font-weight: 600;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        z-index: 2147483647;
-      }
-
-      .replay-speed {
-        background: rgba(255, 255, 255, 0.2);
-        padding: 2px 8px;
-        border-radius: 10px;
-        font-size: 11px;
-      }
-    `;
-    
-    shadow.appendChild(style);
-    document.documentElement.appendChild(this.haloContainer);
-  }
-
-  showHalo(element, type = 'recording', label = '', duration = 1500) {
-    if (!element || !this.haloContainer) return;
-
-    const shadow = this.haloContainer.shadowRoot;
-    const rect = element.getBoundingClientRect();
-    
-    const halo = document.createElement('div');
-    halo.className = `halo halo-${type}`;
-    
-    this.updateHaloPosition(halo, rect);
-    
-    if (label) {
-      const badge = document.createElement('div');
-      badge.className = 'halo-badge';
-      badge.textContent = label;
-      halo.appendChild(badge);
-    }
-    
-    shadow.appendChild(halo);
-    
-    const haloId = Math.random().toString(36).substring(7);
-    this.activeHalos.set(haloId, { element, halo, type });
-    
-    if (duration > 0) {
-      setTimeout(() => this.removeHalo(haloId), duration);
-    }
-    
-    return haloId;
-  }
-
-  updateHaloPosition(halo, rect) {
-    halo.style.top = `${rect.top}px`;
-    halo.style.left = `${rect.left}px`;
-    halo.style.width = `${rect.width}px`;
-    halo.style.height = `${rect.height}px`;
-  }
-
-  removeHalo(haloId) {
-    const haloData = this.activeHalos.get(haloId);
-    if (haloData && haloData.halo.parentNode) {
-      haloData.halo.remove();
-      this.activeHalos.delete(haloId);
-    }
-  }
-
-  clearAll() {
-    if (!this.haloContainer?.shadowRoot) return;
-    
-    const halos = this.haloContainer.shadowRoot.querySelectorAll('.halo');
-    halos.forEach(halo => halo.remove());
-    this.activeHalos.clear();
-  }
-
-  showRecordingIndicator() {
-    if (!this.haloContainer?.shadowRoot) return;
-    
-    const existing = this.haloContainer.shadowRoot.querySelector('.recording-indicator');
-    if (existing) return;
-    
-    const indicator = document.createElement('div');
-    indicator.className = 'recording-indicator';
-    indicator.innerHTML = `
-      <div class="recording-dot"></div>
-      <span>GRAVANDO</span>
-    `;
-    
-    this.haloContainer.shadowRoot.appendChild(indicator);
-  }
-
-  showReplayIndicator(speed = 1) {
-    if (!this.haloContainer?.shadowRoot) return;
-    
-    const recIndicator = this.haloContainer.shadowRoot.querySelector('.recording-indicator');
-    if (recIndicator) recIndicator.remove();
-    
-    const existing = this.haloContainer.shadowRoot.querySelector('.replay-indicator');
-    if (existing) {
-      existing.querySelector('.replay-speed').textContent = `${speed}×`;
-      return;
-    }
-    
-    const indicator = document.createElement('div');
-    indicator.className = 'replay-indicator';
-    indicator.innerHTML = `
-      <span>▶ REPRODUZINDO</span>
-      <div class="replay-speed">${speed}×</div>
-    `;
-    
-    this.haloContainer.shadowRoot.appendChild(indicator);
-  }
-
-  hideIndicators() {
-    if (!this.haloContainer?.shadowRoot) return;
-    
-    const indicators = this.haloContainer.shadowRoot.querySelectorAll(
-      '.recording-indicator, .replay-indicator'
-    );
-    indicators.forEach(ind => ind.remove());
-  }
-
-  updateAllPositions() {
-    this.activeHalos.forEach(({ element, halo }) => {
-      if (element && halo) {
-        const rect = element.getBoundingClientRect();
-        this.updateHaloPosition(halo, rect);
-      }
-    });
-  }
-
-  destroy() {
-    this.clearAll();
-    this.hideIndicators();
-    if (this.haloContainer?.parentNode) {
-      this.haloContainer.remove();
-    }
-    this.haloContainer = null;
-  }
-}
-
-// Global instance
-let haloInstance = null;
-
-function initHaloSystem() {
-  if (!haloInstance) {
-    haloInstance = new HaloSystem();
-    
-    window.addEventListener('scroll', () => {
-      haloInstance?.updateAllPositions();
-    }, { passive: true });
-    
-    window.addEventListener('resize', () => {
-      haloInstance?.updateAllPositions();
-    }, { passive: true });
-  }
-  
-  return haloInstance;
-}
-
-function getHaloSystem() {
-  return haloInstance || initHaloSystem();
+/**
+ * Halo System - Visual feedback for recording and replay
+ * Creates badge overlays around target elements
+ */
+
+class HaloSystem {
+  constructor() {
+    this.activeHalos = new Map();
+    this.haloContainer = null;
+    this.init();
+  }
+
+  init() {
+    this.haloContainer = document.createElement('div');
+    this.haloContainer.id = 'marionete-halo-container';
+    
+    const shadow = this.haloContainer.attachShadow({ mode: 'open' });
+    
+    const style = document.createElement('style');
+    style.textContent = `
+      :host {
+        all: initial;
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+        z-index: 2147483647;
+      }
+
+      .halo {
+        position: absolute;
+        pointer-events: none;
+        border-radius: 4px;
+        box-sizing: border-box;
+        transition: all 0.2s ease;
+      }
+
+      .halo-recording {
+        border: 3px solid #00ff00;
+        background: rgba(0, 255, 0, 0.1);
+        box-shadow: 0 0 10px rgba(0, 255, 0, 0.5);
+        animation: pulse-recording 1.5s infinite;
+      }
+
+      .halo-replay {
+        border: 3px solid #0099ff;
+        background: rgba(0, 153, 255, 0.1);
+        box-shadow: 0 0 10px rgba(0, 153, 255, 0.5);
+        animation: pulse-replay 1s infinite;
+      }
+
+      .halo-badge {
+        position: absolute;
+        top: -8px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: #000;
+        color: #fff;
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-family: Arial, sans-serif;
+        font-size: 11px;
+        font-weight: 600;
+        white-space: nowrap;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
+      }
+
+      .halo-recording .halo-badge {
+        background: #00ff00;
+        color: #000;
+      }
+
+      .halo-replay .halo-badge {
+        background: #0099ff;
+        color: #fff;
+      }
+
+      @keyframes pulse-recording {
+        0%, 100% { opacity: 1; transform: scale(1); }
+        50% { opacity: 0.7; transform: scale(1.02); }
+      }
+
+      @keyframes pulse-replay {
+        0%, 100% { border-color: #0099ff; }
+        50% { border-color: #00ccff; }
+      }
+
+      .recording-indicator {
+        position: fixed;
+        top: 16px;
+        right: 16px;
+        background: linear-gradient(135deg, #ff4444 0%, #cc0000 100%);
+        color: white;
+        padding: 10px 16px;
+        border-radius: 24px;
+        font-family: Arial, sans-serif;
+        font-size: 13px;
+        font-weight: 600;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        z-index: 2147483647;
+        animation: pulse-indicator 2s infinite;
+      }
+
+      .recording-dot {
+        width: 8px;
+        height: 8px;
+        background: #fff;
+        border-radius: 50%;
+        animation: blink 1s infinite;
+      }
+
+      .recording-filtered {
+        background: rgba(255, 255, 255, 0.2);
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-size: 11px;
+      }
+
+      .recording-filtered:empty {
+        display: none;
+      }
+
+      .recording-indicator.paused {
+        background: linear-gradient(135deg, #f0ad4e 0%, #d48806 100%);
+        animation: none;
+      }
+
+      .recording-indicator.paused .recording-dot {
+        border-radius: 1px;
+        animation: none;
+      }
+
+      @keyframes pulse-indicator {
+        0%, 100% { transform: scale(1); }
+        50% { transform: scale(1.05); }
+      }
+
+      @keyframes blink {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.3; }
+      }
+
+      .replay-indicator {
+        position: fixed;
+        top: 16px;
+        right: 16px;
+        background: linear-gradient(135deg, #0099ff 0%, #0066cc 100%);
+        color: white;
+        padding: 10px 16px;
+        border-radius: 24px;
+        font-family: Arial, sans-serif;
+        font-size: 13px;
+        font-weight: 600;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        z-index: 2147483647;
+      }
+
+      .replay-speed {
+        background: rgba(255, 255, 255, 0.2);
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-size: 11px;
+      }
+
+      .debug-controls {
+        position: fixed;
+        top: 64px;
+        right: 16px;
+        background: #1f2933;
+        color: white;
+        padding: 6px 8px;
+        border-radius: 20px;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        pointer-events: auto;
+        z-index: 2147483647;
+      }
+
+      .debug-step {
+        padding: 0 8px;
+        font-weight: 600;
+        white-space: nowrap;
+      }
+
+      .debug-controls.paused .debug-step {
+        color: #f0ad4e;
+      }
+
+      .debug-btn {
+        background: rgba(255, 255, 255, 0.1);
+        border: none;
+        color: white;
+        width: 28px;
+        height: 28px;
+        border-radius: 50%;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      .debug-btn:hover {
+        background: rgba(255, 255, 255, 0.25);
+      }
+
+      .debug-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+    `;
+    
+    shadow.appendChild(style);
+    document.documentElement.appendChild(this.haloContainer);
+  }
+
+  showHalo(element, type = 'recording', label = '', duration = 1500) {
+    if (!element || !this.haloContainer) return;
+
+    const shadow = this.haloContainer.shadowRoot;
+    const rect = element.getBoundingClientRect();
+    
+    const halo = document.createElement('div');
+    halo.className = `halo halo-${type}`;
+    
+    this.updateHaloPosition(halo, rect);
+    
+    if (label) {
+      const badge = document.createElement('div');
+      badge.className = 'halo-badge';
+      badge.textContent = label;
+      halo.appendChild(badge);
+    }
+    
+    shadow.appendChild(halo);
+    
+    const haloId = Math.random().toString(36).substring(7);
+    this.activeHalos.set(haloId, { element, halo, type });
+    
+    if (duration > 0) {
+      setTimeout(() => this.removeHalo(haloId), duration);
+    }
+    
+    return haloId;
+  }
+
+  updateHaloPosition(halo, rect) {
+    halo.style.top = `${rect.top}px`;
+    halo.style.left = `${rect.left}px`;
+    halo.style.width = `${rect.width}px`;
+    halo.style.height = `${rect.height}px`;
+  }
+
+  removeHalo(haloId) {
+    const haloData = this.activeHalos.get(haloId);
+    if (haloData && haloData.halo.parentNode) {
+      haloData.halo.remove();
+      this.activeHalos.delete(haloId);
+    }
+  }
+
+  clearAll() {
+    if (!this.haloContainer?.shadowRoot) return;
+    
+    const halos = this.haloContainer.shadowRoot.querySelectorAll('.halo');
+    halos.forEach(halo => halo.remove());
+    this.activeHalos.clear();
+  }
+
+  showRecordingIndicator() {
+    if (!this.haloContainer?.shadowRoot) return;
+    
+    const existing = this.haloContainer.shadowRoot.querySelector('.recording-indicator');
+    if (existing) return;
+    
+    const indicator = document.createElement('div');
+    indicator.className = 'recording-indicator';
+    indicator.innerHTML = `
+      <div class="recording-dot"></div>
+      <span>GRAVANDO</span>
+      <span class="recording-filtered" title="Eventos ignorados pelas regras de gravação"></span>
+    `;
+    
+    this.haloContainer.shadowRoot.appendChild(indicator);
+  }
+
+  setRecordingPaused(paused) {
+    if (!this.haloContainer?.shadowRoot) return;
+
+    const indicator = this.haloContainer.shadowRoot.querySelector('.recording-indicator');
+    if (!indicator) return;
+
+    indicator.classList.toggle('paused', paused);
+    indicator.querySelector('span').textContent = paused ? 'PAUSADO' : 'GRAVANDO';
+  }
+
+  /**
+   * @param {number} count - Events the recording rules dropped so far
+   */
+  setFilteredCount(count) {
+    if (!this.haloContainer?.shadowRoot) return;
+
+    const badge = this.haloContainer.shadowRoot.querySelector('.recording-filtered');
+    if (!badge) return;
+
+    badge.textContent = count > 0 ? `${count} filtrados` : '';
+  }
+
+  showReplayIndicator(speed = 1) {
+    if (!this.haloContainer?.shadowRoot) return;
+    
+    const recIndicator = this.haloContainer.shadowRoot.querySelector('.recording-indicator');
+    if (recIndicator) recIndicator.remove();
+    
+    const existing = this.haloContainer.shadowRoot.querySelector('.replay-indicator');
+    if (existing) {
+      existing.querySelector('.replay-speed').textContent = `${speed}×`;
+      return;
+    }
+    
+    const indicator = document.createElement('div');
+    indicator.className = 'replay-indicator';
+    indicator.innerHTML = `
+      <span>▶ REPRODUZINDO</span>
+      <div class="replay-speed">${speed}×</div>
+    `;
+    
+    this.haloContainer.shadowRoot.appendChild(indicator);
+  }
+
+  /**
+   * Show the playback control bar (pause/continue, step, stop)
+   * @param {Object} handlers - { onPause, onContinue, onStep, onStop }
+   */
+  showDebugControls(handlers) {
+    if (!this.haloContainer?.shadowRoot) return;
+
+    const existing = this.haloContainer.shadowRoot.querySelector('.debug-controls');
+    if (existing) existing.remove();
+
+    const bar = document.createElement('div');
+    bar.className = 'debug-controls';
+    bar.innerHTML = `
+      <span class="debug-step"></span>
+      <button class="debug-btn" data-control="toggle" title="Pausar">⏸</button>
+      <button class="debug-btn" data-control="step" title="Próximo passo">⏭</button>
+      <button class="debug-btn" data-control="stop" title="Parar">⏹</button>
+    `;
+
+    bar.addEventListener('click', (event) => {
+      const button = event.target.closest('.debug-btn');
+      if (!button) return;
+
+      event.stopPropagation();
+
+      switch (button.dataset.control) {
+        case 'toggle':
+          if (bar.classList.contains('paused')) {
+            handlers.onContinue();
+          } else {
+            handlers.onPause();
+          }
+          break;
+        case 'step':
+          handlers.onStep();
+          break;
+        case 'stop':
+          handlers.onStop();
+          break;
+      }
+    });
+
+    this.haloContainer.shadowRoot.appendChild(bar);
+  }
+
+  /**
+   * Reflect playback position and paused state in the control bar
+   * @param {Object} state - { paused, step, total }
+   */
+  updateDebugControls({ paused, step, total }) {
+    const bar = this.haloContainer?.shadowRoot?.querySelector('.debug-controls');
+    if (!bar) return;
+
+    bar.classList.toggle('paused', paused);
+    bar.querySelector('.debug-step').textContent = paused
+      ? `⏸ Passo ${step}/${total}`
+      : `Passo ${step}/${total}`;
+
+    const toggle = bar.querySelector('[data-control="toggle"]');
+    toggle.textContent = paused ? '▶' : '⏸';
+    toggle.title = paused ? 'Continuar' : 'Pausar';
+  }
+
+  /**
+   * Hide every halo and indicator without removing them (for screenshots)
+   */
+  setHidden(hidden) {
+    if (!this.haloContainer) return;
+    this.haloContainer.style.visibility = hidden ? 'hidden' : '';
+  }
+
+  hideIndicators() {
+    if (!this.haloContainer?.shadowRoot) return;
+    
+    const indicators = this.haloContainer.shadowRoot.querySelectorAll(
+      '.recording-indicator, .replay-indicator, .debug-controls'
+    );
+    indicators.forEach(ind => ind.remove());
+  }
+
+  updateAllPositions() {
+    this.activeHalos.forEach(({ element, halo }) => {
+      if (element && halo) {
+        const rect = element.getBoundingClientRect();
+        this.updateHaloPosition(halo, rect);
+      }
+    });
+  }
+
+  destroy() {
+    this.clearAll();
+    this.hideIndicators();
+    if (this.haloContainer?.parentNode) {
+      this.haloContainer.remove();
+    }
+    this.haloContainer = null;
+  }
+}
+
+// Global instance
+let haloInstance = null;
+
+function initHaloSystem() {
+  if (!haloInstance) {
+    haloInstance = new HaloSystem();
+    
+    window.addEventListener('scroll', () => {
+      haloInstance?.updateAllPositions();
+    }, { passive: true });
+    
+    window.addEventListener('resize', () => {
+      haloInstance?.updateAllPositions();
+    }, { passive: true });
+  }
+  
+  return haloInstance;
+}
+
+function getHaloSystem() {
+  return haloInstance || initHaloSystem();
 }
\ No newline at end of file
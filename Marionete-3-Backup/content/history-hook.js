@@ -0,0 +1,28 @@
+/**
+ * History Hook - Runs in the page's MAIN world
+ * Reports the page's own pushState/replaceState calls to NavigationTracker,
+ * which lives in the isolated world and can't observe them directly.
+ */
+
+(() => {
+  if (window.__MARIONETE_HISTORY_HOOK__) return;
+  window.__MARIONETE_HISTORY_HOOK__ = true;
+
+  const wrap = (method, kind) => {
+    const original = history[method];
+
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+
+      // Detail as a string: objects don't reliably cross the world boundary
+      window.dispatchEvent(new CustomEvent('marionete:history', {
+        detail: JSON.stringify({ kind, url: window.location.href })
+      }));
+
+      return result;
+    };
+  };
+
+  wrap('pushState', 'push');
+  wrap('replaceState', 'replace');
+})();
\ No newline at end of file
@@ -1,262 +1,489 @@
-/**
- * Content Script Injector - Enhanced with state restoration
- * Fixes: Recording state persistence across navigation
- */
-
-// Prevent multiple injections
-if (!window.__MARIONETE_INJECTED__) {
-  window.__MARIONETE_INJECTED__ = true;
-
-  // Wait for other scripts to load
-  setTimeout(() => {
-    // Check if classes are available
-    if (typeof Recorder === 'undefined' || typeof Player === 'undefined') {
-      console.error('[Marionete] Required classes not loaded');
-      return;
-    }
-
-    // Initialize
-    const recorder = new Recorder();
-    const player = new Player();
-    
-    // Initialize halo system
-    initHaloSystem();
-
-    // Message handler
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      console.log('[Marionete Content] Received message:', request.type);
-
-      switch (request.type) {
-        case 'START_RECORDING':
-          handleStartRecording(sendResponse);
-          return true; // Async response
-
-        case 'STOP_RECORDING':
-          handleStopRecording(sendResponse);
-          return true;
-
-        case 'RESTORE_RECORDING':
-          handleRestoreRecording(request.data, sendResponse);
-          return true;
-
-        case 'GET_RECORDING_STATE':
-          handleGetState(sendResponse);
-          return true;
-
-        case 'START_PLAYBACK':
-          handleStartPlayback(request.data, sendResponse);
-          return true;
-
-        case 'STOP_PLAYBACK':
-          handleStopPlayback(sendResponse);
-          return true;
-
-        case 'SET_PLAYBACK_SPEED':
-          handleSetSpeed(request.speed, sendResponse);
-          return true;
-
-        case 'PING':
-          sendResponse({ status: 'ready' });
-          return true;
-
-        default:
-          console.warn('[Marionete Content] Unknown message type:', request.type);
-          sendResponse({ success: false, error: 'Unknown message type' });
-          return true;
-      }
-    });
-
-    /**
-     * Handle start recording
-     */
-    function handleStartRecording(sendResponse) {
-      try {
-        recorder.start();
-        sendResponse({ 
-          success: true, 
-          state: recorder.getState() 
-        });
-      } catch (error) {
-        console.error('[Marionete] Start recording error:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      }
-    }
-
-    /**
-     * Handle stop recording
-     */
-    function handleStopRecording(sendResponse) {
-      try {
-        const recordingData = recorder.stop();
-        
-        // If no local data, try to get from background
-        if (!recordingData || recordingData.actions.length === 0) {
-          chrome.runtime.sendMessage({ type: 'GET_RECORDING_STATE' })
-            .then(response => {
-              if (response?.success && response.state.actions.length > 0) {
-                const backgroundData = {
-                  actions: response.state.actions,
-                  startUrl: response.state.startUrl,
-                  duration: Date.now() - response.state.startTime,
-                  recordedAt: new Date().toISOString()
-                };
-                sendResponse({ success: true, data: backgroundData });
-              } else {
-                sendResponse({ success: true, data: recordingData });
-              }
-            })
-            .catch(err => {
-              console.error('[Marionete] Failed to get background state:', err);
-              sendResponse({ success: true, data: recordingData });
-            });
-          return;
-        }
-        
-        sendResponse({ 
-          success: true, 
-          data: recordingData 
-        });
-      } catch (error) {
-        console.error('[Marionete] Stop recording error:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      }
-    }
-
-    /**
-     * Handle restore recording (after navigation)
-     */
-    function handleRestoreRecording(data, sendResponse) {
-      try {
-        console.log('[Marionete Content] Restoring recording state...', data);
-        const result = recorder.restore(data);
-        sendResponse(result);
-      } catch (error) {
-        console.error('[Marionete] Restore recording error:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      }
-    }
-
-    /**
-     * Handle get state
-     */
-    function handleGetState(sendResponse) {
-      const state = {
-        recorder: recorder.getState(),
-        player: player.getState()
-      };
-      sendResponse({ success: true, state });
-    }
-
-    /**
-     * Handle start playback
-     */
-    async function handleStartPlayback(data, sendResponse) {
-      try {
-        const { actions, speed = 1 } = data;
-        const result = await player.play(actions, speed);
-        sendResponse(result);
-      } catch (error) {
-        console.error('[Marionete] Playback error:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      }
-    }
-
-    /**
-     * Handle stop playback
-     */
-    function handleStopPlayback(sendResponse) {
-      try {
-        player.stop();
-        sendResponse({ success: true });
-      } catch (error) {
-        console.error('[Marionete] Stop playback error:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      }
-    }
-
-    /**
-     * Handle set speed
-     */
-    function handleSetSpeed(speed, sendResponse) {
-      try {
-        player.setSpeed(speed);
-        sendResponse({ 
-          success: true, 
-          speed 
-        });
-      } catch (error) {
-        console.error('[Marionete] Set speed error:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      }
-    }
-
-    // Check if recording should be restored (page loaded during active recording)
-    setTimeout(() => {
-      // Check if runtime is still available
-      if (!chrome.runtime?.id) {
-        console.log('[Marionete Content] Extension context invalidated');
-        return;
-      }
-
-      chrome.runtime.sendMessage({ type: 'GET_RECORDING_STATE' })
-        .then(response => {
-          if (response?.success && response.state.isRecording) {
-            console.log('[Marionete Content] Found active recording, requesting restore...');
-            // Background will trigger RESTORE_RECORDING message
-          }
-        })
-        .catch(err => {
-          // Ignore back/forward cache errors silently
-          if (!err.message || 
-              (!err.message.includes('back/forward cache') && 
-               !err.message.includes('message port closed'))) {
-            console.log('[Marionete Content] Could not check recording state:', err.message);
-          }
-        });
-    }, 500);
-
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', () => {
-      if (recorder.isRecording) {
-        // Final sync before unload
-        try {
-          recorder.syncActionsToBackground();
-        } catch (err) {
-          // Ignore errors during unload
-        }
-      }
-    });
-
-    // Cleanup on visibility change (tab switch)
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden && recorder.isRecording) {
-        // Sync when tab becomes hidden
-        try {
-          recorder.syncActionsToBackground();
-        } catch (err) {
-          // Ignore errors
-        }
-      }
-    });
-
-    console.log('[Marionete Content] Initialized successfully with state restoration');
-  }, 100);
+/**
+ * Content Script Injector - Enhanced with state restoration
+ * Fixes: Recording state persistence across navigation
+ */
+
+// Prevent multiple injections
+if (!window.__MARIONETE_INJECTED__) {
+  window.__MARIONETE_INJECTED__ = true;
+
+  // Wait for other scripts to load
+  setTimeout(() => {
+    // Check if classes are available
+    if (typeof Recorder === 'undefined' || typeof Player === 'undefined') {
+      console.error('[Marionete] Required classes not loaded');
+      return;
+    }
+
+    // Initialize
+    const recorder = new Recorder();
+    const player = new Player();
+    
+    // Initialize halo system
+    initHaloSystem();
+
+    // Child frames ask their parent to describe them
+    FrameLocator.listen();
+
+    // Configured sensitive field patterns, for masking at record time
+    SensitiveFields.init();
+    // Noise filter and per-site ignore lists
+    RecordingRules.init();
+
+    const isTopFrame = FrameLocator.isTopFrame();
+
+    // Messages subframes answer. Everything else is for the top frame only -
+    // tab messages without a frameId reach every frame, and the first
+    // response wins, so subframes must stay silent on them.
+    const FRAME_MESSAGES = [
+      'PING',
+      'START_FRAME_RECORDING',
+      'STOP_FRAME_RECORDING',
+      'SET_FRAME_RECORDING_PAUSED',
+      'GET_CHILD_FRAME_ID',
+      'RUN_FRAME_STEP',
+      'PREPARE_CAPTURE',
+      'MASK_SENSITIVE_FIELDS',
+      'FINISH_CAPTURE'
+    ];
+
+    // Message handler
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!isTopFrame && !FRAME_MESSAGES.includes(request.type)) return false;
+
+      console.log('[Marionete Content] Received message:', request.type);
+
+      switch (request.type) {
+        case 'START_RECORDING':
+          handleStartRecording(request.data, sendResponse);
+          return true; // Async response
+
+        case 'STOP_RECORDING':
+          handleStopRecording(sendResponse);
+          return true;
+
+        case 'PAUSE_RECORDING':
+          handlePauseRecording(sendResponse);
+          return true;
+
+        case 'RESUME_RECORDING':
+          handleResumeRecording(sendResponse);
+          return true;
+
+        case 'SUSPEND_RECORDING':
+          handleSuspendRecording(sendResponse);
+          return true;
+
+        case 'RESTORE_RECORDING':
+          handleRestoreRecording(request.data, sendResponse);
+          return true;
+
+        case 'GET_RECORDING_STATE':
+          handleGetState(sendResponse);
+          return true;
+
+        case 'START_PLAYBACK':
+          handleStartPlayback(request.data, sendResponse);
+          return true;
+
+        case 'STOP_PLAYBACK':
+          handleStopPlayback(sendResponse);
+          return true;
+
+        case 'PAUSE_PLAYBACK':
+        case 'RESUME_PLAYBACK':
+        case 'STEP_PLAYBACK':
+          handlePlaybackControl(request.type, sendResponse);
+          return true;
+
+        case 'SET_PLAYBACK_SPEED':
+          handleSetSpeed(request.speed, sendResponse);
+          return true;
+
+        case 'APPLY_FRAME_ACTION':
+          recorder.applyFrameAction(request.data);
+          sendResponse({ success: true });
+          return true;
+
+        case 'START_FRAME_RECORDING':
+          handleStartFrameRecording(request.data, sendResponse);
+          return true;
+
+        case 'STOP_FRAME_RECORDING':
+          recorder.stopFrame();
+          sendResponse({ success: true });
+          return true;
+
+        case 'SET_FRAME_RECORDING_PAUSED':
+          recorder.setFramePaused(request.data.isPaused);
+          sendResponse({ success: true });
+          return true;
+
+        case 'GET_CHILD_FRAME_ID':
+          handleGetChildFrameId(request.data, sendResponse);
+          return true;
+
+        case 'RUN_FRAME_STEP':
+          handleRunFrameStep(request.data, sendResponse);
+          return true;
+
+        case 'PREPARE_CAPTURE':
+          recorder.prepareCapture(request.data.documentToken)
+            .then(ready => sendResponse({ success: true, ready }));
+          return true;
+
+        case 'MASK_SENSITIVE_FIELDS':
+          recorder.maskSensitiveFields()
+            .then(() => sendResponse({ success: true }));
+          return true;
+
+        case 'FINISH_CAPTURE':
+          recorder.finishCapture();
+          sendResponse({ success: true });
+          return true;
+
+        case 'PING':
+          sendResponse({ status: 'ready' });
+          return true;
+
+        default:
+          console.warn('[Marionete Content] Unknown message type:', request.type);
+          sendResponse({ success: false, error: 'Unknown message type' });
+          return true;
+      }
+    });
+
+    /**
+     * Handle start recording
+     */
+    function handleStartRecording(data, sendResponse) {
+      try {
+        recorder.start({ target: data?.target });
+        sendResponse({ 
+          success: true, 
+          state: recorder.getState() 
+        });
+      } catch (error) {
+        console.error('[Marionete] Start recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle stop recording
+     */
+    function handleStopRecording(sendResponse) {
+      try {
+        const recordingData = recorder.stop();
+
+        // The background's list is the one saved: it takes ours and keeps the
+        // tab steps recorded away from this tab (a background tab closing)
+        chrome.runtime.sendMessage({
+          type: 'RECORDING_STOPPED',
+          data: { actions: recordingData ? recordingData.actions : null }
+        })
+          .then(response => {
+            if (!response?.success) {
+              sendResponse({ success: true, data: recordingData });
+              return;
+            }
+
+            const backgroundData = {
+              startUrl: response.data.startUrl,
+              duration: Date.now() - response.data.startTime,
+              recordedAt: new Date().toISOString(),
+              target: response.data.target,
+              ...recordingData,
+              actions: response.data.actions
+            };
+            sendResponse({ success: true, data: backgroundData });
+          })
+          .catch(err => {
+            console.error('[Marionete] Failed to notify background:', err);
+            sendResponse({ success: true, data: recordingData });
+          });
+      } catch (error) {
+        console.error('[Marionete] Stop recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle pause recording
+     */
+    function handlePauseRecording(sendResponse) {
+      try {
+        recorder.pause();
+        sendResponse({ 
+          success: true, 
+          state: recorder.getState() 
+        });
+      } catch (error) {
+        console.error('[Marionete] Pause recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle resume recording
+     */
+    function handleResumeRecording(sendResponse) {
+      try {
+        recorder.resume();
+        sendResponse({ 
+          success: true, 
+          state: recorder.getState() 
+        });
+      } catch (error) {
+        console.error('[Marionete] Resume recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle restore recording (after navigation)
+     */
+    function handleRestoreRecording(data, sendResponse) {
+      try {
+        // Counts only - recorded values don't belong in the page's console
+        console.log('[Marionete Content] Restoring recording state...', {
+          actions: data.actions?.length || 0,
+          isPaused: !!data.isPaused
+        });
+        const result = recorder.restore(data);
+        sendResponse(result);
+      } catch (error) {
+        console.error('[Marionete] Restore recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle recording moving to another tab
+     */
+    function handleSuspendRecording(sendResponse) {
+      try {
+        const data = recorder.suspend();
+        sendResponse({ 
+          success: !!data, 
+          data 
+        });
+      } catch (error) {
+        console.error('[Marionete] Suspend recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle get state
+     */
+    function handleGetState(sendResponse) {
+      const state = {
+        recorder: recorder.getState(),
+        player: player.getState()
+      };
+      sendResponse({ success: true, state });
+    }
+
+    /**
+     * Handle start playback
+     */
+    async function handleStartPlayback(data, sendResponse) {
+      try {
+        const { actions, speed = 1, startIndex = 0, startPaused = false, failOnUnexpectedDialog = false } = data;
+        const result = await player.play(actions, speed, { startIndex, startPaused, failOnUnexpectedDialog });
+        sendResponse(result);
+      } catch (error) {
+        console.error('[Marionete] Playback error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle stop playback
+     */
+    function handleStopPlayback(sendResponse) {
+      try {
+        player.stop();
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('[Marionete] Stop playback error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle debugger controls (pause / resume / single step)
+     */
+    function handlePlaybackControl(type, sendResponse) {
+      try {
+        if (type === 'PAUSE_PLAYBACK') {
+          player.pause();
+        } else if (type === 'RESUME_PLAYBACK') {
+          player.resume();
+        } else {
+          player.step();
+        }
+        sendResponse({ 
+          success: true, 
+          state: player.getState() 
+        });
+      } catch (error) {
+        console.error('[Marionete] Playback control error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle start recording in a subframe
+     */
+    async function handleStartFrameRecording(data, sendResponse) {
+      try {
+        await recorder.startFrame(data);
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('[Marionete] Start frame recording error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle frame lookup: the frameId of the <iframe> matching one level of a frame path
+     */
+    function handleGetChildFrameId(data, sendResponse) {
+      try {
+        const iframe = FrameLocator.findChildFrame(data.entry);
+        const frameId = iframe ? chrome.runtime.getFrameId(iframe) : -1;
+        sendResponse({ 
+          success: frameId >= 0, 
+          frameId 
+        });
+      } catch (error) {
+        console.error('[Marionete] Frame lookup error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    /**
+     * Handle a single playback step routed to this frame
+     */
+    async function handleRunFrameStep(data, sendResponse) {
+      const result = await player.runFrameStep(data.action, data.stepNumber, data.dialogs);
+      sendResponse(result);
+    }
+
+    /**
+     * Handle set speed
+     */
+    function handleSetSpeed(speed, sendResponse) {
+      try {
+        player.setSpeed(speed);
+        sendResponse({ 
+          success: true, 
+          speed 
+        });
+      } catch (error) {
+        console.error('[Marionete] Set speed error:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+
+    // Check if recording should be restored (page loaded during active recording)
+    setTimeout(() => {
+      if (!isTopFrame) return;
+
+      // Check if runtime is still available
+      if (!chrome.runtime?.id) {
+        console.log('[Marionete Content] Extension context invalidated');
+        return;
+      }
+
+      chrome.runtime.sendMessage({ type: 'GET_RECORDING_STATE' })
+        .then(response => {
+          if (response?.success && response.state.isRecording) {
+            console.log('[Marionete Content] Found active recording, requesting restore...');
+            // Background will trigger RESTORE_RECORDING message
+          }
+        })
+        .catch(err => {
+          // Ignore back/forward cache errors silently
+          if (!err.message || 
+              (!err.message.includes('back/forward cache') && 
+               !err.message.includes('message port closed'))) {
+            console.log('[Marionete Content] Could not check recording state:', err.message);
+          }
+        });
+    }, 500);
+
+    // Subframes hand their actions to the top frame instead of the worker's list
+    function syncRecording() {
+      if (isTopFrame) {
+        recorder.syncActionsToBackground();
+      } else {
+        recorder.relayFrameActions();
+      }
+    }
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+      if (recorder.isRecording) {
+        // Final sync before unload
+        try {
+          syncRecording();
+        } catch (err) {
+          // Ignore errors during unload
+        }
+      }
+    });
+
+    // Cleanup on visibility change (tab switch)
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden && recorder.isRecording) {
+        // Sync when tab becomes hidden
+        try {
+          syncRecording();
+        } catch (err) {
+          // Ignore errors
+        }
+      }
+    });
+
+    console.log('[Marionete Content] Initialized successfully with state restoration');
+  }, 100);
 }
\ No newline at end of file
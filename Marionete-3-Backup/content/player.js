@@ -1,729 +1,2104 @@
-/**
- * Player - Enhanced with retry logic and better navigation handling
- * Fixes: Element not found errors, back/forward cache issues
- */
-
-class Player {
-  constructor() {
-    this.isPlaying = false;
-    this.currentStep = 0;
-    this.actions = [];
-    this.playbackSpeed = 1;
-    this.halo = null;
-    this.abortController = null;
-  }
-
-  async play(actions, speed = 1) {
-    if (this.isPlaying) {
-      console.warn('[Marionete] Already playing');
-      return { success: false, error: 'Already playing' };
-    }
-
-    if (!actions || actions.length === 0) {
-      return { success: false, error: 'No actions to play' };
-    }
-
-    this.isPlaying = true;
-    this.actions = actions;
-    this.playbackSpeed = speed;
-    this.currentStep = 0;
-    this.abortController = new AbortController();
-
-    this.halo = getHaloSystem();
-    this.halo.showReplayIndicator(speed);
-
-    console.log('[Marionete] Playback started', { 
-      steps: actions.length,
-      speed: `${speed}×`
-    });
-
-    try {
-      for (let i = 0; i < actions.length; i++) {
-        if (this.abortController.signal.aborted) {
-          throw new Error('Playback aborted');
-        }
-
-        this.currentStep = i;
-        const action = actions[i];
-
-        if (action.timing && action.timing.delay > 0) {
-          const scaledDelay = TimingEngine.scaleDelay(action.timing.delay, speed);
-          await TimingEngine.wait(scaledDelay);
-        }
-
-        await this.executeAction(action, i + 1);
-      }
-
-      console.log('[Marionete] Playback completed successfully');
-      return { success: true, stepsExecuted: actions.length };
-
-    } catch (error) {
-      console.error('[Marionete] Playback error:', error);
-      return { 
-        success: false, 
-        error: error.message,
-        stepsExecuted: this.currentStep 
-      };
-
-    } finally {
-      this.cleanup();
-    }
-  }
-
-  async executeAction(action, stepNumber) {
-    console.log(`[Marionete] Step ${stepNumber}/${this.actions.length}:`, action.type);
-
-    // Add extra wait for page stability
-    await TimingEngine.wait(100);
-
-    switch (action.type) {
-      case 'navigation':
-        await this.handleNavigation(action, stepNumber);
-        break;
-
-      case 'click':
-        await this.handleClick(action, stepNumber);
-        break;
-
-      case 'input':
-        await this.handleInput(action, stepNumber);
-        break;
-
-      case 'keypress':
-        await this.handleKeypress(action, stepNumber);
-        break;
-
-      default:
-        console.warn(`[Marionete] Unknown action type: ${action.type}`);
-    }
-  }
-
-  async handleNavigation(action, stepNumber) {
-    if (action.url && action.url !== window.location.href) {
-      console.log('[Marionete] Navigating to:', action.url);
-      
-      // Store the target URL before navigation
-      const targetUrl = action.url;
-      
-      window.location.href = targetUrl;
-      
-      // Wait for navigation to complete
-      await this.waitForPageLoad();
-      
-      // Extra wait for page to settle
-      await TimingEngine.wait(1000);
-      
-      // Verify we're on the right page
-      if (window.location.href !== targetUrl) {
-        console.warn('[Marionete] Navigation URL mismatch', {
-          expected: targetUrl,
-          actual: window.location.href
-        });
-      }
-    }
-  }
-
-  async handleClick(action, stepNumber) {
-    const element = await this.findElementWithRetry(action.selectors, stepNumber);
-
-    if (!element) {
-      throw new Error(`Element not found for step ${stepNumber} (click)`);
-    }
-
-    console.log('[Marionete] Found element for click:', {
-      tag: element.tagName,
-      id: element.id,
-      class: element.className,
-      text: element.textContent?.substring(0, 50)
-    });
-
-    if (this.halo) {
-      this.halo.showHalo(element, 'replay', `${stepNumber}. Click`, 1200);
-    }
-
-    // Ensure element is in viewport with multiple attempts
-    for (let i = 0; i < 2; i++) {
-      element.scrollIntoView({ 
-        behavior: i === 0 ? 'smooth' : 'auto',
-        block: 'center',
-        inline: 'center'
-      });
-      await TimingEngine.wait(i === 0 ? 400 : 200);
-    }
-
-    // Verify element is visible and interactable
-    const rect = element.getBoundingClientRect();
-    const isInViewport = rect.top >= 0 && 
-                        rect.left >= 0 && 
-                        rect.bottom <= window.innerHeight && 
-                        rect.right <= window.innerWidth;
-    
-    if (!isInViewport) {
-      console.warn('[Marionete] Element not fully in viewport, scrolling again');
-      window.scrollTo({
-        top: window.scrollY + rect.top - (window.innerHeight / 2),
-        behavior: 'auto'
-      });
-      await TimingEngine.wait(300);
-    }
-
-    // Remove any overlays or modals that might block the click
-    const computedStyle = window.getComputedStyle(element);
-    if (computedStyle.pointerEvents === 'none') {
-      console.warn('[Marionete] Element has pointer-events: none, trying to fix');
-      element.style.pointerEvents = 'auto';
-      await TimingEngine.wait(100);
-    }
-
-    // Try multiple click methods in sequence for maximum compatibility
-    let clickSucceeded = false;
-    const clickMethods = [
-      // Method 1: Focus + Click (most reliable for buttons/links)
-      async () => {
-        try {
-          element.focus();
-          await TimingEngine.wait(100);
-          element.click();
-          return true;
-        } catch (e) {
-          console.warn('[Marionete] Method 1 (focus+click) failed:', e.message);
-          return false;
-        }
-      },
-      
-      // Method 2: MouseEvent sequence (for complex interactions)
-      async () => {
-        try {
-          const rect = element.getBoundingClientRect();
-          const x = rect.left + rect.width / 2;
-          const y = rect.top + rect.height / 2;
-          
-          ['mousedown', 'mouseup', 'click'].forEach(eventType => {
-            const mouseEvent = new MouseEvent(eventType, {
-              view: window,
-              bubbles: true,
-              cancelable: true,
-              clientX: x,
-              clientY: y,
-              screenX: x,
-              screenY: y,
-              button: 0,
-              buttons: 1
-            });
-            element.dispatchEvent(mouseEvent);
-          });
-          return true;
-        } catch (e) {
-          console.warn('[Marionete] Method 2 (MouseEvent) failed:', e.message);
-          return false;
-        }
-      },
-      
-      // Method 3: Direct dispatch click
-      async () => {
-        try {
-          const clickEvent = new Event('click', { bubbles: true, cancelable: true });
-          element.dispatchEvent(clickEvent);
-          return true;
-        } catch (e) {
-          console.warn('[Marionete] Method 3 (Event) failed:', e.message);
-          return false;
-        }
-      },
-      
-      // Method 4: PointerEvent (for modern touch/pointer interfaces)
-      async () => {
-        try {
-          const rect = element.getBoundingClientRect();
-          const x = rect.left + rect.width / 2;
-          const y = rect.top + rect.height / 2;
-          
-          ['pointerdown', 'pointerup'].forEach(eventType => {
-            const pointerEvent = new PointerEvent(eventType, {
-              view: window,
-              bubbles: true,
-              cancelable: true,
-              clientX: x,
-              clientY: y,
-              pointerId: 1,
-              pointerType: 'mouse',
-              isPrimary: true
-            });
-            element.dispatchEvent(pointerEvent);
-          });
-          
-          element.click();
-          return true;
-        } catch (e) {
-          console.warn('[Marionete] Method 4 (PointerEvent) failed:', e.message);
-          return false;
-        }
-      },
-
-      // Method 5: For links, trigger navigation directly
-      async () => {
-        if (element.tagName === 'A' && element.href) {
-          try {
-            window.location.href = element.href;
-            return true;
-          } catch (e) {
-            console.warn('[Marionete] Method 5 (direct navigation) failed:', e.message);
-            return false;
-          }
-        }
-        return false;
-      }
-    ];
-
-    // Try each method until one succeeds
-    for (let i = 0; i < clickMethods.length; i++) {
-      console.log(`[Marionete] Trying click method ${i + 1}/${clickMethods.length}`);
-      clickSucceeded = await clickMethods[i]();
-      
-      if (clickSucceeded) {
-        console.log(`[Marionete] Click succeeded with method ${i + 1}`);
-        break;
-      }
-      
-      await TimingEngine.wait(100);
-    }
-
-    if (!clickSucceeded) {
-      console.warn('[Marionete] All click methods failed, but continuing...');
-    }
-
-    // Wait and check for navigation
-    await TimingEngine.wait(300);
-    
-    const urlBefore = window.location.href;
-    
-    // Special handling for different element types
-    if (element.tagName === 'A' && element.href) {
-      // Link click - wait for navigation
-      await TimingEngine.wait(500);
-      
-      if (window.location.href !== urlBefore) {
-        console.log('[Marionete] Link clicked, navigation detected');
-        await this.waitForPageLoad();
-        await TimingEngine.wait(1500); // Extra time for new page
-      }
-    } else if (element.tagName === 'BUTTON' || element.type === 'submit' || element.type === 'button') {
-      // Button click - might trigger navigation or action
-      await TimingEngine.wait(600);
-      
-      if (window.location.href !== urlBefore) {
-        console.log('[Marionete] Button triggered navigation');
-        await this.waitForPageLoad();
-        await TimingEngine.wait(1500);
-      }
-    } else if (element.onclick || element.getAttribute('onclick')) {
-      // Has onclick handler - wait for any async action
-      await TimingEngine.wait(500);
-      
-      if (window.location.href !== urlBefore) {
-        console.log('[Marionete] Onclick triggered navigation');
-        await this.waitForPageLoad();
-        await TimingEngine.wait(1500);
-      }
-    }
-
-    // Final check for any late navigation
-    await TimingEngine.wait(200);
-    if (window.location.href !== urlBefore) {
-      console.log('[Marionete] Late navigation detected');
-      await this.waitForPageLoad();
-      await TimingEngine.wait(1000);
-    }
-  }
-
-  async handleInput(action, stepNumber) {
-    const element = await this.findElementWithRetry(action.selectors, stepNumber);
-
-    if (!element) {
-      throw new Error(`Element not found for step ${stepNumber} (input)`);
-    }
-
-    console.log('[Marionete] Found input element:', {
-      tag: element.tagName,
-      type: element.type,
-      name: element.name,
-      id: element.id
-    });
-
-    if (this.halo) {
-      this.halo.showHalo(element, 'replay', `${stepNumber}. Digitação`, 1000);
-    }
-
-    element.scrollIntoView({ 
-      behavior: 'smooth', 
-      block: 'center' 
-    });
-
-    await TimingEngine.wait(300);
-
-    // Focus element properly
-    element.focus();
-    await TimingEngine.wait(100);
-
-    // Trigger focus event
-    element.dispatchEvent(new FocusEvent('focus', { bubbles: true }));
-    element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
-    
-    await TimingEngine.wait(50);
-    
-    // Clear existing value with proper events
-    if (element.value) {
-      element.value = '';
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      await TimingEngine.wait(50);
-    }
-    
-    // Type with realistic timing and full event sequence
-    const chars = action.value.split('');
-    
-    for (let i = 0; i < chars.length; i++) {
-      const char = chars[i];
-      
-      // KeyDown event
-      element.dispatchEvent(new KeyboardEvent('keydown', {
-        key: char,
-        code: `Key${char.toUpperCase()}`,
-        charCode: char.charCodeAt(0),
-        keyCode: char.charCodeAt(0),
-        which: char.charCodeAt(0),
-        bubbles: true,
-        cancelable: true
-      }));
-      
-      // KeyPress event (deprecated but some sites still use it)
-      element.dispatchEvent(new KeyboardEvent('keypress', {
-        key: char,
-        code: `Key${char.toUpperCase()}`,
-        charCode: char.charCodeAt(0),
-        keyCode: char.charCodeAt(0),
-        which: char.charCodeAt(0),
-        bubbles: true,
-        cancelable: true
-      }));
-      
-      // Actually add the character
-      element.value += char;
-      
-      // Input event (most important for modern frameworks)
-      const inputEvent = new Event('input', { 
-        bubbles: true,
-        cancelable: false
-      });
-      
-      // Add inputType for better compatibility
-      Object.defineProperty(inputEvent, 'inputType', {
-        value: 'insertText',
-        writable: false
-      });
-      Object.defineProperty(inputEvent, 'data', {
-        value: char,
-        writable: false
-      });
-      
-      element.dispatchEvent(inputEvent);
-      
-      // KeyUp event
-      element.dispatchEvent(new KeyboardEvent('keyup', {
-        key: char,
-        code: `Key${char.toUpperCase()}`,
-        charCode: char.charCodeAt(0),
-        keyCode: char.charCodeAt(0),
-        which: char.charCodeAt(0),
-        bubbles: true,
-        cancelable: true
-      }));
-      
-      // Realistic typing delay (scaled by playback speed)
-      if (i < chars.length - 1) {
-        const baseDelay = Math.random() * 40 + 30; // 30-70ms
-        await TimingEngine.wait(Math.max(10, baseDelay / this.playbackSpeed));
-      }
-    }
-
-    await TimingEngine.wait(100);
-
-    // Final events after typing complete
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-    element.dispatchEvent(new Event('blur', { bubbles: true }));
-    element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
-
-    // For React/Vue/Angular - trigger additional events
-    try {
-      // React onChange synthetic event
-      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-        window.HTMLInputElement.prototype,
-        'value'
-      ).set;
-      
-      if (nativeInputValueSetter) {
-        nativeInputValueSetter.call(element, action.value);
-        element.dispatchEvent(new Event('input', { bubbles: true }));
-      }
-    } catch (e) {
-      // Framework-specific event triggering failed, continue anyway
-    }
-
-    await TimingEngine.wait(150);
-  }
-
-  async handleKeypress(action, stepNumber) {
-    const element = await this.findElementWithRetry(action.selectors, stepNumber);
-
-    if (!element) {
-      throw new Error(`Element not found for step ${stepNumber} (keypress)`);
-    }
-
-    if (this.halo) {
-      this.halo.showHalo(element, 'replay', `${stepNumber}. ${action.key}`, 800);
-    }
-
-    element.scrollIntoView({ 
-      behavior: 'smooth', 
-      block: 'center' 
-    });
-
-    await TimingEngine.wait(200);
-
-    element.focus();
-    await TimingEngine.wait(50);
-
-    const eventOptions = {
-      key: action.key,
-      code: action.key === 'Enter' ? 'Enter' : action.key,
-      keyCode: action.key === 'Enter' ? 13 : 0,
-      which: action.key === 'Enter' ? 13 : 0,
-      bubbles: true,
-      cancelable: true
-    };
-
-    element.dispatchEvent(new KeyboardEvent('keydown', eventOptions));
-    element.dispatchEvent(new KeyboardEvent('keypress', eventOptions));
-    element.dispatchEvent(new KeyboardEvent('keyup', eventOptions));
-
-    if (action.key === 'Enter') {
-      const currentUrl = window.location.href;
-      await TimingEngine.wait(200);
-      
-      if (window.location.href !== currentUrl) {
-        console.log('[Marionete] Enter triggered navigation, waiting...');
-        await this.waitForPageLoad();
-        await TimingEngine.wait(1000);
-      }
-    }
-  }
-
-  /**
-   * Find element with retry logic for better reliability
-   */
-  async findElementWithRetry(selectors, stepNumber, maxRetries = 8) {
-    let lastError = null;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Try to find element
-        const element = SelectorEngine.findElement(selectors);
-        
-        if (element) {
-          // Check if element is interactable
-          const isInteractable = this.isElementInteractable(element);
-          
-          if (isInteractable) {
-            if (attempt > 1) {
-              console.log(`[Marionete] ✓ Found element on attempt ${attempt}`);
-            }
-            return element;
-          } else if (attempt < maxRetries) {
-            console.warn(`[Marionete] Element found but not interactable, retry ${attempt}/${maxRetries}`);
-            lastError = 'Element not interactable';
-          } else {
-            // Last attempt - return even if not fully interactable
-            console.warn('[Marionete] Element not fully interactable, using anyway');
-            return element;
-          }
-        } else {
-          lastError = 'Element not found';
-        }
-
-        // If not found, wait and retry with progressive backoff
-        if (attempt < maxRetries) {
-          const waitTime = Math.min(attempt * 300, 2000); // Max 2 seconds
-          console.warn(`[Marionete] Step ${stepNumber}: ${lastError}, retry ${attempt}/${maxRetries} in ${waitTime}ms...`);
-          await TimingEngine.wait(waitTime);
-          
-          // On later attempts, try scrolling to make elements load
-          if (attempt > 3) {
-            window.scrollBy(0, 100);
-            await TimingEngine.wait(100);
-            window.scrollBy(0, -100);
-            await TimingEngine.wait(100);
-          }
-        }
-      } catch (error) {
-        lastError = error.message;
-        console.warn(`[Marionete] Error during element finding: ${error.message}`);
-        
-        if (attempt < maxRetries) {
-          await TimingEngine.wait(attempt * 300);
-        }
-      }
-    }
-
-    // Final attempt with detailed logging
-    console.error('[Marionete] ❌ Element not found after all retries', {
-      step: stepNumber,
-      selectors: {
-        id: selectors.id,
-        name: selectors.name,
-        testId: selectors.testId,
-        className: selectors.className,
-        tagName: selectors.tagName,
-        textContent: selectors.textContent
-      },
-      currentUrl: window.location.href,
-      lastError: lastError
-    });
-
-    return null;
-  }
-
-  /**
-   * Check if element is interactable
-   */
-  isElementInteractable(element) {
-    if (!element || !element.isConnected) return false;
-    
-    try {
-      const style = window.getComputedStyle(element);
-      
-      // Check visibility
-      if (style.display === 'none' || 
-          style.visibility === 'hidden' || 
-          style.opacity === '0') {
-        return false;
-      }
-      
-      // Check if element has size
-      const rect = element.getBoundingClientRect();
-      if (rect.width === 0 || rect.height === 0) {
-        return false;
-      }
-      
-      // Check if not disabled
-      if (element.disabled) {
-        return false;
-      }
-      
-      return true;
-    } catch (e) {
-      return false;
-    }
-  }
-
-  async waitForPageLoad() {
-    return new Promise((resolve) => {
-      // If already loaded
-      if (document.readyState === 'complete') {
-        console.log('[Marionete] Page already loaded');
-        resolve();
-        return;
-      }
-
-      let resolved = false;
-
-      // Method 1: Wait for load event
-      const loadHandler = () => {
-        if (!resolved) {
-          resolved = true;
-          console.log('[Marionete] Page loaded (load event)');
-          resolve();
-        }
-      };
-
-      // Method 2: Wait for readyState change
-      const stateHandler = () => {
-        if (document.readyState === 'complete' && !resolved) {
-          resolved = true;
-          console.log('[Marionete] Page loaded (readyState)');
-          document.removeEventListener('readystatechange', stateHandler);
-          window.removeEventListener('load', loadHandler);
-          resolve();
-        }
-      };
-
-      window.addEventListener('load', loadHandler, { once: true });
-      document.addEventListener('readystatechange', stateHandler);
-
-      // Timeout after 15 seconds (Brazilian sites might be slower)
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          console.warn('[Marionete] Page load timeout (15s), continuing anyway');
-          document.removeEventListener('readystatechange', stateHandler);
-          window.removeEventListener('load', loadHandler);
-          resolve();
-        }
-      }, 15000);
-    });
-  }
-
-  pause() {
-    if (!this.isPlaying) return;
-    
-    if (this.abortController) {
-      this.abortController.abort();
-    }
-    
-    console.log('[Marionete] Playback paused at step', this.currentStep);
-  }
-
-  stop() {
-    this.pause();
-    this.cleanup();
-  }
-
-  setSpeed(speed) {
-    this.playbackSpeed = speed;
-    
-    if (this.halo) {
-      this.halo.showReplayIndicator(speed);
-    }
-    
-    console.log('[Marionete] Speed changed to', `${speed}×`);
-  }
-
-  getState() {
-    return {
-      isPlaying: this.isPlaying,
-      currentStep: this.currentStep,
-      totalSteps: this.actions.length,
-      speed: this.playbackSpeed,
-      progress: this.actions.length > 0 
-        ? (this.currentStep / this.actions.length) * 100 
-        : 0
-    };
-  }
-
-  cleanup() {
-    this.isPlaying = false;
-    this.currentStep = 0;
-    
-    if (this.halo) {
-      this.halo.hideIndicators();
-      this.halo.clearAll();
-    }
-    
-    if (this.abortController) {
-      this.abortController = null;
-    }
-  }
-
-  destroy() {
-    this.stop();
-    this.actions = [];
-  }
+/**
+ * Player - Enhanced with retry logic and better navigation handling
+ * Fixes: Element not found errors, back/forward cache issues
+ */
+
+class Player {
+  constructor() {
+    this.isPlaying = false;
+    this.currentStep = 0;
+    this.actions = [];
+    this.playbackSpeed = 1;
+    this.halo = null;
+    this.abortController = null;
+
+    // Debugger state
+    this.isPaused = false;
+    this.pauseAfterStep = false;
+    this.resumeResolver = null;
+
+    // Set once the document starts unloading mid-run
+    this.unloading = false;
+    this.handleBeforeUnload = () => {
+      if (this.isPlaying) this.unloading = true;
+    };
+
+    // Native dialogs answered by content/dialog-hook.js during this run
+    this.answeredDialogs = [];
+    this.unexpectedDialog = null;
+    this.failOnUnexpectedDialog = false;
+    this.unsubscribeDialogs = null;
+    this.frameDialogTimer = null;
+  }
+
+  /**
+   * Play actions in this document
+   * @param {Array} actions - Full action list of the flow
+   * @param {number} speed - Playback speed multiplier
+   * @param {Object} options - { startIndex, startPaused } used when the
+   *   service worker resumes a run after a full page load, and
+   *   failOnUnexpectedDialog from the flow's settings
+   */
+  async play(actions, speed = 1, options = {}) {
+    if (this.isPlaying) {
+      console.warn('[Marionete] Already playing');
+      return { success: false, error: 'Already playing' };
+    }
+
+    if (!actions || actions.length === 0) {
+      return { success: false, error: 'No actions to play' };
+    }
+
+    this.isPlaying = true;
+    this.actions = actions;
+    this.playbackSpeed = speed;
+    const startIndex = options.startIndex || 0;
+    this.currentStep = startIndex;
+    this.assertionResults = [];
+    this.isPaused = !!options.startPaused;
+    this.pauseAfterStep = false;
+    this.unloading = false;
+    this.abortController = new AbortController();
+    this.startDialogHandling(!!options.failOnUnexpectedDialog);
+
+    window.addEventListener('beforeunload', this.handleBeforeUnload);
+
+    this.halo = getHaloSystem();
+    this.halo.showReplayIndicator(speed);
+    this.halo.showDebugControls({
+      onPause: () => this.pause(),
+      onContinue: () => this.resume(),
+      onStep: () => this.step(),
+      onStop: () => this.stop()
+    });
+
+    console.log('[Marionete] Playback started', { 
+      steps: actions.length,
+      startStep: startIndex + 1,
+      speed: `${speed}×`
+    });
+
+    try {
+      for (let i = startIndex; i < actions.length; i++) {
+        if (!this.abortController || this.abortController.signal.aborted) {
+          throw new Error('Playback aborted');
+        }
+
+        this.currentStep = i;
+        const action = actions[i];
+
+        if (action.breakpoint && !this.isPaused) {
+          console.log('[Marionete] Breakpoint hit at step', i + 1);
+          this.isPaused = true;
+        }
+
+        await this.waitWhilePaused();
+
+        // Single-step: run this action, then suspend before the next one
+        if (this.pauseAfterStep) {
+          this.pauseAfterStep = false;
+          this.isPaused = true;
+        }
+
+        this.updateDebugControls();
+
+        // Tab steps end this document's part of the run; the service worker
+        // switches tabs and continues from there. Not reported as progress,
+        // so a restarted worker replays the handoff rather than skipping it.
+        if (action.type === 'switchTab' || action.type === 'closeTab') {
+          console.log('[Marionete] Handing off to service worker for', action.type);
+          return {
+            success: true,
+            tabStep: i,
+            paused: this.isPaused,
+            stepsExecuted: i,
+            assertions: this.assertionResults
+          };
+        }
+
+        if (action.timing && action.timing.delay > 0) {
+          const scaledDelay = TimingEngine.scaleDelay(action.timing.delay, speed);
+          await TimingEngine.wait(scaledDelay);
+        }
+
+        await this.waitIfUnloading();
+        this.reportProgress(i);
+
+        // A dialog step's answer was armed with the step that opens it
+        if (action.type !== 'dialog') {
+          this.armDialogs(DialogBridge.answersAfter(actions, i));
+        }
+
+        await this.executeAction(action, i + 1);
+        this.checkUnexpectedDialog(i + 1);
+      }
+
+      console.log('[Marionete] Playback completed successfully');
+      const result = {
+        success: true,
+        stepsExecuted: actions.length,
+        assertions: this.assertionResults
+      };
+      this.reportFinished(result);
+      return result;
+
+    } catch (error) {
+      console.error('[Marionete] Playback error:', error);
+      const result = { 
+        success: false, 
+        error: error.message,
+        stepsExecuted: this.currentStep,
+        assertions: this.assertionResults
+      };
+      this.reportFinished(result);
+      return result;
+
+    } finally {
+      this.cleanup();
+    }
+  }
+
+  async executeAction(action, stepNumber) {
+    console.log(`[Marionete] Step ${stepNumber}/${this.actions.length}:`, action.type);
+
+    // Add extra wait for page stability
+    await TimingEngine.wait(100);
+
+    // Steps recorded inside an iframe run in that frame's own content script
+    if (action.frame?.path?.length > 0 && FrameLocator.isTopFrame() && action.type !== 'dialog') {
+      await this.executeInFrame(action, stepNumber);
+      return;
+    }
+
+    switch (action.type) {
+      case 'navigation':
+        await this.handleNavigation(action, stepNumber);
+        break;
+
+      case 'click':
+        await this.handleClick(action, stepNumber);
+        break;
+
+      case 'input':
+        await this.handleInput(action, stepNumber);
+        break;
+
+      case 'keypress':
+        await this.handleKeypress(action, stepNumber);
+        break;
+
+      case 'select':
+        await this.handleSelect(action, stepNumber);
+        break;
+
+      case 'check':
+      case 'uncheck':
+        await this.handleToggle(action, stepNumber);
+        break;
+
+      case 'contenteditable':
+        await this.handleContentEditable(action, stepNumber);
+        break;
+
+      case 'upload':
+        await this.handleUpload(action, stepNumber);
+        break;
+
+      case 'drag':
+        await this.handleDrag(action, stepNumber);
+        break;
+
+      case 'hover':
+        await this.handleHover(action, stepNumber);
+        break;
+
+      case 'dblclick':
+        await this.handleDblClick(action, stepNumber);
+        break;
+
+      case 'contextmenu':
+        await this.handleContextMenu(action, stepNumber);
+        break;
+
+      case 'scroll':
+        await this.handleScroll(action, stepNumber);
+        break;
+
+      case 'assert':
+        await this.handleAssert(action, stepNumber);
+        break;
+
+      case 'wait':
+        await this.handleWait(action, stepNumber);
+        break;
+
+      case 'dialog':
+        await this.handleDialog(action, stepNumber);
+        break;
+
+      default:
+        console.warn(`[Marionete] Unknown action type: ${action.type}`);
+    }
+  }
+
+  /**
+   * Hand a step to the frame it was recorded in. The service worker resolves
+   * the frame path to a frameId and relays the step there.
+   */
+  async executeInFrame(action, stepNumber) {
+    const iframe = FrameLocator.findChildFrame(action.frame.path[0]);
+    if (this.halo && iframe) {
+      this.halo.showHalo(iframe, 'replay', `${stepNumber}. ${action.frame.origin}`, 1000);
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXECUTE_FRAME_STEP',
+      data: { action, stepNumber, dialogs: DialogBridge.answersAfter(this.actions, stepNumber - 1) }
+    });
+
+    // Assertions were already reported to the worker by the frame
+    if (response?.assertions) {
+      this.assertionResults.push(...response.assertions);
+    }
+
+    if (!response?.success) {
+      throw new Error(response?.error || `Frame did not respond at step ${stepNumber}`);
+    }
+  }
+
+  /**
+   * Subframe side of executeInFrame: run one step outside of play()
+   * @param {Object[]} dialogs - Answers for dialogs the step opens in this frame
+   * @returns {Promise<Object>} { success, error, assertions }
+   */
+  async runFrameStep(action, stepNumber, dialogs = []) {
+    this.halo = getHaloSystem();
+    this.assertionResults = [];
+
+    // Stays armed for a while after the step: its dialogs may open once it
+    // has returned. No run tells this frame when it's over, so disarm later.
+    clearTimeout(this.frameDialogTimer);
+    DialogBridge.configure({ mode: 'replay', answers: dialogs });
+    this.frameDialogTimer = setTimeout(() => DialogBridge.configure({ mode: 'idle' }), 5000);
+
+    try {
+      await this.executeAction(action, stepNumber);
+      return { success: true, assertions: this.assertionResults };
+    } catch (error) {
+      console.error('[Marionete] Frame step error:', error);
+      return { success: false, error: error.message, assertions: this.assertionResults };
+    }
+  }
+
+  async handleNavigation(action, stepNumber) {
+    if (action.url && action.url !== window.location.href) {
+      // In-page transitions are normally triggered by the previous step;
+      // give the app a moment to get there before forcing a reload
+      if (this.isInPageNavigation(action)) {
+        const arrived = await getNavigationTracker().waitForUrl(action.url, 3000);
+        if (arrived) {
+          console.log('[Marionete] In-page navigation reached:', action.url);
+          return;
+        }
+
+        if (action.navigationType === NavigationTracker.TYPES.HASH) {
+          console.log('[Marionete] Setting hash:', action.url);
+          window.location.hash = new URL(action.url).hash;
+          await TimingEngine.wait(300);
+          return;
+        }
+      }
+
+      console.log('[Marionete] Navigating to:', action.url);
+      
+      // Store the target URL before navigation
+      const targetUrl = action.url;
+      
+      window.location.href = targetUrl;
+      
+      // Wait for navigation to complete
+      await this.waitForPageLoad();
+      
+      // Extra wait for page to settle
+      await TimingEngine.wait(1000);
+      
+      // Verify we're on the right page
+      if (window.location.href !== targetUrl) {
+        console.warn('[Marionete] Navigation URL mismatch', {
+          expected: targetUrl,
+          actual: window.location.href
+        });
+      }
+    }
+  }
+
+  isInPageNavigation(action) {
+    return [
+      NavigationTracker.TYPES.PUSH,
+      NavigationTracker.TYPES.REPLACE,
+      NavigationTracker.TYPES.HASH,
+      NavigationTracker.TYPES.BACK_FORWARD
+    ].includes(action.navigationType);
+  }
+
+  async handleClick(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (click)`);
+    }
+
+    console.log('[Marionete] Found element for click:', {
+      tag: element.tagName,
+      id: element.id,
+      class: element.className,
+      text: element.textContent?.substring(0, 50)
+    });
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Click`, 1200);
+    }
+
+    // Ensure element is in viewport with multiple attempts
+    for (let i = 0; i < 2; i++) {
+      element.scrollIntoView({ 
+        behavior: i === 0 ? 'smooth' : 'auto',
+        block: 'center',
+        inline: 'center'
+      });
+      await TimingEngine.wait(i === 0 ? 400 : 200);
+    }
+
+    // Verify element is visible and interactable
+    const rect = element.getBoundingClientRect();
+    const isInViewport = rect.top >= 0 && 
+                        rect.left >= 0 && 
+                        rect.bottom <= window.innerHeight && 
+                        rect.right <= window.innerWidth;
+    
+    if (!isInViewport) {
+      console.warn('[Marionete] Element not fully in viewport, scrolling again');
+      window.scrollTo({
+        top: window.scrollY + rect.top - (window.innerHeight / 2),
+        behavior: 'auto'
+      });
+      await TimingEngine.wait(300);
+    }
+
+    // Remove any overlays or modals that might block the click
+    const computedStyle = window.getComputedStyle(element);
+    if (computedStyle.pointerEvents === 'none') {
+      console.warn('[Marionete] Element has pointer-events: none, trying to fix');
+      element.style.pointerEvents = 'auto';
+      await TimingEngine.wait(100);
+    }
+
+    // Try multiple click methods in sequence for maximum compatibility
+    let clickSucceeded = false;
+    const clickMethods = [
+      // Method 1: Focus + Click (most reliable for buttons/links)
+      async () => {
+        try {
+          element.focus();
+          await TimingEngine.wait(100);
+          element.click();
+          return true;
+        } catch (e) {
+          console.warn('[Marionete] Method 1 (focus+click) failed:', e.message);
+          return false;
+        }
+      },
+      
+      // Method 2: MouseEvent sequence (for complex interactions)
+      async () => {
+        try {
+          const rect = element.getBoundingClientRect();
+          const x = rect.left + rect.width / 2;
+          const y = rect.top + rect.height / 2;
+          
+          ['mousedown', 'mouseup', 'click'].forEach(eventType => {
+            const mouseEvent = new MouseEvent(eventType, {
+              view: window,
+              bubbles: true,
+              cancelable: true,
+              clientX: x,
+              clientY: y,
+              screenX: x,
+              screenY: y,
+              button: 0,
+              buttons: 1
+            });
+            element.dispatchEvent(mouseEvent);
+          });
+          return true;
+        } catch (e) {
+          console.warn('[Marionete] Method 2 (MouseEvent) failed:', e.message);
+          return false;
+        }
+      },
+      
+      // Method 3: Direct dispatch click
+      async () => {
+        try {
+          const clickEvent = new Event('click', { bubbles: true, cancelable: true });
+          element.dispatchEvent(clickEvent);
+          return true;
+        } catch (e) {
+          console.warn('[Marionete] Method 3 (Event) failed:', e.message);
+          return false;
+        }
+      },
+      
+      // Method 4: PointerEvent (for modern touch/pointer interfaces)
+      async () => {
+        try {
+          const rect = element.getBoundingClientRect();
+          const x = rect.left + rect.width / 2;
+          const y = rect.top + rect.height / 2;
+          
+          ['pointerdown', 'pointerup'].forEach(eventType => {
+            const pointerEvent = new PointerEvent(eventType, {
+              view: window,
+              bubbles: true,
+              cancelable: true,
+              clientX: x,
+              clientY: y,
+              pointerId: 1,
+              pointerType: 'mouse',
+              isPrimary: true
+            });
+            element.dispatchEvent(pointerEvent);
+          });
+          
+          element.click();
+          return true;
+        } catch (e) {
+          console.warn('[Marionete] Method 4 (PointerEvent) failed:', e.message);
+          return false;
+        }
+      },
+
+      // Method 5: For links, trigger navigation directly
+      async () => {
+        if (element.tagName === 'A' && element.href) {
+          try {
+            window.location.href = element.href;
+            return true;
+          } catch (e) {
+            console.warn('[Marionete] Method 5 (direct navigation) failed:', e.message);
+            return false;
+          }
+        }
+        return false;
+      }
+    ];
+
+    // Try each method until one succeeds
+    for (let i = 0; i < clickMethods.length; i++) {
+      console.log(`[Marionete] Trying click method ${i + 1}/${clickMethods.length}`);
+      clickSucceeded = await clickMethods[i]();
+      
+      if (clickSucceeded) {
+        console.log(`[Marionete] Click succeeded with method ${i + 1}`);
+        break;
+      }
+      
+      await TimingEngine.wait(100);
+    }
+
+    if (!clickSucceeded) {
+      console.warn('[Marionete] All click methods failed, but continuing...');
+    }
+
+    // Wait and check for navigation
+    await TimingEngine.wait(300);
+    
+    const urlBefore = window.location.href;
+    
+    // Special handling for different element types
+    if (element.tagName === 'A' && element.href) {
+      // Link click - wait for navigation
+      await TimingEngine.wait(500);
+      
+      if (window.location.href !== urlBefore) {
+        console.log('[Marionete] Link clicked, navigation detected');
+        await this.waitForPageLoad();
+        await TimingEngine.wait(1500); // Extra time for new page
+      }
+    } else if (element.tagName === 'BUTTON' || element.type === 'submit' || element.type === 'button') {
+      // Button click - might trigger navigation or action
+      await TimingEngine.wait(600);
+      
+      if (window.location.href !== urlBefore) {
+        console.log('[Marionete] Button triggered navigation');
+        await this.waitForPageLoad();
+        await TimingEngine.wait(1500);
+      }
+    } else if (element.onclick || element.getAttribute('onclick')) {
+      // Has onclick handler - wait for any async action
+      await TimingEngine.wait(500);
+      
+      if (window.location.href !== urlBefore) {
+        console.log('[Marionete] Onclick triggered navigation');
+        await this.waitForPageLoad();
+        await TimingEngine.wait(1500);
+      }
+    }
+
+    // Final check for any late navigation
+    await TimingEngine.wait(200);
+    if (window.location.href !== urlBefore) {
+      console.log('[Marionete] Late navigation detected');
+      await this.waitForPageLoad();
+      await TimingEngine.wait(1000);
+    }
+  }
+
+  async handleInput(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (input)`);
+    }
+
+    console.log('[Marionete] Found input element:', {
+      tag: element.tagName,
+      type: element.type,
+      name: element.name,
+      id: element.id
+    });
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Digitação`, 1000);
+    }
+
+    element.scrollIntoView({ 
+      behavior: 'smooth', 
+      block: 'center' 
+    });
+
+    await TimingEngine.wait(300);
+
+    // Focus element properly
+    element.focus();
+    await TimingEngine.wait(100);
+
+    // Trigger focus event
+    element.dispatchEvent(new FocusEvent('focus', { bubbles: true }));
+    element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    
+    await TimingEngine.wait(50);
+    
+    // Clear existing value with proper events
+    if (element.value) {
+      element.value = '';
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      await TimingEngine.wait(50);
+    }
+    
+    // Type with realistic timing and full event sequence
+    const chars = action.value.split('');
+    
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      
+      // KeyDown event
+      element.dispatchEvent(new KeyboardEvent('keydown', {
+        key: char,
+        code: `Key${char.toUpperCase()}`,
+        charCode: char.charCodeAt(0),
+        keyCode: char.charCodeAt(0),
+        which: char.charCodeAt(0),
+        bubbles: true,
+        cancelable: true
+      }));
+      
+      // KeyPress event (deprecated but some sites still use it)
+      element.dispatchEvent(new KeyboardEvent('keypress', {
+        key: char,
+        code: `Key${char.toUpperCase()}`,
+        charCode: char.charCodeAt(0),
+        keyCode: char.charCodeAt(0),
+        which: char.charCodeAt(0),
+        bubbles: true,
+        cancelable: true
+      }));
+      
+      // Actually add the character
+      element.value += char;
+      
+      // Input event (most important for modern frameworks)
+      const inputEvent = new Event('input', { 
+        bubbles: true,
+        cancelable: false
+      });
+      
+      // Add inputType for better compatibility
+      Object.defineProperty(inputEvent, 'inputType', {
+        value: 'insertText',
+        writable: false
+      });
+      Object.defineProperty(inputEvent, 'data', {
+        value: char,
+        writable: false
+      });
+      
+      element.dispatchEvent(inputEvent);
+      
+      // KeyUp event
+      element.dispatchEvent(new KeyboardEvent('keyup', {
+        key: char,
+        code: `Key${char.toUpperCase()}`,
+        charCode: char.charCodeAt(0),
+        keyCode: char.charCodeAt(0),
+        which: char.charCodeAt(0),
+        bubbles: true,
+        cancelable: true
+      }));
+      
+      // Realistic typing delay (scaled by playback speed)
+      if (i < chars.length - 1) {
+        const baseDelay = Math.random() * 40 + 30; // 30-70ms
+        await TimingEngine.wait(Math.max(10, baseDelay / this.playbackSpeed));
+      }
+    }
+
+    await TimingEngine.wait(100);
+
+    // Final events after typing complete
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new Event('blur', { bubbles: true }));
+    element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+
+    // For React/Vue/Angular - trigger additional events
+    try {
+      // React onChange synthetic event
+      const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
+        window.HTMLInputElement.prototype,
+        'value'
+      ).set;
+      
+      if (nativeInputValueSetter) {
+        nativeInputValueSetter.call(element, action.value);
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    } catch (e) {
+      // Framework-specific event triggering failed, continue anyway
+    }
+
+    await TimingEngine.wait(150);
+  }
+
+  /**
+   * Choose option(s) by value, falling back to the visible label
+   */
+  async handleSelect(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (select)`);
+    }
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Seleção`, 1000);
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(200);
+
+    element.focus();
+    element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+
+    const options = Array.from(element.options);
+    const findOption = (value, label) =>
+      options.find(option => option.value === value) ||
+      options.find(option => option.text.trim() === label);
+
+    if (element.multiple && action.values) {
+      const wanted = action.values.map((value, i) => findOption(value, action.labels?.[i]));
+      if (wanted.some(option => !option)) {
+        throw new Error(`Option not found for step ${stepNumber} (select)`);
+      }
+      options.forEach(option => {
+        option.selected = wanted.includes(option);
+      });
+    } else {
+      const option = findOption(action.value, action.label);
+      if (!option) {
+        throw new Error(`Option "${action.label || action.value}" not found for step ${stepNumber} (select)`);
+      }
+
+      // Native setter so React/Vue see the change
+      const nativeSetter = Object.getOwnPropertyDescriptor(
+        window.HTMLSelectElement.prototype,
+        'value'
+      ).set;
+      nativeSetter.call(element, option.value);
+    }
+
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+
+    await TimingEngine.wait(150);
+  }
+
+  /**
+   * Bring a checkbox/radio to the recorded state with a real click,
+   * so the page's own handlers run
+   */
+  async handleToggle(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (${action.type})`);
+    }
+
+    const shouldBeChecked = action.type === 'check';
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. ${shouldBeChecked ? 'Marcar' : 'Desmarcar'}`, 1000);
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(200);
+
+    if (element.checked !== shouldBeChecked) {
+      element.click();
+      await TimingEngine.wait(50);
+    }
+
+    // Custom controls sometimes swallow the click - set it directly
+    if (element.checked !== shouldBeChecked) {
+      console.warn('[Marionete] Click did not toggle element, setting checked directly');
+      element.checked = shouldBeChecked;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    await TimingEngine.wait(150);
+  }
+
+  /**
+   * Replace an editor's content through the editing pipeline
+   * (beforeinput/input), which rich-text editors listen to
+   */
+  async handleContentEditable(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (contenteditable)`);
+    }
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Edição`, 1000);
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(200);
+
+    element.focus();
+    await TimingEngine.wait(50);
+
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const inserted = document.execCommand('insertText', false, action.value);
+
+    if (!inserted || element.innerText.trim() !== action.value.trim()) {
+      console.warn('[Marionete] insertText not applied, setting text directly');
+      element.textContent = action.value;
+      element.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        inputType: 'insertText',
+        data: action.value
+      }));
+    }
+
+    element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+    await TimingEngine.wait(150);
+  }
+
+  /**
+   * Put the step's fixture files on a file input, as if picked in the file dialog
+   */
+  async handleUpload(action, stepNumber) {
+    if (!action.fixtureIds || action.fixtureIds.length === 0) {
+      throw new Error(`No fixture file attached to step ${stepNumber} (upload)`);
+    }
+
+    // File inputs are usually hidden behind a styled button, so don't wait for visibility
+    let element = null;
+    await this.pollUntil(() => {
+      element = SelectorEngine.findElement(action.selectors);
+      return !!element;
+    }, 5000);
+
+    // The selector may point at a wrapper around the input
+    if (element && !(element.tagName === 'INPUT' && element.type === 'file')) {
+      element = element.querySelector('input[type="file"]');
+    }
+
+    if (!element) {
+      throw new Error(`File input not found for step ${stepNumber} (upload)`);
+    }
+
+    const files = await this.loadFixtures(action.fixtureIds);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Upload`, 1000);
+    }
+
+    const dataTransfer = new DataTransfer();
+    (element.multiple ? files : files.slice(0, 1)).forEach(file => dataTransfer.items.add(file));
+    element.files = dataTransfer.files;
+
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+
+    console.log('[Marionete] Uploaded fixtures', files.map(file => file.name));
+    await TimingEngine.wait(150);
+  }
+
+  /**
+   * Fetch fixtures from the service worker and rebuild them as File objects
+   * @param {string[]} ids
+   * @returns {Promise<File[]>}
+   */
+  async loadFixtures(ids) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_FIXTURES',
+      data: { ids }
+    });
+
+    if (!response?.success) {
+      throw new Error(`Could not load fixture files: ${response?.error || 'no response'}`);
+    }
+
+    return response.fixtures.map(fixture => {
+      const binary = atob(fixture.data);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+
+      return new File([bytes], fixture.name, {
+        type: fixture.type,
+        lastModified: fixture.lastModified
+      });
+    });
+  }
+
+  /**
+   * Two full clicks (detail 1 and 2) followed by dblclick, as a mouse produces them
+   */
+  async handleDblClick(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (dblclick)`);
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(300);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Clique duplo`, 1200);
+    }
+
+    for (const detail of [1, 2]) {
+      this.dispatchMouseButton(element, 0, detail);
+      this.dispatchMouseEvent(element, 'click', { button: 0, buttons: 0, detail });
+    }
+    this.dispatchMouseEvent(element, 'dblclick', { button: 0, buttons: 0, detail: 2 });
+
+    await TimingEngine.wait(300);
+  }
+
+  /**
+   * Right button press/release followed by contextmenu
+   */
+  async handleContextMenu(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (contextmenu)`);
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(300);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Menu de contexto`, 1200);
+    }
+
+    this.dispatchMouseButton(element, 2, 1);
+    this.dispatchMouseEvent(element, 'contextmenu', { button: 2, buttons: 0, detail: 1 });
+
+    await TimingEngine.wait(300);
+  }
+
+  /**
+   * pointerdown/mousedown then pointerup/mouseup at the element's center
+   * @param {number} button - 0 left, 2 right
+   */
+  dispatchMouseButton(element, button, detail) {
+    const buttons = button === 2 ? 2 : 1;
+    const pointerInit = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    this.dispatchMouseEvent(element, 'pointerdown', { button, buttons, ...pointerInit }, PointerEvent);
+    this.dispatchMouseEvent(element, 'mousedown', { button, buttons, detail });
+    this.dispatchMouseEvent(element, 'pointerup', { button, buttons: 0, ...pointerInit }, PointerEvent);
+    this.dispatchMouseEvent(element, 'mouseup', { button, buttons: 0, detail });
+  }
+
+  dispatchMouseEvent(element, type, init, EventClass = MouseEvent) {
+    const rect = element.getBoundingClientRect();
+
+    return element.dispatchEvent(new EventClass(type, {
+      view: window,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      ...init
+    }));
+  }
+
+  /**
+   * Move the pointer onto an element so script-driven menus and tooltips open.
+   * enter events don't bubble, so each ancestor the pointer "enters" gets its
+   * own, outermost first - jQuery-style hover handlers usually sit on a wrapper.
+   */
+  async handleHover(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (hover)`);
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(200);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. Passar o mouse`, 800);
+    }
+
+    const rect = element.getBoundingClientRect();
+    const init = {
+      view: window,
+      cancelable: true,
+      composed: true,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2
+    };
+    const pointerInit = { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    const entered = [];
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      entered.unshift(node);
+    }
+
+    element.dispatchEvent(new PointerEvent('pointerover', { ...pointerInit, bubbles: true }));
+    entered.forEach(node => node.dispatchEvent(new PointerEvent('pointerenter', pointerInit)));
+    element.dispatchEvent(new MouseEvent('mouseover', { ...init, bubbles: true }));
+    entered.forEach(node => node.dispatchEvent(new MouseEvent('mouseenter', init)));
+    element.dispatchEvent(new PointerEvent('pointermove', { ...pointerInit, bubbles: true }));
+    element.dispatchEvent(new MouseEvent('mousemove', { ...init, bubbles: true }));
+
+    // Menus often open after a short intent delay
+    await TimingEngine.wait(300);
+  }
+
+  /**
+   * Restore a recorded scroll position, loading more content on the way if the
+   * page is shorter than when recorded. Then, if the next step's element (or
+   * the step's own untilSelectors) still isn't rendered, keep scrolling until it is.
+   */
+  async handleScroll(action, stepNumber) {
+    let scroller = document.scrollingElement;
+
+    if (action.scrollTarget === 'element') {
+      scroller = await this.findElementWithRetry(action.selectors, stepNumber);
+      if (!scroller) {
+        throw new Error(`Scroll container not found for step ${stepNumber}`);
+      }
+    }
+
+    if (this.halo && action.scrollTarget === 'element') {
+      this.halo.showHalo(scroller, 'replay', `${stepNumber}. Rolagem`, 800);
+    }
+
+    await this.scrollToPosition(scroller, action.position);
+
+    const nextAction = this.actions[stepNumber];
+    const untilSelectors = action.untilSelectors ||
+      (nextAction && nextAction.url === action.url ? nextAction.selectors : null);
+
+    if (untilSelectors && !SelectorEngine.findElement(untilSelectors)) {
+      const found = await this.scrollUntilFound(scroller, untilSelectors);
+      if (!found) {
+        console.warn(`[Marionete] Step ${stepNumber}: scrolled to the end without finding the next element`);
+      }
+    }
+
+    await TimingEngine.wait(150);
+  }
+
+  /**
+   * Go to the recorded pixel offset. While it's out of range, scroll to the
+   * bottom and give lazy loaders a chance to grow the content; if it never
+   * grows enough, use the recorded ratio of whatever range there is.
+   */
+  async scrollToPosition(scroller, position = {}, timeout = 10000) {
+    const start = TimingEngine.now();
+    const targetY = position.y || 0;
+    const targetX = position.x || 0;
+    let lastHeight = -1;
+
+    while (TimingEngine.now() - start < timeout) {
+      const maxY = scroller.scrollHeight - scroller.clientHeight;
+
+      if (maxY >= targetY - 1) {
+        scroller.scrollTo({ top: targetY, left: targetX, behavior: 'auto' });
+        return true;
+      }
+
+      if (scroller.scrollHeight === lastHeight) break;
+      lastHeight = scroller.scrollHeight;
+
+      scroller.scrollTo({ top: maxY, left: targetX, behavior: 'auto' });
+      await this.pollUntil(() => scroller.scrollHeight > lastHeight, 1500);
+    }
+
+    const maxY = scroller.scrollHeight - scroller.clientHeight;
+    const maxX = scroller.scrollWidth - scroller.clientWidth;
+    scroller.scrollTo({
+      top: Math.round(maxY * (position.yRatio ?? 1)),
+      left: Math.round(maxX * (position.xRatio ?? 0)),
+      behavior: 'auto'
+    });
+    return false;
+  }
+
+  /**
+   * Scroll down a screen at a time until the selectors match something.
+   * Gives up at the end of content that stopped growing, or on timeout.
+   */
+  async scrollUntilFound(scroller, selectors, timeout = 15000) {
+    const start = TimingEngine.now();
+
+    while (TimingEngine.now() - start < timeout) {
+      if (SelectorEngine.findElement(selectors)) return true;
+
+      const maxY = scroller.scrollHeight - scroller.clientHeight;
+      if (scroller.scrollTop >= maxY - 1) {
+        const height = scroller.scrollHeight;
+        const grew = await this.pollUntil(() => scroller.scrollHeight > height, 2000);
+        if (!grew) return !!SelectorEngine.findElement(selectors);
+      }
+
+      scroller.scrollBy({ top: scroller.clientHeight * 0.8, behavior: 'auto' });
+      await TimingEngine.wait(300);
+    }
+
+    return !!SelectorEngine.findElement(selectors);
+  }
+
+  /**
+   * Replay a drag with the same mechanism the page used when recording
+   */
+  async handleDrag(action, stepNumber) {
+    const source = await this.findElementWithRetry(action.selectors, stepNumber);
+    if (!source) {
+      throw new Error(`Drag source not found for step ${stepNumber}`);
+    }
+
+    const target = await this.findElementWithRetry(action.targetSelectors, stepNumber);
+    if (!target) {
+      throw new Error(`Drop target not found for step ${stepNumber}`);
+    }
+
+    source.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await TimingEngine.wait(300);
+
+    if (this.halo) {
+      this.halo.showHalo(source, 'replay', `${stepNumber}. Arrastar`, 1000);
+      this.halo.showHalo(target, 'replay', `${stepNumber}. Soltar`, 1000);
+    }
+
+    const sourceRect = source.getBoundingClientRect();
+    const from = {
+      x: sourceRect.left + sourceRect.width / 2,
+      y: sourceRect.top + sourceRect.height / 2
+    };
+    const to = this.getDropPoint(target, action.offset);
+
+    if (action.mode === 'html5') {
+      await this.dispatchHtml5Drag(source, target, from, to, stepNumber);
+    } else {
+      await this.dispatchPointerDrag(source, from, to);
+    }
+
+    await TimingEngine.wait(200);
+  }
+
+  /**
+   * Drop point inside the target. The ratio survives the target being resized
+   * since recording; pixels are the fallback for older steps.
+   */
+  getDropPoint(target, offset = {}) {
+    const rect = target.getBoundingClientRect();
+    const x = offset.xRatio !== undefined ? rect.width * offset.xRatio : Math.min(offset.x ?? rect.width / 2, rect.width - 1);
+    const y = offset.yRatio !== undefined ? rect.height * offset.yRatio : Math.min(offset.y ?? rect.height / 2, rect.height - 1);
+
+    return { x: rect.left + x, y: rect.top + y };
+  }
+
+  /**
+   * dragstart -> dragenter/dragover -> drop -> dragend, sharing one DataTransfer
+   * so whatever the page stores on dragstart is there on drop
+   */
+  async dispatchHtml5Drag(source, target, from, to, stepNumber) {
+    const dataTransfer = new DataTransfer();
+    const fire = (element, type, point) => element.dispatchEvent(new DragEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      clientX: point.x,
+      clientY: point.y,
+      dataTransfer
+    }));
+
+    if (!fire(source, 'dragstart', from)) {
+      throw new Error(`Drag was cancelled by the page at step ${stepNumber}`);
+    }
+    fire(source, 'drag', from);
+    await TimingEngine.wait(50);
+
+    fire(target, 'dragenter', to);
+    // Like the browser, only drop where dragover was accepted (preventDefault)
+    const accepted = !fire(target, 'dragover', to);
+    await TimingEngine.wait(50);
+
+    if (accepted) {
+      fire(target, 'drop', to);
+    }
+    fire(source, 'dragend', to);
+
+    if (!accepted) {
+      throw new Error(`Drop target did not accept the drag at step ${stepNumber}`);
+    }
+  }
+
+  /**
+   * Press on the source, move in small steps and release over the target.
+   * Moves go to whatever is under the pointer, as a real mouse would.
+   */
+  async dispatchPointerDrag(source, from, to) {
+    const steps = 10;
+    const fire = (element, pointerType, mouseType, point, buttons) => {
+      const init = {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        clientX: point.x,
+        clientY: point.y,
+        button: 0,
+        buttons,
+        view: window
+      };
+      element.dispatchEvent(new PointerEvent(pointerType, {
+        ...init,
+        pointerId: 1,
+        pointerType: 'mouse',
+        isPrimary: true
+      }));
+      element.dispatchEvent(new MouseEvent(mouseType, init));
+    };
+    const elementAt = (point) => document.elementFromPoint(point.x, point.y) || document.body;
+
+    fire(source, 'pointerdown', 'mousedown', from, 1);
+    await TimingEngine.wait(50);
+
+    for (let i = 1; i <= steps; i++) {
+      const point = {
+        x: from.x + (to.x - from.x) * (i / steps),
+        y: from.y + (to.y - from.y) * (i / steps)
+      };
+      fire(elementAt(point), 'pointermove', 'mousemove', point, 1);
+      await TimingEngine.wait(16);
+    }
+
+    await TimingEngine.wait(50);
+    fire(elementAt(to), 'pointerup', 'mouseup', to, 0);
+  }
+
+  /**
+   * Legacy keyCode values for keys that aren't letters or digits.
+   * Pages still read event.keyCode/which, and KeyboardEvent won't derive them.
+   */
+  static get KEY_CODES() {
+    return {
+      Backspace: 8, Tab: 9, Enter: 13, Shift: 16, Control: 17, Alt: 18,
+      Pause: 19, CapsLock: 20, Escape: 27, ' ': 32, PageUp: 33, PageDown: 34,
+      End: 35, Home: 36, ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40,
+      Insert: 45, Delete: 46, Meta: 91, ContextMenu: 93,
+      F1: 112, F2: 113, F3: 114, F4: 115, F5: 116, F6: 117,
+      F7: 118, F8: 119, F9: 120, F10: 121, F11: 122, F12: 123,
+      ';': 186, '=': 187, ',': 188, '-': 189, '.': 190, '/': 191, '`': 192,
+      '[': 219, '\\': 220, ']': 221, "'": 222
+    };
+  }
+
+  /**
+   * Physical key codes for keys recorded before code was stored
+   */
+  static get KEY_CODE_NAMES() {
+    return {
+      ' ': 'Space', ';': 'Semicolon', '=': 'Equal', ',': 'Comma', '-': 'Minus',
+      '.': 'Period', '/': 'Slash', '`': 'Backquote', '[': 'BracketLeft',
+      '\\': 'Backslash', ']': 'BracketRight', "'": 'Quote',
+      Control: 'ControlLeft', Shift: 'ShiftLeft', Alt: 'AltLeft', Meta: 'MetaLeft'
+    };
+  }
+
+  async handleKeypress(action, stepNumber) {
+    const element = await this.findElementWithRetry(action.selectors, stepNumber);
+
+    if (!element) {
+      throw new Error(`Element not found for step ${stepNumber} (keypress)`);
+    }
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'replay', `${stepNumber}. ${KeyChord.describe(action)}`, 800);
+    }
+
+    // Shortcuts recorded on the page itself have no element to bring into view
+    if (element !== document.body && element !== document.documentElement) {
+      element.scrollIntoView({ 
+        behavior: 'smooth', 
+        block: 'center' 
+      });
+
+      await TimingEngine.wait(200);
+
+      element.focus();
+      await TimingEngine.wait(50);
+    }
+
+    const currentUrl = window.location.href;
+    const count = action.count || 1;
+
+    for (let i = 0; i < count; i++) {
+      // Focus moves on Tab/arrows, so later presses go where a real key would
+      const target = i === 0 ? element : (document.activeElement || element);
+      this.dispatchKeyChord(target, action);
+      await TimingEngine.wait(count > 1 ? 50 : 0);
+    }
+
+    if (action.key === 'Enter') {
+      await TimingEngine.wait(200);
+      
+      if (window.location.href !== currentUrl) {
+        console.log('[Marionete] Enter triggered navigation, waiting...');
+        await this.waitForPageLoad();
+        await TimingEngine.wait(1000);
+      }
+    }
+  }
+
+  /**
+   * Press a key with its modifiers: modifiers down, key down/(press)/up,
+   * modifiers up - in the order a keyboard produces them
+   */
+  dispatchKeyChord(element, action) {
+    const modifiers = {
+      ctrlKey: !!action.ctrlKey,
+      shiftKey: !!action.shiftKey,
+      altKey: !!action.altKey,
+      metaKey: !!action.metaKey
+    };
+    const modifierKeys = [
+      ['ctrlKey', 'Control'],
+      ['shiftKey', 'Shift'],
+      ['altKey', 'Alt'],
+      ['metaKey', 'Meta']
+    ].filter(([flag]) => modifiers[flag]).map(([, key]) => key);
+
+    const createEvent = (type, key, code) => {
+      const keyCode = this.getKeyCode(key, code);
+      return new KeyboardEvent(type, {
+        key,
+        code,
+        keyCode,
+        which: keyCode,
+        charCode: type !== 'keypress' ? 0 : key === 'Enter' ? 13 : key.charCodeAt(0),
+        ...modifiers,
+        bubbles: true,
+        cancelable: true,
+        composed: true
+      });
+    };
+
+    modifierKeys.forEach(key => {
+      element.dispatchEvent(createEvent('keydown', key, this.getKeyCodeName(key)));
+    });
+
+    const code = action.code || this.getKeyCodeName(action.key);
+    const notCancelled = element.dispatchEvent(createEvent('keydown', action.key, code));
+
+    // Browsers only fire keypress for keys that produce a character (or Enter)
+    const producesCharacter = action.key === 'Enter' ||
+      (action.key.length === 1 && !action.ctrlKey && !action.metaKey && !action.altKey);
+    if (producesCharacter) {
+      element.dispatchEvent(createEvent('keypress', action.key, code));
+    }
+
+    // Synthetic events have no default action - do the one that matters most
+    if (notCancelled && action.key === 'Tab' && !action.ctrlKey && !action.altKey && !action.metaKey) {
+      this.moveFocus(element, action.shiftKey);
+    }
+
+    element.dispatchEvent(createEvent('keyup', action.key, code));
+
+    modifierKeys.reverse().forEach(key => {
+      element.dispatchEvent(createEvent('keyup', key, this.getKeyCodeName(key)));
+    });
+  }
+
+  getKeyCode(key, code) {
+    if (Player.KEY_CODES[key] !== undefined) return Player.KEY_CODES[key];
+    if (/^[a-z]$/i.test(key)) return key.toUpperCase().charCodeAt(0);
+    if (/^[0-9]$/.test(key)) return key.charCodeAt(0);
+
+    // Shifted symbols (e.g. "!" on Digit1) share the unshifted key's code
+    const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(code || '');
+    if (match) return (match[1] || match[2]).charCodeAt(0);
+
+    return 0;
+  }
+
+  getKeyCodeName(key) {
+    if (Player.KEY_CODE_NAMES[key]) return Player.KEY_CODE_NAMES[key];
+    if (/^[a-z]$/i.test(key)) return `Key${key.toUpperCase()}`;
+    if (/^[0-9]$/.test(key)) return `Digit${key}`;
+    return key;
+  }
+
+  /**
+   * Move focus to the next (or previous) element in tab order
+   */
+  moveFocus(from, backwards) {
+    const candidates = Array.from(document.querySelectorAll(
+      'a[href], button, input, select, textarea, iframe, [tabindex], [contenteditable=""], [contenteditable="true"]'
+    )).filter(element =>
+      element.tabIndex >= 0 &&
+      !element.disabled &&
+      !(element.tagName === 'INPUT' && element.type === 'hidden') &&
+      element.getClientRects().length > 0
+    );
+
+    // Positive tabindex first (ascending), then document order
+    const ordered = [
+      ...candidates.filter(element => element.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex),
+      ...candidates.filter(element => element.tabIndex === 0)
+    ];
+    if (ordered.length === 0) return;
+
+    const index = ordered.indexOf(from);
+    let nextIndex;
+    if (index === -1) {
+      nextIndex = backwards ? ordered.length - 1 : 0;
+    } else {
+      nextIndex = (index + (backwards ? -1 : 1) + ordered.length) % ordered.length;
+    }
+
+    ordered[nextIndex].focus();
+  }
+
+  /**
+   * Check an assertion, re-evaluating until it passes or its timeout expires.
+   * The outcome is recorded in the playback result; a failure ends the run.
+   */
+  async handleAssert(action, stepNumber) {
+    const assertion = action.assertion || {};
+    const timeout = assertion.timeout || 5000;
+    const start = TimingEngine.now();
+
+    let outcome = this.evaluateAssertion(assertion, action.selectors);
+    while (!outcome.passed && TimingEngine.now() - start < timeout) {
+      await TimingEngine.wait(250);
+      outcome = this.evaluateAssertion(assertion, action.selectors);
+    }
+
+    const result = {
+      step: stepNumber,
+      kind: assertion.kind,
+      passed: outcome.passed,
+      message: outcome.message
+    };
+    this.assertionResults.push(result);
+    this.reportAssertion(result);
+
+    if (this.halo && outcome.element) {
+      this.halo.showHalo(outcome.element, 'replay', `${stepNumber}. ${outcome.passed ? '✔' : '✘'} Verificação`, 1200);
+    }
+
+    console.log(`[Marionete] Assertion ${outcome.passed ? 'passed' : 'failed'}:`, outcome.message);
+
+    if (!outcome.passed) {
+      throw new Error(`Assertion failed at step ${stepNumber}: ${outcome.message}`);
+    }
+  }
+
+  /**
+   * Evaluate an assertion once against the current page
+   * @param {Object} assertion - { kind, expected, attribute, countSelector, flags }
+   * @param {Object} selectors - Selector metadata from generateSelectors
+   * @returns {Object} { passed, message, element }
+   */
+  evaluateAssertion(assertion, selectors) {
+    const { kind, expected = '' } = assertion;
+
+    if (kind === 'url_matches') {
+      const url = window.location.href;
+      const passed = this.safeRegExp(expected, assertion.flags)?.test(url) || false;
+      return {
+        passed,
+        message: passed
+          ? `URL matches /${expected}/`
+          : `expected URL to match /${expected}/ but was "${url}"`
+      };
+    }
+
+    if (kind === 'count_equals') {
+      const countSelector = assertion.countSelector || selectors?.css || selectors?.className;
+      let count = 0;
+      try {
+        count = document.querySelectorAll(countSelector).length;
+      } catch (e) { /* Invalid selector */ }
+      const passed = count === Number(expected);
+      return {
+        passed,
+        message: passed
+          ? `${count} elements match "${countSelector}"`
+          : `expected ${expected} elements matching "${countSelector}" but found ${count}`
+      };
+    }
+
+    const element = selectors ? SelectorEngine.findElement(selectors) : null;
+
+    if (kind === 'not_exists') {
+      const passed = !element || !SelectorEngine.isElementVisible(element);
+      return {
+        passed,
+        element: passed ? null : element,
+        message: passed ? 'element is gone' : 'expected element to be gone but it is still visible'
+      };
+    }
+
+    if (!element) {
+      return { passed: false, message: 'element not found' };
+    }
+
+    switch (kind) {
+      case 'exists':
+        return { passed: true, element, message: 'element exists' };
+
+      case 'text_equals':
+      case 'text_contains':
+      case 'text_matches': {
+        const text = this.normalizeText(element.textContent);
+        let passed;
+        if (kind === 'text_equals') {
+          passed = text === this.normalizeText(expected);
+        } else if (kind === 'text_contains') {
+          passed = text.includes(this.normalizeText(expected));
+        } else {
+          passed = this.safeRegExp(expected, assertion.flags)?.test(text) || false;
+        }
+        const verb = { text_equals: 'equal', text_contains: 'contain', text_matches: 'match' }[kind];
+        return {
+          passed,
+          element,
+          message: passed
+            ? `text ${verb}s "${expected}"`
+            : `expected text to ${verb} "${expected}" but found "${text.substring(0, 100)}"`
+        };
+      }
+
+      case 'value_equals': {
+        const value = element.value ?? '';
+        const passed = value === expected;
+        return {
+          passed,
+          element,
+          message: passed
+            ? `value is "${expected}"`
+            : `expected value "${expected}" but found "${value}"`
+        };
+      }
+
+      case 'attribute_equals': {
+        const value = element.getAttribute(assertion.attribute);
+        const passed = value === expected;
+        return {
+          passed,
+          element,
+          message: passed
+            ? `[${assertion.attribute}] is "${expected}"`
+            : `expected [${assertion.attribute}] to be "${expected}" but found ${value === null ? 'no attribute' : `"${value}"`}`
+        };
+      }
+
+      default:
+        return { passed: false, element, message: `unknown assertion kind "${kind}"` };
+    }
+  }
+
+  /**
+   * Block until the wait condition holds or its timeout expires
+   * @param {Object} action - { wait: { kind, timeout, pattern, idleTime }, selectors }
+   */
+  async handleWait(action, stepNumber) {
+    const wait = action.wait || {};
+    const timeout = wait.timeout || 10000;
+    const description = this.describeWait(wait);
+
+    console.log(`[Marionete] Step ${stepNumber}: waiting until ${description}`);
+
+    const satisfied = wait.kind === 'dom_idle'
+      ? await this.waitForDomIdle(wait.idleTime || 500, timeout)
+      : await this.pollUntil(() => this.isWaitSatisfied(wait, action.selectors), timeout);
+
+    if (this.abortController?.signal.aborted) {
+      throw new Error('Playback aborted');
+    }
+
+    if (!satisfied) {
+      throw new Error(`Wait timed out after ${timeout}ms at step ${stepNumber}: ${description}`);
+    }
+
+    console.log(`[Marionete] Wait satisfied: ${description}`);
+  }
+
+  isWaitSatisfied(wait, selectors) {
+    if (wait.kind === 'url_matches') {
+      return this.safeRegExp(wait.pattern)?.test(window.location.href) || false;
+    }
+
+    const element = selectors ? SelectorEngine.findElement(selectors) : null;
+
+    switch (wait.kind) {
+      case 'element_present':
+        return !!element;
+      case 'element_visible':
+        return !!element && SelectorEngine.isElementVisible(element);
+      case 'element_enabled':
+        return !!element &&
+               !element.disabled &&
+               element.getAttribute('aria-disabled') !== 'true';
+      case 'element_gone':
+        return !element || !SelectorEngine.isElementVisible(element);
+      default:
+        console.warn(`[Marionete] Unknown wait kind: ${wait.kind}`);
+        return true;
+    }
+  }
+
+  describeWait(wait) {
+    switch (wait.kind) {
+      case 'element_present': return 'element appears';
+      case 'element_visible': return 'element is visible';
+      case 'element_enabled': return 'element is enabled';
+      case 'element_gone': return 'element disappears';
+      case 'url_matches': return `URL matches /${wait.pattern}/`;
+      case 'dom_idle': return `no DOM changes for ${wait.idleTime || 500}ms`;
+      default: return wait.kind;
+    }
+  }
+
+  /**
+   * Re-check a condition every 100ms
+   * @returns {Promise<boolean>} false on timeout or abort
+   */
+  async pollUntil(condition, timeout) {
+    const start = TimingEngine.now();
+
+    while (TimingEngine.now() - start < timeout) {
+      if (this.abortController?.signal.aborted) return false;
+      if (condition()) return true;
+      await TimingEngine.wait(100);
+    }
+
+    return condition();
+  }
+
+  /**
+   * Resolve true once the DOM has gone idleTime ms without mutations
+   * @returns {Promise<boolean>} false on timeout
+   */
+  waitForDomIdle(idleTime, timeout) {
+    return new Promise(resolve => {
+      let idleTimer = null;
+      let timeoutTimer = null;
+
+      const finish = (result) => {
+        observer.disconnect();
+        clearTimeout(idleTimer);
+        clearTimeout(timeoutTimer);
+        resolve(result);
+      };
+
+      const observer = new MutationObserver(() => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => finish(true), idleTime);
+      });
+
+      observer.observe(document, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        characterData: true
+      });
+
+      idleTimer = setTimeout(() => finish(true), idleTime);
+      timeoutTimer = setTimeout(() => finish(false), timeout);
+    });
+  }
+
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  safeRegExp(pattern, flags = '') {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (e) {
+      console.warn('[Marionete] Invalid assertion pattern:', pattern);
+      return null;
+    }
+  }
+
+  /**
+   * Find element with retry logic for better reliability
+   */
+  async findElementWithRetry(selectors, stepNumber, maxRetries = 8) {
+    let lastError = null;
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        // Try to find element
+        const element = SelectorEngine.findElement(selectors);
+        
+        if (element) {
+          // Check if element is interactable
+          const isInteractable = this.isElementInteractable(element);
+          
+          if (isInteractable) {
+            if (attempt > 1) {
+              console.log(`[Marionete] ✓ Found element on attempt ${attempt}`);
+            }
+            return element;
+          } else if (attempt < maxRetries) {
+            console.warn(`[Marionete] Element found but not interactable, retry ${attempt}/${maxRetries}`);
+            lastError = 'Element not interactable';
+          } else {
+            // Last attempt - return even if not fully interactable
+            console.warn('[Marionete] Element not fully interactable, using anyway');
+            return element;
+          }
+        } else {
+          lastError = 'Element not found';
+        }
+
+        // If not found, wait and retry with progressive backoff
+        if (attempt < maxRetries) {
+          const waitTime = Math.min(attempt * 300, 2000); // Max 2 seconds
+          console.warn(`[Marionete] Step ${stepNumber}: ${lastError}, retry ${attempt}/${maxRetries} in ${waitTime}ms...`);
+          await TimingEngine.wait(waitTime);
+          
+          // On later attempts, try scrolling to make elements load
+          if (attempt > 3) {
+            window.scrollBy(0, 100);
+            await TimingEngine.wait(100);
+            window.scrollBy(0, -100);
+            await TimingEngine.wait(100);
+          }
+        }
+      } catch (error) {
+        lastError = error.message;
+        console.warn(`[Marionete] Error during element finding: ${error.message}`);
+        
+        if (attempt < maxRetries) {
+          await TimingEngine.wait(attempt * 300);
+        }
+      }
+    }
+
+    // Final attempt with detailed logging
+    console.error('[Marionete] ❌ Element not found after all retries', {
+      step: stepNumber,
+      selectors: {
+        id: selectors.id,
+        name: selectors.name,
+        testId: selectors.testId,
+        className: selectors.className,
+        tagName: selectors.tagName,
+        textContent: selectors.textContent
+      },
+      currentUrl: window.location.href,
+      lastError: lastError
+    });
+
+    return null;
+  }
+
+  /**
+   * Check if element is interactable
+   */
+  isElementInteractable(element) {
+    if (!element || !element.isConnected) return false;
+    
+    try {
+      const style = window.getComputedStyle(element);
+      
+      // Check visibility
+      if (style.display === 'none' || 
+          style.visibility === 'hidden' || 
+          style.opacity === '0') {
+        return false;
+      }
+      
+      // Check if element has size
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) {
+        return false;
+      }
+      
+      // Check if not disabled
+      if (element.disabled) {
+        return false;
+      }
+      
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async waitForPageLoad() {
+    return new Promise((resolve) => {
+      // If already loaded
+      if (document.readyState === 'complete') {
+        console.log('[Marionete] Page already loaded');
+        resolve();
+        return;
+      }
+
+      let resolved = false;
+
+      // Method 1: Wait for load event
+      const loadHandler = () => {
+        if (!resolved) {
+          resolved = true;
+          console.log('[Marionete] Page loaded (load event)');
+          resolve();
+        }
+      };
+
+      // Method 2: Wait for readyState change
+      const stateHandler = () => {
+        if (document.readyState === 'complete' && !resolved) {
+          resolved = true;
+          console.log('[Marionete] Page loaded (readyState)');
+          document.removeEventListener('readystatechange', stateHandler);
+          window.removeEventListener('load', loadHandler);
+          resolve();
+        }
+      };
+
+      window.addEventListener('load', loadHandler, { once: true });
+      document.addEventListener('readystatechange', stateHandler);
+
+      // Timeout after 15 seconds (Brazilian sites might be slower)
+      setTimeout(() => {
+        if (!resolved) {
+          resolved = true;
+          console.warn('[Marionete] Page load timeout (15s), continuing anyway');
+          document.removeEventListener('readystatechange', stateHandler);
+          window.removeEventListener('load', loadHandler);
+          resolve();
+        }
+      }, 15000);
+    });
+  }
+
+  /**
+   * Suspend playback before the next step
+   * The step in progress (if any) is allowed to finish
+   */
+  pause() {
+    if (!this.isPlaying || this.isPaused) return;
+    
+    this.isPaused = true;
+    this.updateDebugControls();
+    
+    console.log('[Marionete] Playback paused at step', this.currentStep + 1);
+  }
+
+  resume() {
+    if (!this.isPlaying || !this.isPaused) return;
+
+    this.isPaused = false;
+    this.releasePause();
+
+    console.log('[Marionete] Playback resumed at step', this.currentStep + 1);
+  }
+
+  /**
+   * Execute exactly one step, then pause again
+   */
+  step() {
+    if (!this.isPlaying) return;
+
+    this.pauseAfterStep = true;
+
+    if (this.isPaused) {
+      this.isPaused = false;
+      this.releasePause();
+    }
+  }
+
+  stop() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+
+    // Wake a paused loop so it can observe the abort
+    this.releasePause();
+    this.cleanup();
+  }
+
+  /**
+   * Tell the service worker which step is about to run, so it can pick the
+   * run up from the next one if this document is replaced
+   */
+  reportProgress(index) {
+    if (!chrome.runtime?.id) return;
+
+    chrome.runtime.sendMessage({
+      type: 'PLAYBACK_PROGRESS',
+      data: {
+        step: index,
+        paused: this.isPaused
+      }
+    }).catch(() => {
+      // Not driven by the service worker (or it's restarting) - nothing to do
+    });
+  }
+
+  reportAssertion(result) {
+    if (!chrome.runtime?.id) return;
+
+    chrome.runtime.sendMessage({
+      type: 'PLAYBACK_ASSERTION',
+      data: result
+    }).catch(() => {
+      // Local results are still returned with the segment's response
+    });
+  }
+
+  reportFinished(result) {
+    if (!chrome.runtime?.id) return;
+
+    chrome.runtime.sendMessage({
+      type: 'PLAYBACK_FINISHED',
+      data: result
+    }).catch(() => {
+      // Result is also returned as the START_PLAYBACK response
+    });
+  }
+
+  /**
+   * If a full navigation has started, stall instead of running the next step
+   * in a document that is about to disappear. The service worker resumes the
+   * run in the new page. Gives up after the timeout in case the navigation was
+   * cancelled (download, 204 response, beforeunload prompt).
+   */
+  async waitIfUnloading(timeout = 15000) {
+    if (!this.unloading) return;
+
+    console.log('[Marionete] Page unloading, holding playback for the next document');
+
+    const start = TimingEngine.now();
+    while (this.unloading && TimingEngine.now() - start < timeout) {
+      await TimingEngine.wait(100);
+    }
+
+    if (this.unloading) {
+      console.warn('[Marionete] Page did not unload, continuing in this document');
+      this.unloading = false;
+    }
+  }
+
+  /**
+   * Block the playback loop while paused
+   */
+  async waitWhilePaused() {
+    if (!this.isPaused) return;
+
+    this.updateDebugControls();
+
+    await new Promise(resolve => {
+      this.resumeResolver = resolve;
+    });
+
+    if (!this.abortController || this.abortController.signal.aborted) {
+      throw new Error('Playback aborted');
+    }
+  }
+
+  releasePause() {
+    if (this.resumeResolver) {
+      const resolve = this.resumeResolver;
+      this.resumeResolver = null;
+      resolve();
+    }
+  }
+
+  updateDebugControls() {
+    if (!this.halo) return;
+
+    this.halo.updateDebugControls({
+      paused: this.isPaused,
+      step: this.currentStep + 1,
+      total: this.actions.length
+    });
+  }
+
+  setSpeed(speed) {
+    this.playbackSpeed = speed;
+    
+    if (this.halo) {
+      this.halo.showReplayIndicator(speed);
+    }
+    
+    console.log('[Marionete] Speed changed to', `${speed}×`);
+  }
+
+  startDialogHandling(failOnUnexpected) {
+    this.answeredDialogs = [];
+    this.unexpectedDialog = null;
+    this.failOnUnexpectedDialog = failOnUnexpected;
+
+    this.unsubscribeDialogs = DialogBridge.onDialog((report) => {
+      if (report.event === 'answered') {
+        console.log('[Marionete] Answered dialog:', report.dialogType, report.message);
+        this.answeredDialogs.push(report);
+      } else if (report.event === 'unexpected' && report.early && this.isNextDialog(report)) {
+        // Opened while the page loaded, before answers could be armed - it was
+        // dismissed, but it's the dialog the flow expects next
+        console.warn('[Marionete] Dismissed dialog opened during page load:', report.dialogType, report.message);
+        this.answeredDialogs.push(report);
+      } else if (report.event === 'unexpected') {
+        console.warn('[Marionete] Dismissed unexpected dialog:', report.dialogType, report.message);
+        this.unexpectedDialog = this.unexpectedDialog || report;
+      }
+    });
+    this.armDialogs([]);
+  }
+
+  /**
+   * Queue answers for the dialogs the next step opens. Anything left
+   * from the previous step's queue is dropped.
+   */
+  armDialogs(answers) {
+    DialogBridge.configure({ mode: 'replay', answers });
+  }
+
+  /**
+   * Whether a dialog is one of the dialog steps right at the current step
+   */
+  isNextDialog(report) {
+    return DialogBridge.answersAfter(this.actions, this.currentStep - 1)
+      .some(answer => answer.dialogType === report.dialogType);
+  }
+
+  checkUnexpectedDialog(stepNumber) {
+    if (!this.unexpectedDialog || !this.failOnUnexpectedDialog) return;
+
+    const { dialogType, message } = this.unexpectedDialog;
+    throw new Error(`Unexpected ${dialogType} dialog at step ${stepNumber}: "${message}"`);
+  }
+
+  /**
+   * The hook answers the dialog while the step that opened it runs; here we
+   * only confirm it showed up. Dialogs in subframes and beforeunload prompts
+   * answer out of reach of this document, so there's nothing to wait for.
+   */
+  async handleDialog(action, stepNumber) {
+    if (action.dialogType === 'beforeunload' || action.frame?.path?.length > 0) return;
+
+    const start = TimingEngine.now();
+    while (TimingEngine.now() - start < 3000) {
+      const index = this.answeredDialogs.findIndex(report => report.dialogType === action.dialogType);
+      if (index !== -1) {
+        this.answeredDialogs.splice(index, 1);
+        return;
+      }
+      await TimingEngine.wait(100);
+    }
+
+    console.warn(`[Marionete] Step ${stepNumber}: expected ${action.dialogType} dialog did not open`);
+  }
+
+  getState() {
+    return {
+      isPlaying: this.isPlaying,
+      isPaused: this.isPaused,
+      currentStep: this.currentStep,
+      totalSteps: this.actions.length,
+      speed: this.playbackSpeed,
+      progress: this.actions.length > 0 
+        ? (this.currentStep / this.actions.length) * 100 
+        : 0
+    };
+  }
+
+  cleanup() {
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.pauseAfterStep = false;
+    this.unloading = false;
+    // currentStep is kept: stop() cleans up before an aborted run reports
+    // how far it got, and play() sets it again
+
+    window.removeEventListener('beforeunload', this.handleBeforeUnload);
+
+    if (this.unsubscribeDialogs) {
+      this.unsubscribeDialogs();
+      this.unsubscribeDialogs = null;
+      DialogBridge.configure({ mode: 'idle' });
+    }
+    
+    if (this.halo) {
+      this.halo.hideIndicators();
+      this.halo.clearAll();
+    }
+    
+    if (this.abortController) {
+      this.abortController = null;
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.actions = [];
+  }
 }
\ No newline at end of file
@@ -1,563 +1,1846 @@
-/**
- * Recorder - Enhanced with state persistence and cross-page compatibility
- * Fixes: Lost recording on navigation, better site compatibility
- */
-
-class Recorder {
-  constructor() {
-    this.isRecording = false;
-    this.actions = [];
-    this.startTime = null;
-    this.lastActionTime = null;
-    this.startUrl = null;
-    this.currentUrl = null;
-    this.halo = null;
-    this.syncInterval = null;
-    this.lastSyncTime = null;
-    
-    this.handleClick = this.handleClick.bind(this);
-    this.handleInput = this.handleInput.bind(this);
-    this.handleKeyDown = this.handleKeyDown.bind(this);
-    this.handleNavigation = this.handleNavigation.bind(this);
-  }
-
-  start() {
-    if (this.isRecording) {
-      console.warn('[Marionete] Already recording');
-      return;
-    }
-
-    this.isRecording = true;
-    this.actions = [];
-    this.startTime = TimingEngine.now();
-    this.lastActionTime = this.startTime;
-    this.startUrl = window.location.href;
-    this.currentUrl = this.startUrl;
-    this.lastSyncTime = Date.now();
-
-    this.halo = getHaloSystem();
-    this.halo.showRecordingIndicator();
-
-    // Attach event listeners with capture phase for better compatibility
-    document.addEventListener('click', this.handleClick, true);
-    document.addEventListener('input', this.handleInput, true);
-    document.addEventListener('keydown', this.handleKeyDown, true);
-
-    // Also attach to window for better coverage
-    window.addEventListener('click', this.handleClick, true);
-
-    this.setupNavigationTracking();
-    this.startStateSync();
-
-    // Notify background that recording started
-    chrome.runtime.sendMessage({
-      type: 'RECORDING_STARTED',
-      data: {
-        startUrl: this.startUrl,
-        startTime: this.startTime
-      }
-    }).catch(err => {
-      console.error('[Marionete] Failed to notify background:', err);
-    });
-
-    console.log('[Marionete] Recording started', { url: this.startUrl });
-  }
-
-  stop() {
-    if (!this.isRecording) {
-      console.warn('[Marionete] Not recording');
-      return null;
-    }
-
-    this.isRecording = false;
-
-    // Remove event listeners
-    document.removeEventListener('click', this.handleClick, true);
-    document.removeEventListener('input', this.handleInput, true);
-    document.removeEventListener('keydown', this.handleKeyDown, true);
-    window.removeEventListener('click', this.handleClick, true);
-
-    // Stop sync
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
-      this.syncInterval = null;
-    }
-
-    if (this.halo) {
-      this.halo.hideIndicators();
-      this.halo.clearAll();
-    }
-
-    // Final sync before stopping
-    this.syncActionsToBackground();
-
-    const recordingData = {
-      actions: this.actions,
-      startUrl: this.startUrl,
-      duration: TimingEngine.now() - this.startTime,
-      recordedAt: new Date().toISOString()
-    };
-
-    // Notify background that recording stopped
-    chrome.runtime.sendMessage({
-      type: 'RECORDING_STOPPED'
-    }).catch(err => {
-      console.error('[Marionete] Failed to notify background:', err);
-    });
-
-    console.log('[Marionete] Recording stopped', {
-      actions: this.actions.length,
-      duration: TimingEngine.formatDuration(recordingData.duration)
-    });
-
-    return recordingData;
-  }
-
-  /**
-   * Restore recording state after navigation
-   */
-  restore(data) {
-    console.log('[Marionete] Restoring recording state...', {
-      existingActions: data.actions.length,
-      startUrl: data.startUrl
-    });
-
-    this.isRecording = true;
-    this.actions = data.actions || [];
-    this.startUrl = data.startUrl;
-    this.startTime = data.startTime;
-    this.lastActionTime = this.actions.length > 0 
-      ? this.actions[this.actions.length - 1].timing.timestamp 
-      : this.startTime;
-    this.currentUrl = window.location.href;
-    this.lastSyncTime = Date.now();
-
-    // Check if URL changed (navigation occurred)
-    if (this.currentUrl !== this.startUrl) {
-      const now = TimingEngine.now();
-      const navigationAction = {
-        type: 'navigation',
-        url: this.currentUrl,
-        fromUrl: this.actions.length > 0 
-          ? this.actions[this.actions.length - 1].url 
-          : this.startUrl,
-        timing: TimingEngine.createTimingData('navigation', now, this.lastActionTime)
-      };
-      this.actions.push(navigationAction);
-      this.lastActionTime = now;
-      
-      console.log('[Marionete] Captured navigation during restore', {
-        from: navigationAction.fromUrl,
-        to: this.currentUrl
-      });
-    }
-
-    // Restart UI and listeners
-    this.halo = getHaloSystem();
-    this.halo.showRecordingIndicator();
-
-    document.addEventListener('click', this.handleClick, true);
-    document.addEventListener('input', this.handleInput, true);
-    document.addEventListener('keydown', this.handleKeyDown, true);
-    window.addEventListener('click', this.handleClick, true);
-
-    this.setupNavigationTracking();
-    this.startStateSync();
-
-    console.log('[Marionete] Recording state restored successfully');
-    return { success: true };
-  }
-
-  /**
-   * Periodically sync actions to background for persistence
-   */
-  startStateSync() {
-    // Sync every 2 seconds
-    this.syncInterval = setInterval(() => {
-      if (this.isRecording && this.actions.length > 0) {
-        this.syncActionsToBackground();
-      }
-    }, 2000);
-  }
-
-  syncActionsToBackground() {
-    // Check if we can communicate with background
-    if (!chrome.runtime?.id) {
-      console.warn('[Marionete] Extension context invalidated, cannot sync');
-      return;
-    }
-
-    try {
-      chrome.runtime.sendMessage({
-        type: 'SYNC_ACTIONS',
-        data: {
-          actions: this.actions
-        }
-      }).then(response => {
-        if (response?.success) {
-          this.lastSyncTime = Date.now();
-          console.log('[Marionete] Synced to background. Total:', response.totalActions);
-        }
-      }).catch(err => {
-        // Ignore back/forward cache errors
-        if (err.message && err.message.includes('back/forward cache')) {
-          console.log('[Marionete] Page in back/forward cache, sync skipped');
-        } else if (err.message && err.message.includes('message port closed')) {
-          console.log('[Marionete] Message port closed, sync skipped');
-        } else {
-          console.warn('[Marionete] Sync failed:', err);
-        }
-      });
-    } catch (err) {
-      console.warn('[Marionete] Cannot sync:', err);
-    }
-  }
-
-  handleClick(event) {
-    if (!this.isRecording) return;
-
-    const element = event.target;
-    
-    // Skip Marionete elements
-    if (this.isMarioneteElement(element)) return;
-
-    // Try to get actual clickable element (traverse up for nested elements)
-    const clickableElement = this.findClickableElement(element);
-    const targetElement = clickableElement || element;
-
-    const now = TimingEngine.now();
-    const selectors = SelectorEngine.generateSelectors(targetElement);
-    
-    // Enhanced action data with more context for better playback
-    const action = {
-      type: 'click',
-      selectors,
-      timing: TimingEngine.createTimingData('click', now, this.lastActionTime),
-      url: window.location.href,
-      elementType: targetElement.tagName.toLowerCase(),
-      textContent: targetElement.textContent?.trim().substring(0, 100) || '',
-      // Additional context for better playback
-      elementContext: {
-        isButton: targetElement.tagName === 'BUTTON' || 
-                 targetElement.type === 'button' ||
-                 targetElement.type === 'submit',
-        isLink: targetElement.tagName === 'A',
-        hasOnClick: !!targetElement.onclick || !!targetElement.getAttribute('onclick'),
-        role: targetElement.getAttribute('role'),
-        ariaLabel: targetElement.getAttribute('aria-label'),
-        title: targetElement.getAttribute('title'),
-        href: targetElement.href || null
-      }
-    };
-
-    this.actions.push(action);
-    this.lastActionTime = now;
-
-    if (this.halo) {
-      const label = action.elementContext.isButton ? 'Botão' : 
-                   action.elementContext.isLink ? 'Link' : 'Click';
-      this.halo.showHalo(targetElement, 'recording', `${this.actions.length}. ${label}`);
-    }
-
-    console.log('[Marionete] Captured click', { 
-      step: this.actions.length,
-      element: targetElement.tagName,
-      type: action.elementContext.isButton ? 'button' : 
-            action.elementContext.isLink ? 'link' : 'element',
-      text: action.textContent.substring(0, 30),
-      delay: action.timing.delay 
-    });
-  }
-
-  /**
-   * Find the actual clickable element (button, link, etc.)
-   * More comprehensive search including Brazilian patterns
-   */
-  findClickableElement(element) {
-    let current = element;
-    let depth = 0;
-    
-    while (current && depth < 6) { // Increased depth
-      // Check if it's a clickable element
-      if (current.tagName === 'A' || 
-          current.tagName === 'BUTTON' ||
-          current.type === 'button' ||
-          current.type === 'submit' ||
-          current.onclick ||
-          current.getAttribute('onclick') ||
-          current.getAttribute('role') === 'button' ||
-          current.getAttribute('role') === 'link' ||
-          current.getAttribute('data-testid') ||
-          current.getAttribute('data-action') ||
-          current.getAttribute('data-qa') ||
-          current.classList.contains('btn') ||
-          current.classList.contains('button') ||
-          current.classList.contains('link') ||
-          // Brazilian site patterns
-          current.classList.contains('botao') ||
-          current.classList.contains('botão')) {
-        return current;
-      }
-      
-      current = current.parentElement;
-      depth++;
-    }
-    
-    return null;
-  }
-
-  handleInput(event) {
-    if (!this.isRecording) return;
-
-    const element = event.target;
-    
-    if (this.isMarioneteElement(element)) return;
-
-    if (!['INPUT', 'TEXTAREA'].includes(element.tagName)) return;
-
-    const now = TimingEngine.now();
-    const selectors = SelectorEngine.generateSelectors(element);
-
-    // Merge consecutive inputs to same element
-    const lastAction = this.actions[this.actions.length - 1];
-    if (lastAction && 
-        lastAction.type === 'input' && 
-        this.selectorsMatch(lastAction.selectors, selectors) &&
-        (now - lastAction.timing.timestamp) < 1000) {
-      lastAction.value = element.value;
-      lastAction.timing.timestamp = now;
-      return;
-    }
-
-    const action = {
-      type: 'input',
-      selectors,
-      value: element.value,
-      timing: TimingEngine.createTimingData('input', now, this.lastActionTime),
-      url: window.location.href,
-      inputType: element.type || 'text',
-      placeholder: element.placeholder || ''
-    };
-
-    this.actions.push(action);
-    this.lastActionTime = now;
-
-    if (this.halo) {
-      this.halo.showHalo(element, 'recording', `${this.actions.length}. Digitação`);
-    }
-
-    console.log('[Marionete] Captured input', { 
-      step: this.actions.length,
-      valueLength: element.value.length 
-    });
-  }
-
-  selectorsMatch(sel1, sel2) {
-    return sel1.id === sel2.id || 
-           sel1.name === sel2.name ||
-           sel1.css === sel2.css;
-  }
-
-  handleKeyDown(event) {
-    if (!this.isRecording) return;
-    if (event.key !== 'Enter') return;
-
-    const element = event.target;
-    
-    if (this.isMarioneteElement(element)) return;
-
-    const now = TimingEngine.now();
-    const selectors = SelectorEngine.generateSelectors(element);
-
-    const action = {
-      type: 'keypress',
-      key: 'Enter',
-      selectors,
-      timing: TimingEngine.createTimingData('keypress', now, this.lastActionTime),
-      url: window.location.href
-    };
-
-    this.actions.push(action);
-    this.lastActionTime = now;
-
-    if (this.halo) {
-      this.halo.showHalo(element, 'recording', `${this.actions.length}. Enter`);
-    }
-
-    console.log('[Marionete] Captured Enter key', { step: this.actions.length });
-  }
-
-  setupNavigationTracking() {
-    let lastUrl = window.location.href;
-    let checkCount = 0;
-    
-    const checkUrlChange = () => {
-      if (!this.isRecording) return;
-      
-      checkCount++;
-      const currentUrl = window.location.href;
-      
-      if (currentUrl !== lastUrl) {
-        // URL changed
-        console.log('[Marionete] URL change detected', { from: lastUrl, to: currentUrl });
-        this.handleNavigation(currentUrl);
-        lastUrl = currentUrl;
-        checkCount = 0; // Reset count
-      }
-      
-      // Periodic logging for debugging (every 10 checks = 5 seconds)
-      if (checkCount % 10 === 0) {
-        console.log('[Marionete] Recording active, monitoring URL...', {
-          currentUrl,
-          actions: this.actions.length
-        });
-      }
-    };
-
-    // Multiple tracking methods for better compatibility
-    
-    // 1. MutationObserver for DOM changes (SPAs)
-    try {
-      const observer = new MutationObserver(checkUrlChange);
-      observer.observe(document, { subtree: true, childList: true });
-      this.navigationObserver = observer;
-    } catch (err) {
-      console.warn('[Marionete] MutationObserver failed:', err);
-    }
-
-    // 2. History API interception
-    try {
-      const originalPushState = history.pushState;
-      const originalReplaceState = history.replaceState;
-      
-      history.pushState = function(...args) {
-        const result = originalPushState.apply(this, args);
-        checkUrlChange();
-        return result;
-      };
-      
-      history.replaceState = function(...args) {
-        const result = originalReplaceState.apply(this, args);
-        checkUrlChange();
-        return result;
-      };
-
-      // Store originals for cleanup
-      this.originalPushState = originalPushState;
-      this.originalReplaceState = originalReplaceState;
-    } catch (err) {
-      console.warn('[Marionete] History API interception failed:', err);
-    }
-
-    // 3. Polling as fallback (more frequent for Brazilian sites)
-    this.urlCheckInterval = setInterval(checkUrlChange, 500);
-
-    // 4. Listen to popstate (back/forward)
-    this.popstateHandler = checkUrlChange;
-    window.addEventListener('popstate', this.popstateHandler);
-
-    // 5. Listen to hashchange (some sites use hash routing)
-    this.hashchangeHandler = checkUrlChange;
-    window.addEventListener('hashchange', this.hashchangeHandler);
-
-    // 6. Page visibility change (tab switch detection)
-    this.visibilityHandler = () => {
-      if (!document.hidden && this.isRecording) {
-        console.log('[Marionete] Tab visible again, checking URL...');
-        checkUrlChange();
-      }
-    };
-    document.addEventListener('visibilitychange', this.visibilityHandler);
-
-    console.log('[Marionete] Navigation tracking initialized with 6 methods');
-  }
-
-  handleNavigation(newUrl) {
-    if (!this.isRecording || newUrl === this.currentUrl) return;
-
-    const now = TimingEngine.now();
-
-    const action = {
-      type: 'navigation',
-      url: newUrl,
-      fromUrl: this.currentUrl,
-      timing: TimingEngine.createTimingData('navigation', now, this.lastActionTime)
-    };
-
-    this.actions.push(action);
-    this.lastActionTime = now;
-    this.currentUrl = newUrl;
-
-    console.log('[Marionete] Captured navigation', { 
-      step: this.actions.length,
-      from: action.fromUrl,
-      to: newUrl
-    });
-
-    // Immediate sync on navigation
-    this.syncActionsToBackground();
-  }
-
-  isMarioneteElement(element) {
-    if (!element) return false;
-    
-    let current = element;
-    while (current) {
-      if (current.id === 'marionete-halo-container') return true;
-      if (current.className && 
-          typeof current.className === 'string' && 
-          current.className.includes('marionete')) return true;
-      current = current.parentElement;
-    }
-    
-    return false;
-  }
-
-  getState() {
-    return {
-      isRecording: this.isRecording,
-      actionCount: this.actions.length,
-      duration: this.startTime ? TimingEngine.now() - this.startTime : 0,
-      startUrl: this.startUrl,
-      currentUrl: this.currentUrl
-    };
-  }
-
-  destroy() {
-    if (this.isRecording) {
-      this.stop();
-    }
-    
-    if (this.urlCheckInterval) {
-      clearInterval(this.urlCheckInterval);
-    }
-    
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
-    }
-    
-    if (this.navigationObserver) {
-      this.navigationObserver.disconnect();
-    }
-
-    // Restore history methods
-    if (this.originalPushState) {
-      history.pushState = this.originalPushState;
-    }
-    if (this.originalReplaceState) {
-      history.replaceState = this.originalReplaceState;
-    }
-
-    if (this.popstateHandler) {
-      window.removeEventListener('popstate', this.popstateHandler);
-    }
-
-    if (this.hashchangeHandler) {
-      window.removeEventListener('hashchange', this.hashchangeHandler);
-    }
-
-    if (this.visibilityHandler) {
-      document.removeEventListener('visibilitychange', this.visibilityHandler);
-    }
-  }
+/**
+ * Recorder - Enhanced with state persistence and cross-page compatibility
+ * Fixes: Lost recording on navigation, better site compatibility
+ */
+
+// What drag libraries mark draggable items with (SortableJS, dnd-kit,
+// react-beautiful-dnd, Angular CDK, jQuery UI)
+const DRAG_SOURCE_SELECTOR = [
+  '[draggable="true"]', '.sortable-chosen', '[aria-roledescription="draggable"]',
+  '[aria-roledescription="sortable"]', '[data-rbd-drag-handle-draggable-id]',
+  '.cdk-drag', '.ui-draggable', '.ui-sortable-handle'
+].join(', ');
+// The copy of the item that follows the pointer while a library drags it
+const DRAG_MIRROR_SELECTOR = '.sortable-fallback, .gu-mirror, .cdk-drag-preview, .ui-draggable-dragging, .ui-sortable-helper';
+
+class Recorder {
+  constructor() {
+    this.isRecording = false;
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.actions = [];
+    this.startTime = null;
+    this.lastActionTime = null;
+    this.startUrl = null;
+    this.currentUrl = null;
+    this.halo = null;
+    this.syncInterval = null;
+    this.lastSyncTime = null;
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleNavigation = this.handleNavigation.bind(this);
+    this.handleDragStart = this.handleDragStart.bind(this);
+    this.handleDragEnd = this.handleDragEnd.bind(this);
+    this.handleDrop = this.handleDrop.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.handleRevealMutations = this.handleRevealMutations.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleDblClick = this.handleDblClick.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+    this.handleDialog = this.handleDialog.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.settleBeforeUnload = this.settleBeforeUnload.bind(this);
+
+    // Drag in progress: { mode: 'html5'|'pointer', source, sourceSelectors, startX, startY, moved, evidence }
+    this.pendingDrag = null;
+    // A pointer drag ends in a click on the common ancestor - ignore it
+    this.suppressClickUntil = 0;
+
+    // Hover tracking: the last element the pointer entered, and the nodes
+    // that changed right after a hover (node -> { element, timestamp })
+    this.lastHover = null;
+    this.revealedBy = new WeakMap();
+    this.revealObserver = null;
+
+    // Debounced scrolls per scrolled element: element -> { timer, isWindow }
+    this.pendingScrolls = new Map();
+
+    // Names this document in step screenshots, which are taken later: a
+    // capture for a document that's gone by then is dropped
+    this.documentToken = Math.random().toString(36).substring(2);
+    // Sensitive fields drawn as dots for a screenshot: [{ field, value, priority }]
+    this.maskedFields = [];
+
+    // Subframe recording: actions are relayed to the top frame's recorder,
+    // which owns the flow. Snapshot per local index to detect merges/removals.
+    this.frameInfo = null;
+    this.frameToken = null;
+    this.relayInterval = null;
+    this.relayedSnapshots = [];
+
+    // Native dialogs, reported by content/dialog-hook.js. A beforeunload
+    // prompt has no answer to report: leaving shows up as pagehide, staying
+    // as the next interaction with the page.
+    this.unsubscribeDialogs = null;
+    this.pendingBeforeUnload = false;
+
+    // Events dropped by RecordingRules, shown on the recording indicator
+    this.filteredCount = 0;
+
+    // Set when recording into an existing flow: { flowId, index, replaceCount }.
+    // Handed back with the recording so the caller splices it in.
+    this.target = null;
+  }
+
+  /**
+   * @param {Object} options - { target } when recording into an existing flow
+   */
+  start(options = {}) {
+    if (this.isRecording) {
+      console.warn('[Marionete] Already recording');
+      return;
+    }
+
+    this.isRecording = true;
+    this.target = options.target || null;
+    this.filteredCount = 0;
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.actions = [];
+    this.startTime = TimingEngine.now();
+    this.lastActionTime = this.startTime;
+    this.startUrl = window.location.href;
+    this.currentUrl = this.startUrl;
+    this.lastSyncTime = Date.now();
+
+    this.halo = getHaloSystem();
+    this.halo.showRecordingIndicator();
+
+    this.attachEventListeners();
+    this.setupNavigationTracking();
+    this.startStateSync();
+
+    // Notify background that recording started
+    chrome.runtime.sendMessage({
+      type: 'RECORDING_STARTED',
+      data: {
+        startUrl: this.startUrl,
+        startTime: this.startTime,
+        target: this.target
+      }
+    }).catch(err => {
+      console.error('[Marionete] Failed to notify background:', err);
+    });
+
+    console.log('[Marionete] Recording started', { url: this.startUrl });
+  }
+
+  stop() {
+    if (!this.isRecording) {
+      console.warn('[Marionete] Not recording');
+      return null;
+    }
+
+    this.isRecording = false;
+    this.isPaused = false;
+    this.pausedAt = null;
+
+    this.detachEventListeners();
+    this.teardownNavigationTracking();
+
+    // Stop sync
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+
+    if (this.halo) {
+      this.halo.hideIndicators();
+      this.halo.clearAll();
+    }
+
+    // The caller hands these actions to the service worker with RECORDING_STOPPED
+    const recordingData = {
+      actions: this.actions,
+      startUrl: this.startUrl,
+      duration: TimingEngine.now() - this.startTime,
+      recordedAt: new Date().toISOString(),
+      target: this.target
+    };
+
+    console.log('[Marionete] Recording stopped', {
+      actions: this.actions.length,
+      duration: TimingEngine.formatDuration(recordingData.duration)
+    });
+
+    return recordingData;
+  }
+
+  /**
+   * Suspend capturing without ending the recording
+   */
+  pause() {
+    if (!this.isRecording || this.isPaused) return;
+
+    this.isPaused = true;
+    this.pausedAt = TimingEngine.now();
+
+    if (this.halo) {
+      this.halo.setRecordingPaused(true);
+    }
+
+    // Flush what we have so far so a navigation while paused doesn't lose it
+    this.syncActionsToBackground();
+
+    chrome.runtime.sendMessage({
+      type: 'RECORDING_PAUSED'
+    }).catch(err => {
+      console.error('[Marionete] Failed to notify background:', err);
+    });
+
+    console.log('[Marionete] Recording paused', { actions: this.actions.length });
+  }
+
+  /**
+   * Resume capturing after pause()
+   * The paused interval is excluded from the next action's delay
+   */
+  resume() {
+    if (!this.isRecording || !this.isPaused) return;
+
+    const pausedFor = TimingEngine.calculateDelay(this.pausedAt, TimingEngine.now());
+    this.lastActionTime += pausedFor;
+    this.isPaused = false;
+    this.pausedAt = null;
+
+    if (this.halo) {
+      this.halo.setRecordingPaused(false);
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'RECORDING_RESUMED'
+    }).catch(err => {
+      console.error('[Marionete] Failed to notify background:', err);
+    });
+
+    console.log('[Marionete] Recording resumed', {
+      pausedFor: TimingEngine.formatDuration(pausedFor)
+    });
+  }
+
+  /**
+   * Stop capturing because recording moved to another tab. Unlike stop(),
+   * the recording goes on - the service worker restores it here if the
+   * flow switches back to this tab.
+   * @returns {Object} { actions, url } as of leaving the tab
+   */
+  suspend() {
+    if (!this.isRecording) return null;
+
+    this.flushPendingScrolls();
+
+    this.isRecording = false;
+    this.detachEventListeners();
+    this.teardownNavigationTracking();
+
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+
+    if (this.halo) {
+      this.halo.hideIndicators();
+      this.halo.clearAll();
+    }
+
+    console.log('[Marionete] Recording moved to another tab', { actions: this.actions.length });
+
+    return {
+      actions: this.actions,
+      url: this.currentUrl
+    };
+  }
+
+  /**
+   * Start capturing in a subframe. The service worker calls this for every
+   * frame of the recording tab; there's no indicator or own state sync here.
+   * @param {Object} options - { isPaused }
+   */
+  async startFrame(options = {}) {
+    if (this.isRecording) {
+      this.isPaused = !!options.isPaused;
+      return;
+    }
+
+    this.isRecording = true;
+    this.isPaused = !!options.isPaused;
+    this.actions = [];
+    this.startTime = TimingEngine.now();
+    this.lastActionTime = this.startTime;
+    this.startUrl = window.location.href;
+    this.currentUrl = this.startUrl;
+    this.frameToken = Math.random().toString(36).substring(2);
+    this.relayedSnapshots = [];
+    this.filteredCount = 0;
+
+    this.halo = getHaloSystem();
+    this.attachEventListeners();
+
+    // Handlers merge and replace actions in place (typing, scrolls, double-clicks),
+    // so relay by diffing rather than on push
+    this.relayInterval = setInterval(() => this.relayFrameActions(), 200);
+
+    this.frameInfo = await FrameLocator.getFrameInfo();
+    if (!this.frameInfo) {
+      console.warn('[Marionete] Could not resolve frame path, frame actions will not be recorded');
+    }
+
+    console.log('[Marionete] Frame recording started', { url: this.startUrl });
+  }
+
+  stopFrame() {
+    if (!this.isRecording) return;
+
+    this.relayFrameActions();
+
+    this.isRecording = false;
+    this.isPaused = false;
+    this.detachEventListeners();
+
+    clearInterval(this.relayInterval);
+    this.relayInterval = null;
+
+    if (this.halo) {
+      this.halo.clearAll();
+    }
+
+    console.log('[Marionete] Frame recording stopped');
+  }
+
+  setFramePaused(paused) {
+    if (!this.isRecording) return;
+    this.isPaused = paused;
+  }
+
+  /**
+   * Send new or changed local actions (and removals) to the top frame via the worker
+   */
+  relayFrameActions() {
+    if (!this.frameInfo || !chrome.runtime?.id) return;
+
+    const send = (data) => {
+      chrome.runtime.sendMessage({ type: 'FRAME_ACTION', data }).catch(() => {
+        // Worker restarting or recording ended - nothing to do
+      });
+    };
+
+    this.actions.forEach((action, index) => {
+      const snapshot = JSON.stringify(action);
+      if (this.relayedSnapshots[index] === snapshot) return;
+
+      this.relayedSnapshots[index] = snapshot;
+      send({
+        frameActionId: `${this.frameToken}:${index}`,
+        action: { ...action, frame: this.frameInfo }
+      });
+    });
+
+    for (let index = this.actions.length; index < this.relayedSnapshots.length; index++) {
+      send({ frameActionId: `${this.frameToken}:${index}`, remove: true });
+    }
+    this.relayedSnapshots.length = this.actions.length;
+  }
+
+  /**
+   * Top frame: insert, update or remove an action recorded in a subframe.
+   * Timing is taken from this document's clock on first insert; subframe
+   * timestamps come from a different performance.now() origin.
+   * @param {Object} data - { frameActionId, action, remove }
+   */
+  applyFrameAction(data) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const index = this.actions.findIndex(action => action.frameActionId === data.frameActionId);
+
+    if (data.remove) {
+      if (index !== -1) this.actions.splice(index, 1);
+      return;
+    }
+
+    if (index !== -1) {
+      const existing = this.actions[index];
+      this.actions[index] = { ...data.action, frameActionId: data.frameActionId, timing: existing.timing };
+      return;
+    }
+
+    const now = TimingEngine.now();
+    this.actions.push({
+      ...data.action,
+      frameActionId: data.frameActionId,
+      timing: TimingEngine.createTimingData(data.action.type, now, this.lastActionTime)
+    });
+    this.lastActionTime = now;
+
+    console.log('[Marionete] Captured frame action', {
+      step: this.actions.length,
+      type: data.action.type,
+      origin: data.action.frame.origin
+    });
+  }
+
+  /**
+   * Restore recording state after navigation, or when recording switches
+   * to this tab (data.tabUrl is then the URL the tab was last recorded at)
+   */
+  restore(data) {
+    console.log('[Marionete] Restoring recording state...', {
+      existingActions: data.actions.length,
+      startUrl: data.startUrl
+    });
+
+    this.isRecording = true;
+    this.actions = data.actions || [];
+    this.startUrl = data.startUrl;
+    this.startTime = data.startTime;
+    this.target = data.target || null;
+    this.filteredCount = data.filteredCount || 0;
+    this.lastActionTime = this.actions.length > 0 
+      ? this.actions[this.actions.length - 1].timing.timestamp 
+      : this.startTime;
+    this.currentUrl = window.location.href;
+
+    // Tab steps carry no timestamp; time from the switch instead
+    if (data.tabUrl !== undefined) {
+      this.lastActionTime = TimingEngine.now();
+    }
+    const previousUrl = data.tabUrl !== undefined ? data.tabUrl : this.startUrl;
+    this.lastSyncTime = Date.now();
+
+    // Timestamps don't carry over between documents, so a pause that spans
+    // the navigation restarts its clock here
+    this.isPaused = !!data.isPaused;
+    this.pausedAt = this.isPaused ? TimingEngine.now() : null;
+
+    // Check if URL changed (navigation occurred)
+    if (this.currentUrl !== previousUrl) {
+      const now = TimingEngine.now();
+      const loadEvent = NavigationTracker.getLoadEvent();
+      const navigationAction = {
+        type: 'navigation',
+        url: this.currentUrl,
+        fromUrl: data.tabUrl !== undefined
+          ? data.tabUrl
+          : this.actions.length > 0 
+            ? this.actions[this.actions.length - 1].url 
+            : this.startUrl,
+        navigationType: loadEvent.type,
+        timing: TimingEngine.createTimingData('navigation', now, this.lastActionTime)
+      };
+      this.actions.push(navigationAction);
+      this.lastActionTime = now;
+      
+      console.log('[Marionete] Captured navigation during restore', {
+        from: navigationAction.fromUrl,
+        to: this.currentUrl
+      });
+    }
+
+    // Restart UI and listeners
+    this.halo = getHaloSystem();
+    this.halo.showRecordingIndicator();
+    this.halo.setRecordingPaused(this.isPaused);
+    this.halo.setFilteredCount(this.filteredCount);
+
+    this.attachEventListeners();
+    this.setupNavigationTracking();
+    this.startStateSync();
+
+    console.log('[Marionete] Recording state restored successfully');
+    return { success: true };
+  }
+
+  /**
+   * Have the service worker screenshot this step around its element.
+   * Fire and forget - the image is stored under action.screenshotId.
+   * @param {Object} action - Just recorded
+   * @param {Element|null} element - Step target; null captures the whole viewport
+   */
+  captureStep(action, element) {
+    if (!chrome.runtime?.id) return;
+
+    // A subframe's rect and size are in its own coordinates, so frames get the whole tab
+    const isTopFrame = FrameLocator.isTopFrame();
+    const rect = element && isTopFrame ? element.getBoundingClientRect() : null;
+
+    action.screenshotId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+
+    chrome.runtime.sendMessage({
+      type: 'CAPTURE_STEP',
+      data: {
+        screenshotId: action.screenshotId,
+        documentToken: this.documentToken,
+        rect: rect && { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+        viewport: isTopFrame ? { width: window.innerWidth, height: window.innerHeight } : null
+      }
+    }).catch(() => {
+      // Screenshots are best effort
+    });
+  }
+
+  /**
+   * Get the page ready for a step screenshot the service worker is about to take
+   * @param {string} documentToken - From the step's CAPTURE_STEP
+   * @returns {Promise<boolean>} false if the step was recorded in another document
+   */
+  async prepareCapture(documentToken) {
+    if (documentToken !== this.documentToken) return false;
+
+    // Our own halo isn't part of the page
+    this.halo?.setHidden(true);
+    await this.waitForPaint();
+    return true;
+  }
+
+  /**
+   * Draw filled-in sensitive fields as dots while a screenshot is taken.
+   * Sent to every frame - any of them can be in the shot.
+   */
+  async maskSensitiveFields() {
+    this.unmaskSensitiveFields();
+
+    this.maskedFields = Array.from(document.querySelectorAll('input, textarea'))
+      .filter(field => field.value && field.type !== 'password' && SensitiveFields.isSensitive(field))
+      .map(field => {
+        const previous = {
+          field,
+          value: field.style.getPropertyValue('-webkit-text-security'),
+          priority: field.style.getPropertyPriority('-webkit-text-security')
+        };
+        field.style.setProperty('-webkit-text-security', 'disc', 'important');
+        return previous;
+      });
+
+    if (this.maskedFields.length > 0) {
+      await this.waitForPaint();
+    }
+  }
+
+  unmaskSensitiveFields() {
+    this.maskedFields.forEach(({ field, value, priority }) => {
+      if (value) {
+        field.style.setProperty('-webkit-text-security', value, priority);
+      } else {
+        field.style.removeProperty('-webkit-text-security');
+      }
+    });
+    this.maskedFields = [];
+  }
+
+  finishCapture() {
+    this.halo?.setHidden(false);
+    this.unmaskSensitiveFields();
+  }
+
+  waitForPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  }
+
+  /**
+   * Capture-phase listeners, so page handlers that stop propagation can't hide events
+   */
+  attachEventListeners() {
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('dblclick', this.handleDblClick, true);
+    document.addEventListener('contextmenu', this.handleContextMenu, true);
+    document.addEventListener('input', this.handleInput, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('dragstart', this.handleDragStart, true);
+    document.addEventListener('dragend', this.handleDragEnd, true);
+    document.addEventListener('drop', this.handleDrop, true);
+    document.addEventListener('pointerdown', this.handlePointerDown, true);
+    document.addEventListener('pointermove', this.handlePointerMove, true);
+    document.addEventListener('pointerup', this.handlePointerUp, true);
+    document.addEventListener('mouseover', this.handleMouseOver, true);
+    // scroll doesn't bubble, but capture on document sees containers too
+    document.addEventListener('scroll', this.handleScroll, true);
+
+    this.revealObserver = new MutationObserver(this.handleRevealMutations);
+    this.revealObserver.observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['class', 'style', 'hidden', 'open', 'aria-expanded', 'aria-hidden']
+    });
+
+    // Ahead of the action handlers, so "stay" lands before the step that follows it
+    window.addEventListener('pointerdown', this.settleBeforeUnload, true);
+    window.addEventListener('keydown', this.settleBeforeUnload, true);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    this.pendingBeforeUnload = false;
+    this.unsubscribeDialogs = DialogBridge.onDialog(this.handleDialog);
+    DialogBridge.configure({ mode: 'record' });
+  }
+
+  detachEventListeners() {
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('dblclick', this.handleDblClick, true);
+    document.removeEventListener('contextmenu', this.handleContextMenu, true);
+    document.removeEventListener('input', this.handleInput, true);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('dragstart', this.handleDragStart, true);
+    document.removeEventListener('dragend', this.handleDragEnd, true);
+    document.removeEventListener('drop', this.handleDrop, true);
+    document.removeEventListener('pointerdown', this.handlePointerDown, true);
+    document.removeEventListener('pointermove', this.handlePointerMove, true);
+    document.removeEventListener('pointerup', this.handlePointerUp, true);
+    document.removeEventListener('mouseover', this.handleMouseOver, true);
+    document.removeEventListener('scroll', this.handleScroll, true);
+    window.removeEventListener('pointerdown', this.settleBeforeUnload, true);
+    window.removeEventListener('keydown', this.settleBeforeUnload, true);
+    window.removeEventListener('pagehide', this.handlePageHide);
+
+    if (this.unsubscribeDialogs) {
+      this.unsubscribeDialogs();
+      this.unsubscribeDialogs = null;
+      DialogBridge.configure({ mode: 'idle' });
+    }
+    this.pendingBeforeUnload = false;
+
+    if (this.revealObserver) {
+      this.revealObserver.disconnect();
+      this.revealObserver = null;
+    }
+
+    this.pendingDrag = null;
+    this.lastHover = null;
+
+    this.pendingScrolls.forEach(({ timer }) => clearTimeout(timer));
+    this.pendingScrolls.clear();
+  }
+
+  /**
+   * Periodically sync actions to background for persistence
+   */
+  startStateSync() {
+    // Sync every 2 seconds
+    this.syncInterval = setInterval(() => {
+      if (this.isRecording && this.actions.length > 0) {
+        this.syncActionsToBackground();
+      }
+    }, 2000);
+  }
+
+  syncActionsToBackground() {
+    // Check if we can communicate with background
+    if (!chrome.runtime?.id) {
+      console.warn('[Marionete] Extension context invalidated, cannot sync');
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'SYNC_ACTIONS',
+        data: {
+          actions: this.actions,
+          filteredCount: this.filteredCount
+        }
+      }).then(response => {
+        if (response?.success) {
+          this.lastSyncTime = Date.now();
+          console.log('[Marionete] Synced to background. Total:', response.totalActions);
+        }
+      }).catch(err => {
+        // Ignore back/forward cache errors
+        if (err.message && err.message.includes('back/forward cache')) {
+          console.log('[Marionete] Page in back/forward cache, sync skipped');
+        } else if (err.message && err.message.includes('message port closed')) {
+          console.log('[Marionete] Message port closed, sync skipped');
+        } else {
+          console.warn('[Marionete] Sync failed:', err);
+        }
+      });
+    } catch (err) {
+      console.warn('[Marionete] Cannot sync:', err);
+    }
+  }
+
+  handleClick(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const element = this.getEventTarget(event);
+    
+    // Skip Marionete elements
+    if (this.isMarioneteElement(element)) return;
+
+    if (TimingEngine.now() < this.suppressClickUntil) return;
+
+    // Second click of a double-click - the dblclick event records both
+    if (event.detail >= 2) return;
+
+    this.flushPendingScrolls();
+
+    // Alt+click records a check of the element's text instead of a click
+    if (event.altKey) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.recordTextAssertion(element);
+      return;
+    }
+
+    // Toggles, dropdowns and file pickers are recorded from their input event instead
+    const labelControl = element.closest?.('label')?.control;
+    if (this.isToggleInput(element) ||
+        this.isToggleInput(labelControl) ||
+        this.isFileInput(element) ||
+        this.isFileInput(labelControl) ||
+        element.closest?.('select')) {
+      return;
+    }
+
+    // Try to get actual clickable element (traverse up for nested elements)
+    const clickableElement = this.findClickableElement(element);
+    const targetElement = clickableElement || element;
+
+    if (!this.passesRules('click', targetElement, event)) return;
+
+    // Menus that only opened on hover must be reopened before the click
+    this.recordHoversFor(targetElement);
+
+    const now = TimingEngine.now();
+    const selectors = SelectorEngine.generateSelectors(targetElement);
+    
+    // Enhanced action data with more context for better playback
+    const action = {
+      type: 'click',
+      selectors,
+      timing: TimingEngine.createTimingData('click', now, this.lastActionTime),
+      url: window.location.href,
+      elementType: targetElement.tagName.toLowerCase(),
+      textContent: targetElement.textContent?.trim().substring(0, 100) || '',
+      // Additional context for better playback
+      elementContext: {
+        isButton: targetElement.tagName === 'BUTTON' || 
+                 targetElement.type === 'button' ||
+                 targetElement.type === 'submit',
+        isLink: targetElement.tagName === 'A',
+        hasOnClick: !!targetElement.onclick || !!targetElement.getAttribute('onclick'),
+        role: targetElement.getAttribute('role'),
+        ariaLabel: targetElement.getAttribute('aria-label'),
+        title: targetElement.getAttribute('title'),
+        href: targetElement.href || null
+      }
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, targetElement);
+
+    if (this.halo) {
+      const label = action.elementContext.isButton ? 'Botão' : 
+                   action.elementContext.isLink ? 'Link' : 'Click';
+      this.halo.showHalo(targetElement, 'recording', `${this.actions.length}. ${label}`);
+    }
+
+    console.log('[Marionete] Captured click', { 
+      step: this.actions.length,
+      element: targetElement.tagName,
+      type: action.elementContext.isButton ? 'button' : 
+            action.elementContext.isLink ? 'link' : 'element',
+      text: action.textContent.substring(0, 30),
+      delay: action.timing.delay 
+    });
+  }
+
+  /**
+   * Record a double-click, replacing the click(s) its first press
+   * already produced
+   */
+  handleDblClick(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const element = this.getEventTarget(event);
+    if (this.isMarioneteElement(element)) return;
+    if (!this.passesRules('dblclick', element, event)) return;
+
+    // The two clicks of the double-click were already recorded - drop them,
+    // but not a quick click on something else just before
+    const now = TimingEngine.now();
+    const selectors = SelectorEngine.generateSelectors(this.findClickableElement(element) || element, { score: false });
+    let lastAction = this.actions[this.actions.length - 1];
+    let removed = 0;
+    while (removed < 2 &&
+           lastAction &&
+           lastAction.type === 'click' &&
+           (now - lastAction.timing.timestamp) < 800 &&
+           this.selectorsMatch(lastAction.selectors, selectors)) {
+      this.actions.pop();
+      removed++;
+      lastAction = this.actions[this.actions.length - 1];
+    }
+    if (removed > 0) {
+      this.lastActionTime = lastAction ? lastAction.timing.timestamp : this.startTime;
+    }
+
+    this.recordPointerAction('dblclick', element, 'Clique duplo');
+  }
+
+  /**
+   * Record a right-click. Whatever custom menu the page opens is recorded
+   * as the clicks that follow.
+   */
+  handleContextMenu(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const element = this.getEventTarget(event);
+    if (this.isMarioneteElement(element)) return;
+    if (!this.passesRules('contextmenu', element, event)) return;
+
+    this.flushPendingScrolls();
+    this.recordPointerAction('contextmenu', element, 'Menu de contexto');
+  }
+
+  recordPointerAction(type, element, label) {
+    this.recordHoversFor(element);
+
+    const now = TimingEngine.now();
+    const action = {
+      type,
+      selectors: SelectorEngine.generateSelectors(element),
+      timing: TimingEngine.createTimingData(type, now, this.lastActionTime),
+      url: window.location.href,
+      elementType: element.tagName.toLowerCase(),
+      textContent: element.textContent?.trim().substring(0, 100) || ''
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. ${label}`);
+    }
+
+    console.log(`[Marionete] Captured ${type}`, {
+      step: this.actions.length,
+      element: element.tagName
+    });
+  }
+
+  /**
+   * Record an assertion that the element shows its current text
+   * (or simply exists, if it has none)
+   */
+  recordTextAssertion(element) {
+    const now = TimingEngine.now();
+    const text = element.textContent?.replace(/\s+/g, ' ').trim().substring(0, 200) || '';
+
+    const action = {
+      type: 'assert',
+      selectors: SelectorEngine.generateSelectors(element),
+      assertion: text
+        ? { kind: 'text_equals', expected: text }
+        : { kind: 'exists' },
+      timing: TimingEngine.createTimingData('assert', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. Verificação`);
+    }
+
+    console.log('[Marionete] Captured assertion', {
+      step: this.actions.length,
+      kind: action.assertion.kind,
+      expected: text.substring(0, 30)
+    });
+  }
+
+  /**
+   * HTML5 drag (draggable="true", native SortableJS). Takes over from any
+   * pointer drag in progress - the browser cancels the pointer sequence.
+   */
+  handleDragStart(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const element = this.getEventTarget(event);
+    if (!(element instanceof Element) || this.isMarioneteElement(element) ||
+        !this.passesRules('dragstart', element, event)) {
+      this.pendingDrag = null;
+      return;
+    }
+
+    this.pendingDrag = {
+      mode: 'html5',
+      source: element,
+      sourceSelectors: SelectorEngine.generateSelectors(element),
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: true
+    };
+  }
+
+  handleDrop(event) {
+    if (!this.isRecording || this.isPaused) return;
+    if (this.pendingDrag?.mode !== 'html5') return;
+
+    const target = this.getEventTarget(event);
+    if (target && !this.isMarioneteElement(target)) {
+      this.recordDrag(this.pendingDrag, target, event.clientX, event.clientY);
+    }
+    this.pendingDrag = null;
+  }
+
+  /**
+   * Fires after drop, or alone when the drag was cancelled
+   */
+  handleDragEnd() {
+    if (this.pendingDrag?.mode === 'html5') {
+      this.pendingDrag = null;
+    }
+  }
+
+  /**
+   * Pointer-driven drag libraries (SortableJS fallback, dnd-kit, kanban boards)
+   * never fire drag events, so a press-move-release over a threshold counts as
+   * a drag - when something shows a library is dragging (see hasDragEvidence).
+   * Selecting text and moving sliders press-move-release too.
+   */
+  handlePointerDown(event) {
+    if (!this.isRecording || this.isPaused) return;
+    if (event.button !== 0 || !event.isPrimary) return;
+
+    const element = this.getEventTarget(event);
+    if (!(element instanceof Element) || this.isMarioneteElement(element)) return;
+    if (element.closest('input, textarea, select, [contenteditable]')) return;
+
+    this.flushPendingScrolls();
+
+    this.pendingDrag = {
+      mode: 'pointer',
+      source: element,
+      sourceSelectors: null,
+      sourceParent: element.parentElement,
+      sourceNext: element.nextElementSibling,
+      sourceRect: element.getBoundingClientRect(),
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: false,
+      evidence: false
+    };
+  }
+
+  handlePointerMove(event) {
+    const drag = this.pendingDrag;
+    if (drag?.mode !== 'pointer') return;
+
+    if (!(event.buttons & 1)) {
+      this.pendingDrag = null;
+      return;
+    }
+
+    if (!drag.moved) {
+      const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+      if (distance < 8) return;
+
+      // Selectors taken now, before the library moves the source around the DOM
+      drag.moved = true;
+      drag.sourceSelectors = SelectorEngine.generateSelectors(drag.source);
+    }
+
+    // Mirrors and transforms are gone again by pointerup, so look while moving
+    if (!drag.evidence) {
+      drag.evidence = this.hasDragEvidence(drag);
+    }
+  }
+
+  handlePointerUp(event) {
+    const drag = this.pendingDrag;
+    if (drag?.mode !== 'pointer') return;
+
+    this.pendingDrag = null;
+    if (!drag.moved || !this.isRecording || this.isPaused) return;
+    if (!window.getSelection()?.isCollapsed) return;
+    if (!drag.evidence && !this.hasDragEvidence(drag)) return;
+
+    const target = this.findDropTarget(event.clientX, event.clientY, drag.source);
+    if (!target) return;
+
+    this.recordDrag(drag, target, event.clientX, event.clientY);
+    this.suppressClickUntil = TimingEngine.now() + 300;
+  }
+
+  /**
+   * Whether a pointer drag moved something: the source is marked draggable or
+   * sortable, a library's drag mirror is on the page, or the source itself
+   * followed the pointer or was moved to another place in the DOM
+   */
+  hasDragEvidence(drag) {
+    const source = drag.source;
+
+    if (source.closest(DRAG_SOURCE_SELECTOR)) return true;
+    if (document.querySelector(DRAG_MIRROR_SELECTOR)) return true;
+
+    if (source.parentElement !== drag.sourceParent || source.nextElementSibling !== drag.sourceNext) {
+      return true;
+    }
+
+    const rect = source.getBoundingClientRect();
+    return Math.hypot(rect.left - drag.sourceRect.left, rect.top - drag.sourceRect.top) >= 4;
+  }
+
+  /**
+   * Topmost element under the pointer that isn't the dragged element
+   * (or its clone following the pointer)
+   */
+  findDropTarget(x, y, source) {
+    return document.elementsFromPoint(x, y).find(element =>
+      !source.contains(element) &&
+      !element.classList.contains('sortable-fallback') &&
+      !this.isMarioneteElement(element)
+    ) || null;
+  }
+
+  /**
+   * Record a drag with the drop point relative to the target,
+   * in pixels and as a ratio of its size
+   */
+  recordDrag(drag, target, clientX, clientY) {
+    const now = TimingEngine.now();
+    const rect = target.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+
+    const action = {
+      type: 'drag',
+      mode: drag.mode,
+      selectors: drag.sourceSelectors,
+      targetSelectors: SelectorEngine.generateSelectors(target),
+      offset: {
+        x: Math.round(x),
+        y: Math.round(y),
+        xRatio: rect.width ? Math.round((x / rect.width) * 1000) / 1000 : 0.5,
+        yRatio: rect.height ? Math.round((y / rect.height) * 1000) / 1000 : 0.5
+      },
+      timing: TimingEngine.createTimingData('drag', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, target);
+
+    if (this.halo) {
+      this.halo.showHalo(target, 'recording', `${this.actions.length}. Arrastar`);
+    }
+
+    console.log('[Marionete] Captured drag', {
+      step: this.actions.length,
+      mode: action.mode,
+      target: target.tagName
+    });
+  }
+
+  /**
+   * Only remembers the element - hovers become steps just when a later
+   * click lands in content they revealed (see recordHoversFor)
+   */
+  handleMouseOver(event) {
+    if (!this.isRecording || this.isPaused) return;
+    const element = this.getEventTarget(event);
+    if (this.isMarioneteElement(element)) return;
+
+    this.lastHover = { element, timestamp: TimingEngine.now() };
+  }
+
+  /**
+   * Attribute and child-list changes shortly after a hover are attributed to it.
+   * CSS-only :hover menus change nothing here - and synthetic events can't
+   * trigger :hover on replay anyway, so only script-driven menus are tracked.
+   */
+  handleRevealMutations(mutations) {
+    const hover = this.lastHover;
+    if (!hover || TimingEngine.now() - hover.timestamp > 1000) return;
+
+    mutations.forEach(mutation => {
+      if (mutation.type === 'attributes') {
+        // A menu toggles a class on the hovered item's wrapper (li.open), but
+        // changes far above it (body.scrolled) say nothing about the hover
+        if (this.getAncestorDistance(mutation.target, hover.element) > 3) return;
+        this.revealedBy.set(mutation.target, hover);
+        return;
+      }
+
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          this.revealedBy.set(node, hover);
+        }
+      });
+    });
+  }
+
+  /**
+   * Levels from the element up to the ancestor, 0 if the ancestor doesn't contain it
+   */
+  getAncestorDistance(ancestor, element) {
+    if (ancestor === document.body || ancestor === document.documentElement) return Infinity;
+
+    let distance = 0;
+    for (let node = element; node; node = node.parentElement) {
+      if (node === ancestor) return distance;
+      distance++;
+    }
+    return 0;
+  }
+
+  /**
+   * Record the chain of hovers that revealed an element, outermost first
+   * (a submenu item inside a submenu inside a menu gives two hovers)
+   */
+  recordHoversFor(element) {
+    const hovers = [];
+    let current = element;
+
+    while (current && hovers.length < 5) {
+      const hover = this.findRevealingHover(current);
+      if (!hover) break;
+
+      hovers.unshift(hover);
+      current = hover.element;
+    }
+
+    hovers.forEach(hover => {
+      if (!hover.element.isConnected) return;
+
+      const selectors = SelectorEngine.generateSelectors(hover.element, { score: false });
+      const lastAction = this.actions[this.actions.length - 1];
+      if (lastAction?.type === 'hover' && this.selectorsMatch(lastAction.selectors, selectors)) return;
+
+      const timestamp = Math.max(hover.timestamp, this.lastActionTime);
+      const action = {
+        type: 'hover',
+        selectors: SelectorEngine.withScores(selectors, hover.element),
+        timing: TimingEngine.createTimingData('hover', timestamp, this.lastActionTime),
+        url: window.location.href
+      };
+
+      this.actions.push(action);
+      this.lastActionTime = timestamp;
+      this.captureStep(action, hover.element);
+
+      if (this.halo) {
+        this.halo.showHalo(hover.element, 'recording', `${this.actions.length}. Passar o mouse`);
+      }
+
+      console.log('[Marionete] Captured hover', { step: this.actions.length });
+    });
+  }
+
+  /**
+   * Nearest ancestor-or-self of the element that changed after a recent hover
+   * on something else. Hovering the element itself (or a part of it) is just
+   * the pointer on its way to the click.
+   */
+  findRevealingHover(element) {
+    const now = TimingEngine.now();
+
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      const hover = this.revealedBy.get(node);
+      if (!hover || now - hover.timestamp > 10000) continue;
+      if (hover.element.contains(element) || element.contains(hover.element)) continue;
+
+      return hover;
+    }
+
+    return null;
+  }
+
+  /**
+   * Scrolls are recorded once they settle, one step per scrolled element
+   */
+  handleScroll(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const target = event.target;
+    const isWindow = target === document ||
+                     target === document.documentElement ||
+                     target === document.body;
+    const element = isWindow ? document.scrollingElement : target;
+
+    if (!element || (!isWindow && this.isMarioneteElement(element))) return;
+
+    const pending = this.pendingScrolls.get(element);
+    if (pending) clearTimeout(pending.timer);
+
+    this.pendingScrolls.set(element, {
+      isWindow,
+      timer: setTimeout(() => {
+        this.pendingScrolls.delete(element);
+        this.recordScroll(element, isWindow);
+      }, 400)
+    });
+  }
+
+  /**
+   * Record scrolls still in their debounce window, so they land before
+   * the action that follows them
+   */
+  flushPendingScrolls() {
+    this.pendingScrolls.forEach(({ timer, isWindow }, element) => {
+      clearTimeout(timer);
+      this.recordScroll(element, isWindow);
+    });
+    this.pendingScrolls.clear();
+  }
+
+  /**
+   * Record where an element (or the window) is scrolled to, in pixels and as
+   * a ratio of the scrollable range - lazy-loaded content changes the range
+   */
+  recordScroll(element, isWindow) {
+    if (!this.isRecording || this.isPaused || !element.isConnected) return;
+
+    const now = TimingEngine.now();
+    const maxX = element.scrollWidth - element.clientWidth;
+    const maxY = element.scrollHeight - element.clientHeight;
+    const position = {
+      x: Math.round(element.scrollLeft),
+      y: Math.round(element.scrollTop),
+      xRatio: maxX > 0 ? Math.round((element.scrollLeft / maxX) * 1000) / 1000 : 0,
+      yRatio: maxY > 0 ? Math.round((element.scrollTop / maxY) * 1000) / 1000 : 0
+    };
+    const selectors = isWindow ? null : SelectorEngine.generateSelectors(element, { score: false });
+
+    // Keep only where a scroll run ended up
+    const lastAction = this.actions[this.actions.length - 1];
+    if (lastAction &&
+        lastAction.type === 'scroll' &&
+        lastAction.scrollTarget === (isWindow ? 'window' : 'element') &&
+        (isWindow || this.selectorsMatch(lastAction.selectors, selectors))) {
+      lastAction.position = position;
+      lastAction.timing.timestamp = now;
+      return;
+    }
+
+    const action = {
+      type: 'scroll',
+      scrollTarget: isWindow ? 'window' : 'element',
+      selectors: selectors && SelectorEngine.withScores(selectors, element),
+      position,
+      timing: TimingEngine.createTimingData('scroll', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, isWindow ? null : element);
+
+    if (this.halo && !isWindow) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. Rolagem`);
+    }
+
+    console.log('[Marionete] Captured scroll', {
+      step: this.actions.length,
+      target: action.scrollTarget,
+      y: position.y
+    });
+  }
+
+  /**
+   * Find the actual clickable element (button, link, etc.)
+   * More comprehensive search including Brazilian patterns
+   */
+  findClickableElement(element) {
+    let current = element;
+    let depth = 0;
+    
+    while (current && depth < 6) { // Increased depth
+      // Check if it's a clickable element
+      if (current.tagName === 'A' || 
+          current.tagName === 'BUTTON' ||
+          current.type === 'button' ||
+          current.type === 'submit' ||
+          current.onclick ||
+          current.getAttribute('onclick') ||
+          current.getAttribute('role') === 'button' ||
+          current.getAttribute('role') === 'link' ||
+          current.getAttribute('data-testid') ||
+          current.getAttribute('data-action') ||
+          current.getAttribute('data-qa') ||
+          current.classList.contains('btn') ||
+          current.classList.contains('button') ||
+          current.classList.contains('link') ||
+          // Brazilian site patterns
+          current.classList.contains('botao') ||
+          current.classList.contains('botão')) {
+        return current;
+      }
+      
+      current = current.parentElement;
+      depth++;
+    }
+    
+    return null;
+  }
+
+  handleInput(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const element = this.getEventTarget(event);
+    
+    if (this.isMarioneteElement(element)) return;
+    if (!this.passesRules('input', element, event)) return;
+
+    this.flushPendingScrolls();
+
+    if (element.tagName === 'SELECT') {
+      this.recordSelect(element);
+      return;
+    }
+
+    if (this.isToggleInput(element)) {
+      this.recordToggle(element);
+      return;
+    }
+
+    if (element.isContentEditable) {
+      this.recordContentEditable(this.getEditingHost(element));
+      return;
+    }
+
+    if (this.isFileInput(element)) {
+      this.recordUpload(element);
+      return;
+    }
+
+    if (!['INPUT', 'TEXTAREA'].includes(element.tagName)) return;
+
+    const now = TimingEngine.now();
+    const selectors = SelectorEngine.generateSelectors(element, { score: false });
+
+    // Passwords and fields matching the sensitive patterns are recorded as
+    // a sensitive variable; their value never leaves this script
+    const sensitive = SensitiveFields.isSensitive(element);
+
+    // Merge consecutive inputs to same element
+    const lastAction = this.actions[this.actions.length - 1];
+    if (lastAction && 
+        lastAction.type === 'input' && 
+        this.selectorsMatch(lastAction.selectors, selectors) &&
+        (now - lastAction.timing.timestamp) < 1000) {
+      if (!sensitive) {
+        lastAction.value = element.value;
+      }
+      lastAction.timing.timestamp = now;
+      return;
+    }
+
+    const action = {
+      type: 'input',
+      selectors: SelectorEngine.withScores(selectors, element),
+      value: element.value,
+      timing: TimingEngine.createTimingData('input', now, this.lastActionTime),
+      url: window.location.href,
+      inputType: element.type || 'text',
+      placeholder: element.placeholder || ''
+    };
+
+    if (sensitive) {
+      action.value = `{{${SensitiveFields.variableNameFor(element)}}}`;
+      action.originalValue = '';
+      action.isVariable = true;
+      action.sensitive = true;
+    }
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+
+    // The field is on screen in clear text (CPF, card number) - no screenshot
+    if (!sensitive) {
+      this.captureStep(action, element);
+    }
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. ${sensitive ? 'Digitação (sensível)' : 'Digitação'}`);
+    }
+
+    console.log('[Marionete] Captured input', { 
+      step: this.actions.length,
+      sensitive,
+      valueLength: sensitive ? undefined : element.value.length 
+    });
+  }
+
+  /**
+   * Record a <select> choice by value and by visible label
+   */
+  recordSelect(element) {
+    const now = TimingEngine.now();
+    const selectors = SelectorEngine.generateSelectors(element, { score: false });
+    const selected = Array.from(element.selectedOptions);
+
+    const values = {
+      value: element.value,
+      label: selected[0]?.text.trim() || ''
+    };
+    if (element.multiple) {
+      values.values = selected.map(option => option.value);
+      values.labels = selected.map(option => option.text.trim());
+    }
+
+    // Multi-selects fire once per toggled option: keep only the final selection
+    const lastAction = this.actions[this.actions.length - 1];
+    if (lastAction &&
+        lastAction.type === 'select' &&
+        this.selectorsMatch(lastAction.selectors, selectors) &&
+        (now - lastAction.timing.timestamp) < 1000) {
+      Object.assign(lastAction, values);
+      lastAction.timing.timestamp = now;
+      return;
+    }
+
+    const action = {
+      type: 'select',
+      selectors: SelectorEngine.withScores(selectors, element),
+      ...values,
+      timing: TimingEngine.createTimingData('select', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. Seleção`);
+    }
+
+    console.log('[Marionete] Captured select', {
+      step: this.actions.length,
+      value: action.value,
+      label: action.label
+    });
+  }
+
+  /**
+   * Record a checkbox/radio toggle as check or uncheck
+   */
+  recordToggle(element) {
+    const now = TimingEngine.now();
+    const type = element.checked ? 'check' : 'uncheck';
+
+    const action = {
+      type,
+      selectors: SelectorEngine.generateSelectors(element),
+      inputType: element.type,
+      value: element.value,
+      timing: TimingEngine.createTimingData(type, now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. ${element.checked ? 'Marcar' : 'Desmarcar'}`);
+    }
+
+    console.log('[Marionete] Captured toggle', { step: this.actions.length, type });
+  }
+
+  /**
+   * Record the plain text of a contenteditable editor
+   */
+  recordContentEditable(element) {
+    const now = TimingEngine.now();
+    const selectors = SelectorEngine.generateSelectors(element, { score: false });
+    const value = element.innerText;
+
+    // Merge consecutive edits to the same editor
+    const lastAction = this.actions[this.actions.length - 1];
+    if (lastAction &&
+        lastAction.type === 'contenteditable' &&
+        this.selectorsMatch(lastAction.selectors, selectors) &&
+        (now - lastAction.timing.timestamp) < 1000) {
+      lastAction.value = value;
+      lastAction.timing.timestamp = now;
+      return;
+    }
+
+    const action = {
+      type: 'contenteditable',
+      selectors: SelectorEngine.withScores(selectors, element),
+      value,
+      timing: TimingEngine.createTimingData('contenteditable', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. Edição`);
+    }
+
+    console.log('[Marionete] Captured contenteditable input', {
+      step: this.actions.length,
+      valueLength: value.length
+    });
+  }
+
+  /**
+   * Record the chosen files' names only - contents never leave the page.
+   * Fixture files are attached to the step later, in the manager.
+   */
+  recordUpload(element) {
+    const files = Array.from(element.files || []);
+    if (files.length === 0) return;
+
+    const now = TimingEngine.now();
+
+    const action = {
+      type: 'upload',
+      selectors: SelectorEngine.generateSelectors(element),
+      files: files.map(file => ({ name: file.name, type: file.type, size: file.size })),
+      fixtureIds: [],
+      multiple: element.multiple,
+      accept: element.accept || '',
+      timing: TimingEngine.createTimingData('upload', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. Upload`);
+    }
+
+    console.log('[Marionete] Captured upload', {
+      step: this.actions.length,
+      files: action.files.map(file => file.name)
+    });
+  }
+
+  isToggleInput(element) {
+    return !!element &&
+           element.tagName === 'INPUT' &&
+           (element.type === 'checkbox' || element.type === 'radio');
+  }
+
+  isFileInput(element) {
+    return !!element && element.tagName === 'INPUT' && element.type === 'file';
+  }
+
+  /**
+   * Outermost contenteditable ancestor - the element editors listen on
+   */
+  getEditingHost(element) {
+    let host = element;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+
+  /**
+   * Whether two selector sets point at the same element. Compared on the
+   * selectors that identify one element (XPath, ID), never on ones both
+   * sets merely lack.
+   */
+  selectorsMatch(sel1, sel2) {
+    if (!sel1 || !sel2) return false;
+
+    const hostPath = selectors => JSON.stringify((selectors.shadowPath || []).map(host => host.xpath));
+    if (hostPath(sel1) !== hostPath(sel2)) return false;
+
+    return (!!sel1.xpath && sel1.xpath === sel2.xpath) ||
+           (!!sel1.id && sel1.id === sel2.id);
+  }
+
+  /**
+   * Record non-text keys (Enter, Tab, Escape, arrows, F-keys...) and modifier
+   * chords (Ctrl+S). Typing itself is captured by the input event.
+   */
+  handleKeyDown(event) {
+    if (!this.isRecording || this.isPaused) return;
+
+    const element = this.getEventTarget(event);
+    
+    if (this.isMarioneteElement(element)) return;
+    if (!this.isRecordableKey(event)) return;
+    if (!this.passesRules('keydown', element, event)) return;
+
+    this.flushPendingScrolls();
+
+    const now = TimingEngine.now();
+    const selectors = SelectorEngine.generateSelectors(element, { score: false });
+    const keyData = {
+      key: event.key,
+      code: event.code,
+      ctrlKey: event.ctrlKey,
+      shiftKey: event.shiftKey,
+      altKey: event.altKey,
+      metaKey: event.metaKey
+    };
+
+    // Held or repeated keys (arrow navigation in a grid) become one step with a count
+    const lastAction = this.actions[this.actions.length - 1];
+    if (lastAction &&
+        lastAction.type === 'keypress' &&
+        Object.keys(keyData).every(name => lastAction[name] === keyData[name]) &&
+        this.selectorsMatch(lastAction.selectors, selectors) &&
+        (now - lastAction.timing.timestamp) < 1000) {
+      lastAction.count = (lastAction.count || 1) + 1;
+      lastAction.timing.timestamp = now;
+      return;
+    }
+
+    const action = {
+      type: 'keypress',
+      ...keyData,
+      selectors: SelectorEngine.withScores(selectors, element),
+      timing: TimingEngine.createTimingData('keypress', now, this.lastActionTime),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.captureStep(action, element);
+
+    if (this.halo) {
+      this.halo.showHalo(element, 'recording', `${this.actions.length}. ${KeyChord.describe(action)}`);
+    }
+
+    console.log('[Marionete] Captured key', { step: this.actions.length, key: KeyChord.describe(action) });
+  }
+
+  /**
+   * Keys whose effect isn't already captured as text input.
+   * Caret movement and deletion inside a text field only change the value,
+   * which the input event records.
+   */
+  isRecordableKey(event) {
+    const { key } = event;
+
+    if (['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'NumLock',
+         'ScrollLock', 'Dead', 'Process', 'Unidentified'].includes(key)) {
+      return false;
+    }
+
+    // AltGr arrives as Ctrl+Alt on Windows but types characters
+    const hasCommandModifier = (event.ctrlKey || event.metaKey || event.altKey) &&
+                               !event.getModifierState('AltGraph');
+    if (hasCommandModifier) return true;
+
+    // Printable character - typing
+    if (key.length === 1) return false;
+
+    const target = this.getEventTarget(event);
+    const isTextField = target.isContentEditable ||
+      target.tagName === 'TEXTAREA' ||
+      (target.tagName === 'INPUT' && !this.isToggleInput(target));
+    const textEditingKeys = ['ArrowLeft', 'ArrowRight', 'Home', 'End', 'Backspace', 'Delete'];
+
+    return !(isTextField && textEditingKeys.includes(key));
+  }
+
+  /**
+   * Subscribe to the shared NavigationTracker for in-document URL changes.
+   * Full page loads are picked up in restore() instead.
+   */
+  setupNavigationTracking() {
+    this.teardownNavigationTracking();
+    this.unsubscribeNavigation = getNavigationTracker().onNavigate(this.handleNavigation);
+    console.log('[Marionete] Navigation tracking initialized');
+  }
+
+  teardownNavigationTracking() {
+    if (this.unsubscribeNavigation) {
+      this.unsubscribeNavigation();
+      this.unsubscribeNavigation = null;
+    }
+  }
+
+  /**
+   * @param {Object} event - NavigationTracker event { type, url, fromUrl, timestamp }
+   */
+  handleNavigation(event) {
+    if (!this.isRecording || event.url === this.currentUrl) return;
+
+    const now = TimingEngine.now();
+
+    const action = {
+      type: 'navigation',
+      url: event.url,
+      fromUrl: this.currentUrl,
+      navigationType: event.type,
+      timing: TimingEngine.createTimingData('navigation', now, this.lastActionTime)
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+    this.currentUrl = event.url;
+
+    console.log('[Marionete] Captured navigation', { 
+      step: this.actions.length,
+      type: event.type,
+      from: action.fromUrl,
+      to: event.url
+    });
+
+    // Immediate sync on navigation
+    this.syncActionsToBackground();
+  }
+
+  /**
+   * @param {Object} report - From DialogBridge: { event, dialogType, message, defaultValue, response, value }
+   */
+  handleDialog(report) {
+    if (!this.isRecording || this.isPaused) return;
+
+    if (report.event === 'beforeunload') {
+      this.pendingBeforeUnload = true;
+      return;
+    }
+    if (report.event !== 'recorded') return;
+
+    this.recordDialog({
+      dialogType: report.dialogType,
+      message: report.message,
+      response: report.response,
+      ...(report.dialogType === 'prompt' && {
+        defaultValue: report.defaultValue ?? '',
+        value: report.value ?? ''
+      })
+    });
+  }
+
+  /**
+   * The page is going away with a beforeunload prompt shown: the user chose to leave
+   */
+  handlePageHide() {
+    if (!this.pendingBeforeUnload || !this.isRecording) return;
+
+    this.pendingBeforeUnload = false;
+    this.recordDialog({ dialogType: 'beforeunload', message: '', response: 'accept' });
+
+    // The document is on its way out; don't wait for the periodic sync
+    if (FrameLocator.isTopFrame()) {
+      this.syncActionsToBackground();
+    } else {
+      this.relayFrameActions();
+    }
+  }
+
+  /**
+   * Still here after a beforeunload prompt: the user chose to stay
+   */
+  settleBeforeUnload() {
+    if (!this.pendingBeforeUnload || !this.isRecording) return;
+
+    this.pendingBeforeUnload = false;
+    this.recordDialog({ dialogType: 'beforeunload', message: '', response: 'dismiss' });
+  }
+
+  /**
+   * Dialog steps replay no delay of their own: the step before them opens
+   * the dialog, and the time spent reading it counts toward the next step
+   */
+  recordDialog(dialog) {
+    const now = TimingEngine.now();
+
+    const action = {
+      type: 'dialog',
+      ...dialog,
+      timing: TimingEngine.createTimingData('dialog', now),
+      url: window.location.href
+    };
+
+    this.actions.push(action);
+    this.lastActionTime = now;
+
+    console.log('[Marionete] Captured dialog', {
+      step: this.actions.length,
+      dialogType: dialog.dialogType,
+      response: dialog.response
+    });
+  }
+
+  /**
+   * Run an event through RecordingRules before it becomes a step
+   * @returns {boolean} Whether to record it
+   */
+  passesRules(type, element, event) {
+    const reason = RecordingRules.check(type, element, event);
+    if (!reason) return true;
+
+    // A second listener seeing the same event isn't worth reporting
+    if (reason === 'repeat') return false;
+
+    this.filteredCount++;
+    if (this.halo && FrameLocator.isTopFrame()) {
+      this.halo.setFilteredCount(this.filteredCount);
+    }
+
+    console.log('[Marionete] Filtered event', { type, reason, element: element?.tagName });
+    return false;
+  }
+
+  /**
+   * The element the event really happened on. event.target is retargeted to
+   * the shadow host once the event leaves a shadow root; the composed path
+   * still starts at the element inside it (open shadow roots only).
+   * @param {Event} event
+   * @returns {Element|null}
+   */
+  getEventTarget(event) {
+    const path = event.composedPath ? event.composedPath() : [];
+    const first = path.find(node => node instanceof Element);
+    if (first) return first;
+
+    const target = event.target;
+    return target instanceof Element ? target : target?.parentElement || null;
+  }
+
+  isMarioneteElement(element) {
+    if (!element) return false;
+    
+    let current = element;
+    while (current) {
+      if (current.id === 'marionete-halo-container') return true;
+      if (current.className && 
+          typeof current.className === 'string' && 
+          current.className.includes('marionete')) return true;
+      current = current.parentElement;
+    }
+    
+    return false;
+  }
+
+  getState() {
+    return {
+      isRecording: this.isRecording,
+      isPaused: this.isPaused,
+      actionCount: this.actions.length,
+      filteredCount: this.filteredCount,
+      duration: this.startTime ? TimingEngine.now() - this.startTime : 0,
+      startUrl: this.startUrl,
+      currentUrl: this.currentUrl
+    };
+  }
+
+  destroy() {
+    if (this.isRecording) {
+      this.stop();
+    }
+    
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+    }
+
+    this.teardownNavigationTracking();
+  }
 }
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Dialog Bridge - Isolated-world side of content/dialog-hook.js
+ * Tells the main-world hook whether to record or answer native dialogs,
+ * and relays what it saw back to the Recorder and Player.
+ */
+
+class DialogBridge {
+  /**
+   * @param {Object} config - { mode: 'idle'|'record'|'replay', answers: [{ dialogType, response, value }] }
+   */
+  static configure(config) {
+    window.dispatchEvent(new CustomEvent('marionete:dialog-config', {
+      detail: JSON.stringify({ mode: 'idle', answers: [], ...config })
+    }));
+  }
+
+  /**
+   * Answers for the dialog steps that directly follow a step, in order.
+   * Armed before the step runs, since its dialog opens while it runs.
+   * @param {Object[]} actions - Flow actions
+   * @param {number} index - Step about to run
+   * @returns {Object[]}
+   */
+  static answersAfter(actions, index) {
+    const answers = [];
+    for (let i = index + 1; i < actions.length && actions[i].type === 'dialog'; i++) {
+      const { dialogType, response, value } = actions[i];
+      answers.push({ dialogType, response, value });
+    }
+    return answers;
+  }
+
+  /**
+   * Subscribe to dialog reports from the hook
+   * @param {Function} callback - Receives { event: 'recorded'|'answered'|'unexpected'|'beforeunload', dialogType, message, ... }
+   * @returns {Function} Unsubscribe
+   */
+  static onDialog(callback) {
+    const listener = (event) => {
+      try {
+        callback(JSON.parse(event.detail));
+      } catch (error) {
+        console.warn('[Marionete] Bad dialog report:', error);
+      }
+    };
+
+    window.addEventListener('marionete:dialog', listener);
+    return () => window.removeEventListener('marionete:dialog', listener);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Extension DB - The extension's own IndexedDB database
+ * Holds binary data chrome.storage can't (upload fixtures, step screenshots).
+ * Every store is created here, so whichever page or the worker opens the
+ * database first upgrades it for all of them.
+ */
+
+const EXTENSION_DB_NAME = 'marionete';
+const EXTENSION_DB_VERSION = 2;
+const EXTENSION_DB_STORES = ['fixtures', 'screenshots'];
+
+class ExtensionDB {
+  /**
+   * @returns {Promise<IDBDatabase>}
+   */
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(EXTENSION_DB_NAME, EXTENSION_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          EXTENSION_DB_STORES.forEach(name => {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, { keyPath: 'id' });
+            }
+          });
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Step aside when another page upgrades the schema; the next call reopens
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let the next call retry instead of caching the failure
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request in its own transaction and resolve with its result
+   * @param {string} storeName
+   * @param {'readonly'|'readwrite'} mode
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   */
+  static async request(storeName, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Fixture Store - Library of files for upload steps, kept in IndexedDB
+ * chrome.storage can't hold binary data, so fixtures live in the extension's own
+ * IndexedDB (see ExtensionDB). Content scripts run in the page's origin and can't
+ * open it; they get fixtures from the service worker (GET_FIXTURES) in serialized form.
+ */
+
+const FIXTURE_STORE_NAME = 'fixtures';
+
+class FixtureStore {
+  /**
+   * List fixture metadata (without file contents), newest first
+   * @returns {Promise<Object[]>} [{ id, name, type, size, lastModified, addedAt }]
+   */
+  static async list() {
+    const records = await this.request('readonly', store => store.getAll());
+    return records
+      .map(record => this.describe(record))
+      .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} Full record, including the blob
+   */
+  static async get(id) {
+    const record = await this.request('readonly', store => store.get(id));
+    return record || null;
+  }
+
+  /**
+   * Add a file to the library
+   * @param {File} file
+   * @returns {Promise<Object>} The new fixture's metadata
+   */
+  static async add(file) {
+    const record = {
+      id: crypto.randomUUID(),
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      lastModified: file.lastModified,
+      addedAt: new Date().toISOString(),
+      blob: file
+    };
+
+    await this.request('readwrite', store => store.put(record));
+    return this.describe(record);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  static async remove(id) {
+    await this.request('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Fixture in a form that survives runtime messaging (JSON only)
+   * @param {Object} record - As returned by get()
+   * @returns {Promise<Object>} { id, name, type, lastModified, data } with base64 data
+   */
+  static async serialize(record) {
+    const bytes = new Uint8Array(await record.blob.arrayBuffer());
+
+    // Chunked: String.fromCharCode(...bytes) overflows the stack on large files
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+
+    return {
+      id: record.id,
+      name: record.name,
+      type: record.type,
+      lastModified: record.lastModified,
+      data: btoa(binary)
+    };
+  }
+
+  static describe(record) {
+    const { blob, ...metadata } = record;
+    return metadata;
+  }
+
+  static request(mode, operation) {
+    return ExtensionDB.request(FIXTURE_STORE_NAME, mode, operation);
+  }
+}
\ No newline at end of file
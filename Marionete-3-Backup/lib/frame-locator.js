@@ -0,0 +1,125 @@
+/**
+ * Frame Locator - Describes where a document sits in the tab's frame tree
+ * A frame path is the chain of <iframe> elements from the top document down,
+ * each with its selectors in the parent document and the origin loaded in it.
+ * Cross-origin frames can't see their own <iframe> element (frameElement is
+ * null), so each parent's content script describes it over postMessage.
+ */
+
+class FrameLocator {
+  static isTopFrame() {
+    return window === window.top;
+  }
+
+  /**
+   * Resolve this document's frame info, computed once per document
+   * @returns {Promise<Object|null>} { path: [{ selectors, src, origin }], origin, url },
+   *   or null if a parent frame has no content script to answer
+   */
+  static getFrameInfo() {
+    if (!this.infoPromise) {
+      this.infoPromise = this.isTopFrame()
+        ? Promise.resolve({ path: [], origin: window.location.origin, url: window.location.href })
+        : this.requestPathFromParent().then(path => path && {
+          path: path.map((entry, i) => i === path.length - 1 ? { ...entry, origin: window.location.origin } : entry),
+          origin: window.location.origin,
+          url: window.location.href
+        });
+
+      // Retry later rather than caching a parent that wasn't ready yet
+      this.infoPromise.then(info => {
+        if (!info) this.infoPromise = null;
+      });
+    }
+    return this.infoPromise;
+  }
+
+  /**
+   * Answer path requests from child frames. Call once per document.
+   */
+  static listen() {
+    if (this.isListening) return;
+    this.isListening = true;
+
+    window.addEventListener('message', (event) => {
+      const data = event.data;
+      if (!data || data.type !== 'marionete:frame-path-request') return;
+
+      const iframe = this.getChildFrameElements().find(frame => frame.contentWindow === event.source);
+      if (!iframe) return;
+
+      this.getFrameInfo().then(info => {
+        if (!info) return;
+
+        const entry = {
+          selectors: SelectorEngine.generateSelectors(iframe),
+          src: iframe.src || ''
+        };
+        event.source.postMessage({
+          type: 'marionete:frame-path',
+          id: data.id,
+          path: [...info.path, entry]
+        }, '*');
+      });
+    });
+  }
+
+  /**
+   * Find the <iframe> for one level of a frame path in this document.
+   * Falls back to the recorded src when the selectors no longer match.
+   * @param {Object} entry - { selectors, src }
+   * @returns {HTMLIFrameElement|null}
+   */
+  static findChildFrame(entry) {
+    const frames = this.getChildFrameElements();
+
+    const element = entry.selectors ? SelectorEngine.findElement(entry.selectors) : null;
+    if (element && frames.includes(element)) return element;
+
+    if (entry.src) {
+      const bySrc = frames.find(frame => frame.src === entry.src) ||
+                    frames.find(frame => this.stripQuery(frame.src) === this.stripQuery(entry.src));
+      if (bySrc) return bySrc;
+    }
+
+    return null;
+  }
+
+  static getChildFrameElements() {
+    return Array.from(document.querySelectorAll('iframe, frame'));
+  }
+
+  static requestPathFromParent(timeout = 3000) {
+    return new Promise(resolve => {
+      const id = Math.random().toString(36).substring(2);
+      let timer = null;
+
+      const handleResponse = (event) => {
+        const data = event.data;
+        if (event.source !== window.parent) return;
+        if (!data || data.type !== 'marionete:frame-path' || data.id !== id) return;
+
+        window.removeEventListener('message', handleResponse);
+        clearTimeout(timer);
+        resolve(data.path);
+      };
+
+      window.addEventListener('message', handleResponse);
+      timer = setTimeout(() => {
+        window.removeEventListener('message', handleResponse);
+        resolve(null);
+      }, timeout);
+
+      window.parent.postMessage({ type: 'marionete:frame-path-request', id }, '*');
+    });
+  }
+
+  static stripQuery(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.origin + parsed.pathname;
+    } catch (e) {
+      return url;
+    }
+  }
+}
\ No newline at end of file
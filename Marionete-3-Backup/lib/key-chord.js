@@ -0,0 +1,30 @@
+/**
+ * Key Chord - Readable names for recorded key steps
+ * Shared by the recorder and player (halo labels, logs) and the flow manager.
+ */
+
+const KEY_CHORD_NAMES = {
+  ' ': 'Space',
+  Escape: 'Esc',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+class KeyChord {
+  /**
+   * Readable chord, e.g. "Ctrl+Shift+K"
+   * @param {Object} action - { key, ctrlKey, altKey, shiftKey, metaKey }
+   * @returns {string}
+   */
+  static describe(action) {
+    const parts = [];
+    if (action.ctrlKey) parts.push('Ctrl');
+    if (action.altKey) parts.push('Alt');
+    if (action.shiftKey) parts.push('Shift');
+    if (action.metaKey) parts.push('Meta');
+    parts.push(KEY_CHORD_NAMES[action.key] || (action.key.length === 1 ? action.key.toUpperCase() : action.key));
+    return parts.join('+');
+  }
+}
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Navigation Tracker - Single source of URL change events for Recorder and Player
+ * History API calls are reported by content/history-hook.js from the page's main world,
+ * since patching history in the isolated world never sees the page's own pushState calls.
+ */
+
+class NavigationTracker {
+  /**
+   * Navigation event types
+   *  load         - full document load (reported by getLoadEvent, the tracker is per document)
+   *  push         - history.pushState
+   *  replace      - history.replaceState
+   *  hash         - fragment-only change
+   *  back_forward - browser back/forward (popstate, or a full load from history)
+   */
+  static get TYPES() {
+    return {
+      LOAD: 'load',
+      PUSH: 'push',
+      REPLACE: 'replace',
+      HASH: 'hash',
+      BACK_FORWARD: 'back_forward'
+    };
+  }
+
+  /**
+   * Describe how the current document was loaded, in the same shape as tracker events
+   * @returns {Object} { type, url, fromUrl, timestamp }
+   */
+  static getLoadEvent() {
+    const entry = performance.getEntriesByType('navigation')[0];
+
+    return {
+      type: entry?.type === 'back_forward' ? this.TYPES.BACK_FORWARD : this.TYPES.LOAD,
+      url: window.location.href,
+      fromUrl: document.referrer || null,
+      timestamp: TimingEngine.now()
+    };
+  }
+
+  constructor() {
+    this.listeners = new Set();
+    this.lastUrl = window.location.href;
+    this.isTracking = false;
+    this.pollInterval = null;
+
+    this.handleHistoryEvent = this.handleHistoryEvent.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.poll = this.poll.bind(this);
+  }
+
+  /**
+   * Subscribe to navigation events. Tracking starts with the first subscriber
+   * and stops when the last one leaves.
+   * @param {Function} callback - Receives { type, url, fromUrl, timestamp }
+   * @returns {Function} Unsubscribe
+   */
+  onNavigate(callback) {
+    this.listeners.add(callback);
+    this.start();
+
+    return () => {
+      this.listeners.delete(callback);
+      if (this.listeners.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  start() {
+    if (this.isTracking) return;
+
+    this.isTracking = true;
+    this.lastUrl = window.location.href;
+
+    window.addEventListener('marionete:history', this.handleHistoryEvent);
+    window.addEventListener('popstate', this.handlePopState);
+    window.addEventListener('hashchange', this.handleHashChange);
+
+    // Fallback for anything the hooks miss (e.g. the main-world hook failed to load)
+    this.pollInterval = setInterval(this.poll, 1000);
+  }
+
+  stop() {
+    if (!this.isTracking) return;
+
+    this.isTracking = false;
+
+    window.removeEventListener('marionete:history', this.handleHistoryEvent);
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('hashchange', this.handleHashChange);
+
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+  }
+
+  /**
+   * Resolve true once the document is at the given URL, false on timeout
+   * @param {string} url
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<boolean>}
+   */
+  waitForUrl(url, timeout = 5000) {
+    if (window.location.href === url) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      let unsubscribe = null;
+
+      const timer = setTimeout(() => {
+        unsubscribe();
+        resolve(window.location.href === url);
+      }, timeout);
+
+      unsubscribe = this.onNavigate(event => {
+        if (event.url !== url) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(true);
+      });
+    });
+  }
+
+  handleHistoryEvent(event) {
+    try {
+      const { kind } = JSON.parse(event.detail);
+      this.emit(kind === 'replace' ? NavigationTracker.TYPES.REPLACE : NavigationTracker.TYPES.PUSH);
+    } catch (e) {
+      // Malformed detail - the poll will still catch the change
+    }
+  }
+
+  handlePopState() {
+    this.emit(NavigationTracker.TYPES.BACK_FORWARD);
+  }
+
+  handleHashChange() {
+    this.emit(NavigationTracker.TYPES.HASH);
+  }
+
+  poll() {
+    this.emit(this.isHashOnlyChange(this.lastUrl, window.location.href)
+      ? NavigationTracker.TYPES.HASH
+      : NavigationTracker.TYPES.PUSH);
+  }
+
+  /**
+   * Notify listeners if the URL actually changed. Every source funnels
+   * through here, so popstate + hashchange (or hook + poll) fire once.
+   */
+  emit(type) {
+    const url = window.location.href;
+    if (url === this.lastUrl) return;
+
+    const event = {
+      type,
+      url,
+      fromUrl: this.lastUrl,
+      timestamp: TimingEngine.now()
+    };
+    this.lastUrl = url;
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('[Marionete] Navigation listener failed:', error);
+      }
+    });
+  }
+
+  isHashOnlyChange(fromUrl, toUrl) {
+    try {
+      const from = new URL(fromUrl);
+      const to = new URL(toUrl);
+      return from.hash !== to.hash &&
+             from.origin + from.pathname + from.search === to.origin + to.pathname + to.search;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+// Global instance
+let navigationTrackerInstance = null;
+
+function getNavigationTracker() {
+  if (!navigationTrackerInstance) {
+    navigationTrackerInstance = new NavigationTracker();
+  }
+  return navigationTrackerInstance;
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Recording Rules - Decides which captured events become steps
+ * Drops the same event delivered to more than one listener, repeated clicks
+ * on the same element a few ms apart, clicks on empty space and layout
+ * wrappers, and anything matched by the per-site ignore lists. Settings live
+ * in chrome.storage.local and are edited from the flow manager.
+ */
+
+const RECORDING_RULES_KEY = 'settings:recordingRules';
+
+// The same kind of click on the same element within this window is one click
+const DUPLICATE_CLICK_WINDOW = 40;
+const CLICK_EVENT_TYPES = ['click', 'dblclick', 'contextmenu'];
+
+const DEFAULT_RECORDING_RULES = {
+  filterNoise: true,
+  // [{ site, selector }] or [{ site, url }] - site is a hostname, "*.example.com" or "*";
+  // url is a regular expression matched against the page URL
+  ignore: []
+};
+
+const INTERACTIVE_ROLES = [
+  'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'option',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'combobox', 'treeitem', 'slider'
+];
+const INTERACTIVE_SELECTOR = [
+  'a[href]', 'button', 'input', 'select', 'textarea', 'label', 'summary',
+  '[onclick]', '[tabindex]', '[contenteditable]',
+  ...INTERACTIVE_ROLES.map(role => `[role="${role}"]`)
+].join(', ');
+
+class RecordingRules {
+  /**
+   * Load the configured rules and follow changes to them.
+   * Until loaded, the defaults apply.
+   * @returns {Promise<void>}
+   */
+  static init() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.getRules().then(rules => {
+        this.rules = rules;
+      });
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[RECORDING_RULES_KEY]) {
+          this.rules = { ...DEFAULT_RECORDING_RULES, ...changes[RECORDING_RULES_KEY].newValue };
+        }
+      });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * @returns {Promise<Object>} { filterNoise, ignore }
+   */
+  static async getRules() {
+    const stored = await chrome.storage.local.get(RECORDING_RULES_KEY);
+    return { ...DEFAULT_RECORDING_RULES, ...stored[RECORDING_RULES_KEY] };
+  }
+
+  /**
+   * @param {Object} rules - { filterNoise, ignore }
+   * @returns {Promise<void>}
+   */
+  static async saveRules(rules) {
+    await chrome.storage.local.set({ [RECORDING_RULES_KEY]: rules });
+  }
+
+  /**
+   * Decide whether an event is recorded
+   * @param {string} type - Event type: 'click', 'input', 'keydown', ...
+   * @param {Element} element - The element the step would target
+   * @param {Event} event
+   * @returns {string|null} Why it's filtered ('repeat', 'ignored', 'duplicate',
+   *   'noise'), or null to record it. 'repeat' is the same event object seen
+   *   by a second listener, not something the user did twice.
+   */
+  static check(type, element, event) {
+    if (event && this.isRepeat(event)) return 'repeat';
+
+    const rules = this.rules || DEFAULT_RECORDING_RULES;
+
+    if (this.isIgnored(element, rules.ignore)) return 'ignored';
+
+    if (CLICK_EVENT_TYPES.includes(type) && this.isDuplicateClick(type, element)) return 'duplicate';
+
+    if (type === 'click' && rules.filterNoise && this.isNoiseClick(element)) return 'noise';
+
+    return null;
+  }
+
+  static isRepeat(event) {
+    if (!this.seenEvents) this.seenEvents = new WeakSet();
+
+    if (this.seenEvents.has(event)) return true;
+    this.seenEvents.add(event);
+    return false;
+  }
+
+  static isDuplicateClick(type, element) {
+    const now = TimingEngine.now();
+    const last = this.lastClick;
+    this.lastClick = { type, element, timestamp: now };
+
+    return !!last &&
+           last.type === type &&
+           last.element === element &&
+           now - last.timestamp < DUPLICATE_CLICK_WINDOW;
+  }
+
+  /**
+   * A click on something that can't react to it: the page background, or an
+   * element with no interactive role, no inline handler and no pointer cursor
+   * (script click handlers can't be seen from here; the cursor is the hint).
+   */
+  static isNoiseClick(element) {
+    if (!element) return true;
+    if (element === document.body || element === document.documentElement) return true;
+
+    if (element.closest(INTERACTIVE_SELECTOR)) return false;
+    if (element.onclick || element.isContentEditable) return false;
+
+    return window.getComputedStyle(element).cursor !== 'pointer';
+  }
+
+  /**
+   * @param {Element|null} element
+   * @param {Object[]} ignore - Ignore list entries
+   */
+  static isIgnored(element, ignore) {
+    const hostname = window.location.hostname;
+
+    return ignore.some(entry => {
+      if (!this.siteMatches(entry.site, hostname)) return false;
+
+      if (entry.url) {
+        return this.compile(entry.url).test(window.location.href);
+      }
+
+      try {
+        return !!element?.closest(entry.selector);
+      } catch (e) {
+        return false; // Invalid selector
+      }
+    });
+  }
+
+  /**
+   * @param {string} site - "example.com" (and its subdomains), "*.example.com" or "*"
+   * @param {string} hostname
+   */
+  static siteMatches(site, hostname) {
+    if (!site || site === '*') return true;
+
+    const domain = site.replace(/^\*\./, '').toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+
+  /**
+   * Parse the manager's text form of the ignore list: one "site rule" per line,
+   * where rule is a CSS selector or "url:" followed by a regular expression.
+   * Lines starting with # are comments.
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  static parseIgnoreList(text) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const [site, ...rest] = line.split(/\s+/);
+        const rule = rest.join(' ');
+        if (!rule) return null;
+
+        return rule.startsWith('url:')
+          ? { site, url: rule.substring(4).trim() }
+          : { site, selector: rule };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {Object[]} ignore
+   * @returns {string}
+   */
+  static formatIgnoreList(ignore) {
+    return ignore.map(entry => `${entry.site} ${entry.url ? `url:${entry.url}` : entry.selector}`).join('\n');
+  }
+
+  static compile(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (e) {
+      const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(escaped, 'i');
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Screenshot Store - Per-step screenshots taken while recording, kept in IndexedDB
+ * Steps reference their image by action.screenshotId. Images are stored as
+ * soon as they're taken, before the flow they belong to is saved.
+ */
+
+const SCREENSHOT_STORE_NAME = 'screenshots';
+
+// Unreferenced screenshots younger than this may belong to a recording in progress
+const SCREENSHOT_ORPHAN_AGE = 24 * 60 * 60 * 1000;
+
+class ScreenshotStore {
+  /**
+   * @param {string} id - The step's screenshotId
+   * @param {Blob} blob
+   * @returns {Promise<void>}
+   */
+  static async add(id, blob) {
+    await this.request('readwrite', store => store.put({
+      id,
+      blob,
+      createdAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Blob|null>}
+   */
+  static async get(id) {
+    const record = await this.request('readonly', store => store.get(id));
+    return record ? record.blob : null;
+  }
+
+  /**
+   * @param {string[]} ids
+   * @returns {Promise<void>}
+   */
+  static async removeMany(ids) {
+    if (ids.length === 0) return;
+
+    await this.request('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+      return store.count();
+    });
+  }
+
+  /**
+   * Delete screenshots no flow refers to (discarded recordings, deleted steps)
+   * @param {Set<string>} referencedIds
+   * @returns {Promise<number>} How many were deleted
+   */
+  static async prune(referencedIds) {
+    const records = await this.request('readonly', store => store.getAll());
+    const cutoff = Date.now() - SCREENSHOT_ORPHAN_AGE;
+
+    const orphans = records
+      .filter(record => !referencedIds.has(record.id) && new Date(record.createdAt).getTime() < cutoff)
+      .map(record => record.id);
+
+    await this.removeMany(orphans);
+    return orphans.length;
+  }
+
+  /**
+   * Screenshots of a flow as data URLs, for the JSON export
+   * @param {Object[]} actions
+   * @returns {Promise<Object>} screenshotId -> data URL
+   */
+  static async exportFor(actions) {
+    const exported = {};
+
+    for (const id of this.idsIn(actions)) {
+      const blob = await this.get(id);
+      if (blob) {
+        exported[id] = await this.toDataUrl(blob);
+      }
+    }
+    return exported;
+  }
+
+  /**
+   * Store screenshots from an export file. Only image data URLs are read;
+   * anything else in the file is skipped rather than fetched.
+   * @param {Object} screenshots - screenshotId -> data URL
+   * @returns {Promise<void>}
+   */
+  static async importAll(screenshots) {
+    for (const [id, dataUrl] of Object.entries(screenshots || {})) {
+      if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+        console.warn('[Marionete Store] Skipping screenshot that is not an image data URL:', id);
+        continue;
+      }
+      const blob = await (await fetch(dataUrl)).blob();
+      await this.add(id, blob);
+    }
+  }
+
+  /**
+   * @param {Object[]} actions
+   * @returns {string[]}
+   */
+  static idsIn(actions) {
+    return (actions || []).map(action => action.screenshotId).filter(Boolean);
+  }
+
+  static toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  static request(mode, operation) {
+    return ExtensionDB.request(SCREENSHOT_STORE_NAME, mode, operation);
+  }
+}
\ No newline at end of file
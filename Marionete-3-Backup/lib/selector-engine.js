@@ -1,388 +1,526 @@
-/**
- * Selector Engine - Enhanced with Shadow DOM support and better compatibility
- * Priority: ID > name > linkText > data-testid > className > CSS > XPath > partialLink
- */
-
-class SelectorEngine {
-  /**
-   * Generate all possible selectors for an element
-   * @param {HTMLElement} element 
-   * @returns {Object} Selector metadata
-   */
-  static generateSelectors(element) {
-    const selectors = {
-      id: null,
-      name: null,
-      linkText: null,
-      testId: null,
-      className: null,
-      css: null,
-      xpath: null,
-      partialLinkText: null,
-      tagName: element.tagName.toLowerCase(),
-      textContent: element.textContent?.trim().substring(0, 100) || ''
-    };
-
-    // Level 1: ID (highest priority)
-    if (element.id) {
-      selectors.id = `#${CSS.escape(element.id)}`;
-    }
-
-    // Level 2: Name attribute
-    if (element.name) {
-      selectors.name = `${element.tagName.toLowerCase()}[name="${CSS.escape(element.name)}"]`;
-    }
-
-    // Level 3: Link text (exact match for <a> tags)
-    if (element.tagName === 'A' && element.textContent) {
-      selectors.linkText = element.textContent.trim();
-    }
-
-    // Level 3.5: data-testid (very common in modern apps)
-    const testId = element.getAttribute('data-testid') || 
-                   element.getAttribute('data-test-id') ||
-                   element.getAttribute('data-test') ||
-                   element.getAttribute('data-qa') ||
-                   element.getAttribute('data-cy') ||
-                   element.getAttribute('data-selenium');
-    if (testId) {
-      selectors.testId = `[data-testid="${CSS.escape(testId)}"]`;
-    }
-
-    // Level 4: Class names (first 3 classes, excluding dynamic ones)
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.trim()
-        .split(/\s+/)
-        .filter(c => !this.isDynamicClass(c))
-        .slice(0, 3);
-      
-      if (classes.length > 0) {
-        selectors.className = element.tagName.toLowerCase() + '.' + 
-          classes.map(c => CSS.escape(c)).join('.');
-      }
-    }
-
-    // Level 5: CSS selector with data attributes and ARIA
-    const dataAttrs = Array.from(element.attributes)
-      .filter(attr => 
-        (attr.name.startsWith('data-') || 
-         attr.name.startsWith('aria-') ||
-         attr.name === 'role' ||
-         attr.name === 'type') && 
-        attr.value
-      )
-      .slice(0, 2);
-    
-    if (dataAttrs.length > 0) {
-      selectors.css = element.tagName.toLowerCase() + 
-        dataAttrs.map(attr => `[${attr.name}="${CSS.escape(attr.value)}"]`).join('');
-    } else if (selectors.className) {
-      selectors.css = selectors.className;
-    }
-
-    // Level 6: Full XPath
-    selectors.xpath = this.getXPath(element);
-
-    // Level 7: Partial link text
-    if (element.tagName === 'A' && element.textContent) {
-      const text = element.textContent.trim();
-      selectors.partialLinkText = text.substring(0, Math.min(20, text.length));
-    }
-
-    return selectors;
-  }
-
-  /**
-   * Check if a class name looks dynamically generated
-   */
-  static isDynamicClass(className) {
-    // Skip classes that look like CSS modules, styled-components, etc.
-    return /^[a-z0-9]{8,}$/i.test(className) || // Long random strings
-           /_[a-z0-9]{5,}$/i.test(className) ||   // Suffixed hashes
-           /^css-/.test(className);                // CSS-in-JS
-  }
-
-  /**
-   * Find element using fallback chain with Shadow DOM support
-   * @param {Object} selectors - Selector metadata from generateSelectors
-   * @returns {HTMLElement|null}
-   */
-  static findElement(selectors) {
-    // Try in main document first
-    let element = this.findInDocument(document, selectors);
-    if (element) return element;
-
-    // Try in Shadow DOMs
-    element = this.findInShadowRoots(selectors);
-    if (element) return element;
-
-    // Try in iframes
-    element = this.findInIframes(selectors);
-    if (element) return element;
-
-    return null;
-  }
-
-  /**
-   * Find element in a specific document/shadow root
-   */
-  static findInDocument(doc, selectors) {
-    let foundElements = [];
-
-    // Level 1: ID
-    if (selectors.id) {
-      try {
-        const el = doc.querySelector(selectors.id);
-        if (el && this.isElementVisible(el)) return el;
-        if (el) foundElements.push(el);
-      } catch (e) { /* Invalid selector */ }
-    }
-
-    // Level 2: Name
-    if (selectors.name) {
-      try {
-        const el = doc.querySelector(selectors.name);
-        if (el && this.isElementVisible(el)) return el;
-        if (el) foundElements.push(el);
-      } catch (e) { /* Invalid selector */ }
-    }
-
-    // Level 3: data-testid
-    if (selectors.testId) {
-      try {
-        const el = doc.querySelector(selectors.testId);
-        if (el && this.isElementVisible(el)) return el;
-        if (el) foundElements.push(el);
-      } catch (e) { /* Invalid selector */ }
-    }
-
-    // Level 4: Link text (exact)
-    if (selectors.linkText && selectors.tagName === 'a') {
-      const links = Array.from(doc.getElementsByTagName('a'));
-      const el = links.find(link => 
-        link.textContent.trim() === selectors.linkText && this.isElementVisible(link)
-      );
-      if (el) return el;
-      
-      // Try without visibility check
-      const elHidden = links.find(link => link.textContent.trim() === selectors.linkText);
-      if (elHidden) foundElements.push(elHidden);
-    }
-
-    // Level 5: Class name
-    if (selectors.className) {
-      try {
-        const el = doc.querySelector(selectors.className);
-        if (el && this.isElementVisible(el)) return el;
-        if (el) foundElements.push(el);
-      } catch (e) { /* Invalid selector */ }
-    }
-
-    // Level 6: CSS selector
-    if (selectors.css) {
-      try {
-        const el = doc.querySelector(selectors.css);
-        if (el && this.isElementVisible(el)) return el;
-        if (el) foundElements.push(el);
-      } catch (e) { /* Invalid selector */ }
-    }
-
-    // Level 7: XPath
-    if (selectors.xpath) {
-      try {
-        const result = doc.evaluate(
-          selectors.xpath,
-          doc,
-          null,
-          XPathResult.FIRST_ORDERED_NODE_TYPE,
-          null
-        );
-        if (result.singleNodeValue && this.isElementVisible(result.singleNodeValue)) {
-          return result.singleNodeValue;
-        }
-        if (result.singleNodeValue) foundElements.push(result.singleNodeValue);
-      } catch (e) { /* Invalid XPath */ }
-    }
-
-    // Level 8: Partial link text
-    if (selectors.partialLinkText && selectors.tagName === 'a') {
-      const links = Array.from(doc.getElementsByTagName('a'));
-      const el = links.find(link => 
-        link.textContent.includes(selectors.partialLinkText) && this.isElementVisible(link)
-      );
-      if (el) return el;
-      
-      const elHidden = links.find(link => link.textContent.includes(selectors.partialLinkText));
-      if (elHidden) foundElements.push(elHidden);
-    }
-
-    // Level 9: Text content matching (last resort)
-    if (selectors.textContent && selectors.tagName) {
-      const elements = Array.from(doc.getElementsByTagName(selectors.tagName));
-      const el = elements.find(elem => 
-        elem.textContent?.trim().startsWith(selectors.textContent) && this.isElementVisible(elem)
-      );
-      if (el) return el;
-      
-      const elHidden = elements.find(elem => 
-        elem.textContent?.trim().startsWith(selectors.textContent)
-      );
-      if (elHidden) foundElements.push(elHidden);
-    }
-
-    // If we found invisible elements but no visible ones, return the first invisible one
-    if (foundElements.length > 0) {
-      console.warn('[Selector Engine] Found element but not visible, returning anyway');
-      return foundElements[0];
-    }
-
-    return null;
-  }
-
-  /**
-   * Check if element is visible (simple check)
-   */
-  static isElementVisible(element) {
-    if (!element) return false;
-    
-    // Check if element is in DOM
-    if (!element.isConnected) return false;
-    
-    // Check basic CSS visibility
-    const style = window.getComputedStyle(element);
-    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-      return false;
-    }
-    
-    // Check if element has dimensions
-    const rect = element.getBoundingClientRect();
-    if (rect.width === 0 && rect.height === 0) {
-      return false;
-    }
-    
-    return true;
-  }
-
-  /**
-   * Find element in Shadow DOM trees
-   */
-  static findInShadowRoots(selectors) {
-    const shadowHosts = this.getAllShadowHosts(document.body);
-    
-    for (const host of shadowHosts) {
-      if (host.shadowRoot) {
-        const element = this.findInDocument(host.shadowRoot, selectors);
-        if (element) return element;
-      }
-    }
-    
-    return null;
-  }
-
-  /**
-   * Get all elements with Shadow DOM
-   */
-  static getAllShadowHosts(root) {
-    const hosts = [];
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_ELEMENT,
-      null,
-      false
-    );
-
-    let node;
-    while (node = walker.nextNode()) {
-      if (node.shadowRoot) {
-        hosts.push(node);
-        // Recursively find shadow hosts in this shadow root
-        hosts.push(...this.getAllShadowHosts(node.shadowRoot));
-      }
-    }
-
-    return hosts;
-  }
-
-  /**
-   * Find element in iframes
-   */
-  static findInIframes(selectors) {
-    const iframes = document.getElementsByTagName('iframe');
-    
-    for (const iframe of iframes) {
-      try {
-        // Skip cross-origin iframes
-        if (!iframe.contentDocument) continue;
-        
-        const element = this.findInDocument(iframe.contentDocument, selectors);
-        if (element) return element;
-      } catch (e) {
-        // Cross-origin or access denied
-        continue;
-      }
-    }
-    
-    return null;
-  }
-
-  /**
-   * Generate XPath for element
-   * @param {HTMLElement} element 
-   * @returns {string}
-   */
-  static getXPath(element) {
-    if (element.id) {
-      return `//*[@id="${element.id}"]`;
-    }
-
-    if (element === document.body) {
-      return '/html/body';
-    }
-
-    let path = '';
-    let current = element;
-
-    while (current && current !== document.body) {
-      let index = 1;
-      let sibling = current.previousElementSibling;
-      
-      while (sibling) {
-        if (sibling.tagName === current.tagName) {
-          index++;
-        }
-        sibling = sibling.previousElementSibling;
-      }
-
-      const tagName = current.tagName.toLowerCase();
-      path = `/${tagName}[${index}]${path}`;
-      current = current.parentElement;
-    }
-
-    return `/html/body${path}`;
-  }
-
-  /**
-   * Get a human-readable description of how element was found
-   */
-  static getMatchMethod(element, selectors) {
-    if (selectors.id && document.querySelector(selectors.id) === element) {
-      return 'ID';
-    }
-    if (selectors.name && document.querySelector(selectors.name) === element) {
-      return 'Name';
-    }
-    if (selectors.testId && document.querySelector(selectors.testId) === element) {
-      return 'TestID';
-    }
-    if (selectors.linkText) {
-      return 'LinkText';
-    }
-    if (selectors.className && document.querySelector(selectors.className) === element) {
-      return 'ClassName';
-    }
-    if (selectors.css && document.querySelector(selectors.css) === element) {
-      return 'CSS';
-    }
-    return 'XPath/Fallback';
-  }
+/**
+ * Selector Engine - Enhanced with Shadow DOM support and better compatibility
+ * Each selector is scored at capture time for stability and uniqueness, and
+ * replay tries them best first. Flows recorded before scoring use the
+ * fixed order ID > name > data-testid > linkText > className > CSS > XPath > partialLink.
+ *
+ * Selectors for an element inside shadow roots are relative to its own root;
+ * shadowPath holds the selectors of each shadow host from the document down.
+ */
+
+const DEFAULT_LOOKUP_ORDER = ['id', 'name', 'testId', 'linkText', 'className', 'css', 'xpath', 'partialLinkText', 'textContent'];
+
+// Test hook attributes, in the order they're looked for
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy', 'data-selenium'];
+
+// How much each kind of selector can be trusted to survive page changes, when
+// it matches only the recorded element. Text fallbacks aren't scored.
+const SELECTOR_BASE_SCORES = {
+  id: 100,
+  testId: 95,
+  name: 80,
+  linkText: 70,
+  css: 60,
+  className: 45,
+  xpath: 20 // Positional: breaks when anything is inserted above the element
+};
+const GENERATED_ID_SCORE = 25;
+// Multiplier for a selector that also matches other elements
+const AMBIGUOUS_SELECTOR_FACTOR = 0.4;
+// Below this, the best selector of a step is flagged as weak
+const WEAK_SELECTOR_SCORE = 50;
+
+class SelectorEngine {
+  /**
+   * Generate all possible selectors for an element
+   * @param {HTMLElement} element 
+   * @param {Object} [options] - { score: false } leaves out the scores, which
+   *   query the whole document - for selectors only compared against the last
+   *   step's (see withScores)
+   * @returns {Object} Selector metadata
+   */
+  static generateSelectors(element, options = {}) {
+    const selectors = {
+      id: null,
+      name: null,
+      linkText: null,
+      testId: null,
+      className: null,
+      css: null,
+      xpath: null,
+      partialLinkText: null,
+      tagName: element.tagName.toLowerCase(),
+      textContent: element.textContent?.trim().substring(0, 100) || ''
+    };
+
+    // Level 1: ID (highest priority)
+    if (element.id) {
+      selectors.id = `#${CSS.escape(element.id)}`;
+    }
+
+    // Level 2: Name attribute
+    if (element.name) {
+      selectors.name = `${element.tagName.toLowerCase()}[name="${CSS.escape(element.name)}"]`;
+    }
+
+    // Level 3: Link text (exact match for <a> tags)
+    if (element.tagName === 'A' && element.textContent) {
+      selectors.linkText = element.textContent.trim();
+    }
+
+    // Level 3.5: data-testid (very common in modern apps)
+    const testIdAttribute = TEST_ID_ATTRIBUTES.find(name => element.getAttribute(name));
+    if (testIdAttribute) {
+      const testId = element.getAttribute(testIdAttribute);
+      selectors.testId = `[${testIdAttribute}="${CSS.escape(testId)}"]`;
+    }
+
+    // Level 4: Class names (first 3 classes, excluding dynamic ones)
+    if (element.className && typeof element.className === 'string') {
+      const classes = element.className.trim()
+        .split(/\s+/)
+        .filter(c => !this.isDynamicClass(c))
+        .slice(0, 3);
+      
+      if (classes.length > 0) {
+        selectors.className = element.tagName.toLowerCase() + '.' + 
+          classes.map(c => CSS.escape(c)).join('.');
+      }
+    }
+
+    // Level 5: CSS selector with data attributes and ARIA
+    const dataAttrs = Array.from(element.attributes)
+      .filter(attr => 
+        (attr.name.startsWith('data-') || 
+         attr.name.startsWith('aria-') ||
+         attr.name === 'role' ||
+         attr.name === 'type') && 
+        attr.value
+      )
+      .slice(0, 2);
+    
+    if (dataAttrs.length > 0) {
+      selectors.css = element.tagName.toLowerCase() + 
+        dataAttrs.map(attr => `[${attr.name}="${CSS.escape(attr.value)}"]`).join('');
+    } else if (selectors.className) {
+      selectors.css = selectors.className;
+    }
+
+    // Level 6: Full XPath
+    selectors.xpath = this.getXPath(element);
+
+    // Level 7: Partial link text
+    if (element.tagName === 'A' && element.textContent) {
+      const text = element.textContent.trim();
+      selectors.partialLinkText = text.substring(0, Math.min(20, text.length));
+    }
+
+    if (options.score !== false) {
+      selectors.scores = this.scoreSelectors(selectors, element);
+    }
+
+    const hosts = this.getShadowHostChain(element);
+    if (hosts.length > 0) {
+      selectors.shadowPath = hosts.map(host => {
+        const { shadowPath, ...hostSelectors } = this.generateSelectors(host);
+        return hostSelectors;
+      });
+    }
+
+    return selectors;
+  }
+
+  /**
+   * Score each selector: its kind's base score, lowered for generated IDs,
+   * cut when it matches other elements too, and 0 when it misses the element
+   * @param {Object} selectors
+   * @param {Element} element
+   * @returns {Object} { id, testId, name, linkText, css, className, xpath } -> 0..100
+   */
+  static scoreSelectors(selectors, element) {
+    const root = element.getRootNode();
+    const idIsGenerated = !!element.id && this.isGeneratedId(element.id);
+    const scores = {};
+
+    Object.keys(SELECTOR_BASE_SCORES).forEach(key => {
+      if (!selectors[key]) return;
+
+      const matches = this.lookup(root, selectors, key, true);
+      if (!matches.includes(element)) {
+        scores[key] = 0;
+        return;
+      }
+
+      let score = SELECTOR_BASE_SCORES[key];
+      if (key === 'id' && idIsGenerated) {
+        score = GENERATED_ID_SCORE;
+      } else if (key === 'xpath' && selectors.xpath.includes('@id=')) {
+        score = idIsGenerated ? GENERATED_ID_SCORE : SELECTOR_BASE_SCORES.id - 5;
+      }
+
+      if (matches.length > 1) {
+        score *= AMBIGUOUS_SELECTOR_FACTOR;
+      }
+      scores[key] = Math.round(score);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Add the scores to selectors generated without them, once they become a step
+   * @param {Object} selectors - From generateSelectors(element, { score: false })
+   * @param {Element} element
+   * @returns {Object} The same selectors
+   */
+  static withScores(selectors, element) {
+    selectors.scores = this.scoreSelectors(selectors, element);
+    return selectors;
+  }
+
+  /**
+   * Best score among a step's selectors
+   * @param {Object} selectors
+   * @returns {number|null} null for selectors recorded before scoring
+   */
+  static getBestScore(selectors) {
+    if (!selectors?.scores) return null;
+    return Math.max(0, ...Object.values(selectors.scores));
+  }
+
+  static isWeakSelector(selectors) {
+    const best = this.getBestScore(selectors);
+    return best !== null && best < WEAK_SELECTOR_SCORE;
+  }
+
+  /**
+   * Check if an ID looks generated per page load or per build
+   * (framework counters, React useId, hashes, UUIDs)
+   */
+  static isGeneratedId(id) {
+    return /\d{3,}/.test(id) ||                  // Counters: item-1234
+           /^:[a-z0-9]+:$/i.test(id) ||         // React useId: :r1:
+           /^(ember|ext-|yui_|mui-|react-select-|headlessui-|radix-)/i.test(id) ||
+           (/[0-9a-f]{8,}/i.test(id) && /\d/.test(id)); // Hashes and UUIDs
+  }
+
+  /**
+   * Shadow hosts enclosing an element, outermost first
+   * @param {Element} element
+   * @returns {Element[]}
+   */
+  static getShadowHostChain(element) {
+    const hosts = [];
+    let root = element.getRootNode();
+
+    while (root instanceof ShadowRoot) {
+      hosts.unshift(root.host);
+      root = root.host.getRootNode();
+    }
+
+    return hosts;
+  }
+
+  /**
+   * Check if a class name looks dynamically generated
+   */
+  static isDynamicClass(className) {
+    // Skip classes that look like CSS modules, styled-components, etc.
+    return /^[a-z0-9]{8,}$/i.test(className) || // Long random strings
+           /_[a-z0-9]{5,}$/i.test(className) ||   // Suffixed hashes
+           /^css-/.test(className);                // CSS-in-JS
+  }
+
+  /**
+   * Find element using fallback chain with Shadow DOM support
+   * @param {Object} selectors - Selector metadata from generateSelectors
+   * @returns {HTMLElement|null}
+   */
+  static findElement(selectors) {
+    if (selectors.shadowPath?.length > 0) {
+      return this.findInShadowPath(selectors);
+    }
+
+    // Try in main document first
+    let element = this.findInDocument(document, selectors);
+    if (element) return element;
+
+    // Try in Shadow DOMs
+    element = this.findInShadowRoots(selectors);
+    if (element) return element;
+
+    // Try in iframes
+    element = this.findInIframes(selectors);
+    if (element) return element;
+
+    return null;
+  }
+
+  /**
+   * Walk the recorded chain of shadow hosts, then search the innermost root
+   */
+  static findInShadowPath(selectors) {
+    let root = document;
+
+    for (const hostSelectors of selectors.shadowPath) {
+      const host = this.findInDocument(root, hostSelectors);
+      if (!host?.shadowRoot) return null;
+      root = host.shadowRoot;
+    }
+
+    return this.findInDocument(root, selectors);
+  }
+
+  /**
+   * Find element in a specific document/shadow root.
+   * Selectors are tried best-scored first (fixed order for flows recorded
+   * before scoring); the first visible match wins, else the first hidden one.
+   */
+  static findInDocument(doc, selectors) {
+    const foundElements = [];
+
+    for (const key of this.getLookupOrder(selectors)) {
+      const candidates = this.lookup(doc, selectors, key);
+
+      const visible = candidates.find(el => this.isElementVisible(el));
+      if (visible) return visible;
+      if (candidates.length > 0) foundElements.push(candidates[0]);
+    }
+
+    // If we found invisible elements but no visible ones, return the first invisible one
+    if (foundElements.length > 0) {
+      console.warn('[Selector Engine] Found element but not visible, returning anyway');
+      return foundElements[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Selector kinds in the order findInDocument tries them
+   * @param {Object} selectors
+   * @returns {string[]}
+   */
+  static getLookupOrder(selectors) {
+    if (!selectors.scores) return DEFAULT_LOOKUP_ORDER;
+
+    const scored = Object.keys(selectors.scores)
+      .filter(key => selectors[key] && selectors.scores[key] > 0)
+      .sort((a, b) => selectors.scores[b] - selectors.scores[a]);
+
+    // Unscored kinds that match nothing at capture time still get a last chance
+    return [
+      ...scored,
+      ...DEFAULT_LOOKUP_ORDER.filter(key => !scored.includes(key))
+    ];
+  }
+
+  /**
+   * Elements one kind of selector finds, best candidate first
+   * @param {Document|ShadowRoot} doc
+   * @param {Object} selectors
+   * @param {string} key - 'id', 'name', 'testId', 'linkText', 'className', 'css',
+   *   'xpath', 'partialLinkText' or 'textContent'
+   * @param {boolean} all - Every match rather than only the first (uniqueness checks)
+   * @returns {Element[]}
+   */
+  static lookup(doc, selectors, key, all = false) {
+    const value = selectors[key];
+    if (!value) return [];
+
+    try {
+      switch (key) {
+        case 'id':
+        case 'name':
+        case 'testId':
+        case 'className':
+        case 'css': {
+          if (all) return Array.from(doc.querySelectorAll(value));
+          const el = doc.querySelector(value);
+          return el ? [el] : [];
+        }
+
+        case 'xpath': {
+          // Shadow roots have no evaluate() of their own
+          const result = (doc.evaluate ? doc : document).evaluate(
+            value,
+            doc,
+            null,
+            XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+            null
+          );
+          const count = all ? result.snapshotLength : Math.min(result.snapshotLength, 1);
+          return Array.from({ length: count }, (_, i) => result.snapshotItem(i));
+        }
+
+        case 'linkText':
+        case 'partialLinkText':
+          if (selectors.tagName !== 'a') return [];
+          return Array.from(doc.querySelectorAll('a')).filter(link => key === 'linkText'
+            ? link.textContent.trim() === value
+            : link.textContent.includes(value));
+
+        case 'textContent':
+          if (!selectors.tagName) return [];
+          return Array.from(doc.querySelectorAll(selectors.tagName))
+            .filter(elem => elem.textContent?.trim().startsWith(value));
+
+        default:
+          return [];
+      }
+    } catch (e) {
+      return []; // Invalid selector or XPath
+    }
+  }
+
+  /**
+   * Check if element is visible (simple check)
+   */
+  static isElementVisible(element) {
+    if (!element) return false;
+    
+    // Check if element is in DOM
+    if (!element.isConnected) return false;
+    
+    // Check basic CSS visibility
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+      return false;
+    }
+    
+    // Check if element has dimensions
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Find element in Shadow DOM trees
+   */
+  static findInShadowRoots(selectors) {
+    const shadowHosts = this.getAllShadowHosts(document.body);
+    
+    for (const host of shadowHosts) {
+      if (host.shadowRoot) {
+        const element = this.findInDocument(host.shadowRoot, selectors);
+        if (element) return element;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get all elements with Shadow DOM
+   */
+  static getAllShadowHosts(root) {
+    const hosts = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+      false
+    );
+
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        hosts.push(node);
+        // Recursively find shadow hosts in this shadow root
+        hosts.push(...this.getAllShadowHosts(node.shadowRoot));
+      }
+    }
+
+    return hosts;
+  }
+
+  /**
+   * Find element in iframes
+   */
+  static findInIframes(selectors) {
+    const iframes = document.getElementsByTagName('iframe');
+    
+    for (const iframe of iframes) {
+      try {
+        // Skip cross-origin iframes
+        if (!iframe.contentDocument) continue;
+        
+        const element = this.findInDocument(iframe.contentDocument, selectors);
+        if (element) return element;
+      } catch (e) {
+        // Cross-origin or access denied
+        continue;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Generate XPath for element. Inside a shadow root the path is relative
+   * to that root (evaluated with the root as context node).
+   * @param {HTMLElement} element 
+   * @returns {string}
+   */
+  static getXPath(element) {
+    const inShadowRoot = element.getRootNode() instanceof ShadowRoot;
+
+    if (element.id) {
+      return `${inShadowRoot ? '.' : ''}//*[@id="${element.id}"]`;
+    }
+
+    if (element === document.body) {
+      return '/html/body';
+    }
+
+    let path = '';
+    let current = element;
+
+    // Top-level nodes of a shadow root have no parentElement
+    while (current && current !== document.body) {
+      let index = 1;
+      let sibling = current.previousElementSibling;
+      
+      while (sibling) {
+        if (sibling.tagName === current.tagName) {
+          index++;
+        }
+        sibling = sibling.previousElementSibling;
+      }
+
+      const tagName = current.tagName.toLowerCase();
+      path = `/${tagName}[${index}]${path}`;
+      current = current.parentElement;
+    }
+
+    return inShadowRoot ? `.${path}` : `/html/body${path}`;
+  }
+
+  /**
+   * Get a human-readable description of how element was found
+   */
+  static getMatchMethod(element, selectors) {
+    if (selectors.id && document.querySelector(selectors.id) === element) {
+      return 'ID';
+    }
+    if (selectors.name && document.querySelector(selectors.name) === element) {
+      return 'Name';
+    }
+    if (selectors.testId && document.querySelector(selectors.testId) === element) {
+      return 'TestID';
+    }
+    if (selectors.linkText) {
+      return 'LinkText';
+    }
+    if (selectors.className && document.querySelector(selectors.className) === element) {
+      return 'ClassName';
+    }
+    if (selectors.css && document.querySelector(selectors.css) === element) {
+      return 'CSS';
+    }
+    return 'XPath/Fallback';
+  }
 }
\ No newline at end of file
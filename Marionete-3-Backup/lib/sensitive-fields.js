@@ -0,0 +1,125 @@
+/**
+ * Sensitive Fields - Decides which form fields must never be recorded in clear
+ * Password fields always are; other fields are when their name, id, label,
+ * placeholder or autocomplete hint matches one of the configured patterns.
+ * Patterns live in chrome.storage.local and are edited from the flow manager.
+ */
+
+const SENSITIVE_PATTERNS_KEY = 'settings:sensitiveFieldPatterns';
+
+// Case-insensitive regular expressions (invalid ones are matched as plain text)
+const DEFAULT_SENSITIVE_PATTERNS = [
+  'cpf',
+  'cnpj',
+  'card|cart[aã]o|cc-?num',
+  'cvv|cvc|csc',
+  'token',
+  'senha|passw',
+  'one-time-code|otp'
+];
+
+// autocomplete values that always mean a secret, whatever the patterns say
+const SENSITIVE_AUTOCOMPLETE = ['current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc'];
+
+class SensitiveFields {
+  /**
+   * Load the configured patterns and follow changes to them.
+   * Until loaded, the defaults apply.
+   * @returns {Promise<void>}
+   */
+  static init() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.getPatterns().then(patterns => {
+        this.compiled = this.compile(patterns);
+      });
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SENSITIVE_PATTERNS_KEY]) {
+          this.compiled = this.compile(changes[SENSITIVE_PATTERNS_KEY].newValue || DEFAULT_SENSITIVE_PATTERNS);
+        }
+      });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  static async getPatterns() {
+    const stored = await chrome.storage.local.get(SENSITIVE_PATTERNS_KEY);
+    return stored[SENSITIVE_PATTERNS_KEY] || DEFAULT_SENSITIVE_PATTERNS;
+  }
+
+  /**
+   * @param {string[]} patterns - Empty list restores the defaults
+   * @returns {Promise<void>}
+   */
+  static async savePatterns(patterns) {
+    if (patterns.length === 0) {
+      await chrome.storage.local.remove(SENSITIVE_PATTERNS_KEY);
+    } else {
+      await chrome.storage.local.set({ [SENSITIVE_PATTERNS_KEY]: patterns });
+    }
+  }
+
+  /**
+   * @param {Element} element - An input or textarea
+   * @returns {boolean}
+   */
+  static isSensitive(element) {
+    if (element.type === 'password') return true;
+
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+    if (SENSITIVE_AUTOCOMPLETE.some(hint => autocomplete.includes(hint))) return true;
+
+    const description = this.describeField(element);
+    const patterns = this.compiled || this.compile(DEFAULT_SENSITIVE_PATTERNS);
+    return patterns.some(pattern => pattern.test(description));
+  }
+
+  /**
+   * Variable name a sensitive field's value is recorded as, e.g. "{{cpf}}"
+   * @param {Element} element
+   * @returns {string}
+   */
+  static variableNameFor(element) {
+    const source = element.name || element.id || element.getAttribute('autocomplete') ||
+                   (element.type === 'password' ? 'senha' : '');
+
+    const name = source
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9_]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .substring(0, 40);
+
+    return name || 'campo_sensivel';
+  }
+
+  /**
+   * Everything that names the field, as one lowercase string
+   */
+  static describeField(element) {
+    const labels = Array.from(element.labels || []).map(label => label.textContent);
+
+    return [
+      element.name,
+      element.id,
+      element.getAttribute('autocomplete'),
+      element.getAttribute('placeholder'),
+      element.getAttribute('aria-label'),
+      ...labels
+    ].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  static compile(patterns) {
+    return patterns.map(pattern => {
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (e) {
+        const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(escaped, 'i');
+      }
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,336 @@
+/**
+ * Flow Store - Repository for saved flows in chrome.storage.local
+ * Flows are keyed by a stable ID (not the display name) and carry a schemaVersion
+ */
+
+const FLOW_KEY_PREFIX = 'flow:';
+const FLOW_SCHEMA_VERSION = 2;
+
+class FlowStore {
+  /**
+   * Migrations from each schema version to the next.
+   * MIGRATIONS[n] upgrades a version-n flow to version n + 1.
+   * Version 0 is anything saved or exported before schemaVersion existed.
+   */
+  static get MIGRATIONS() {
+    return {
+      0: (flow) => ({
+        ...flow,
+        name: flow.name || 'Fluxo sem nome',
+        actions: flow.actions || [],
+        recordedAt: flow.recordedAt || new Date().toISOString(),
+        actionCount: (flow.actions || []).length
+      }),
+      // Password steps were stored in clear text before masking at record time
+      1: (flow) => ({
+        ...flow,
+        actions: flow.actions.map(action => this.redactAction(action))
+      })
+    };
+  }
+
+  /**
+   * Resolve once legacy name-keyed flows have been moved to ID keys and
+   * stored flows upgraded to the current schema.
+   * Runs at most once per page/worker.
+   * @returns {Promise<void>}
+   */
+  static ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.migrateLegacyFlows().then(() => this.migrateStoredFlows()).catch(error => {
+        console.error('[Marionete Store] Legacy migration failed:', error);
+      });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * List all flows, most recently recorded first
+   * @returns {Promise<Object[]>}
+   */
+  static async list() {
+    await this.ready();
+
+    const storage = await chrome.storage.local.get(null);
+    return Object.entries(storage)
+      .filter(([key]) => key.startsWith(FLOW_KEY_PREFIX))
+      .map(([, flow]) => flow)
+      .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  static async get(id) {
+    await this.ready();
+
+    const key = this.keyFor(id);
+    const storage = await chrome.storage.local.get(key);
+    return storage[key] || null;
+  }
+
+  /**
+   * Create a new flow from recording data
+   * @param {Object} data - { name, actions, startUrl, duration, recordedAt, ... }
+   * @returns {Promise<Object>} The stored flow, including its new ID
+   */
+  static async create(data) {
+    const flow = {
+      ...data,
+      id: this.generateId(),
+      schemaVersion: FLOW_SCHEMA_VERSION
+    };
+
+    return this.save(flow);
+  }
+
+  /**
+   * Write a flow under its ID, replacing any previous version
+   * @param {Object} flow - Must have an id
+   * @returns {Promise<Object>}
+   */
+  static async save(flow) {
+    if (!flow.id) {
+      throw new Error('Flow has no id');
+    }
+
+    await this.ready();
+
+    const stored = {
+      ...flow,
+      schemaVersion: FLOW_SCHEMA_VERSION,
+      actionCount: flow.actions.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    await chrome.storage.local.set({ [this.keyFor(flow.id)]: stored });
+    return stored;
+  }
+
+  /**
+   * Replace a range of a flow's steps with newly recorded ones
+   * @param {string} id
+   * @param {number} index - First step replaced, or where to insert
+   * @param {number} removeCount - Steps removed from index on (0 only inserts)
+   * @param {Object[]} actions - Steps to put in their place
+   * @returns {Promise<Object>} The saved flow
+   */
+  static async spliceActions(id, index, removeCount, actions) {
+    const flow = await this.get(id);
+    if (!flow) {
+      throw new Error('Fluxo não encontrado');
+    }
+
+    const updated = [...flow.actions];
+    updated.splice(index, removeCount, ...actions);
+    return this.save({ ...flow, actions: updated });
+  }
+
+  /**
+   * Change a flow's display name. The storage key is unaffected.
+   * @param {string} id
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  static async rename(id, name) {
+    const flow = await this.get(id);
+    if (!flow) {
+      throw new Error('Fluxo não encontrado');
+    }
+
+    return this.save({ ...flow, name });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  static async remove(id) {
+    await this.ready();
+    await chrome.storage.local.remove(this.keyFor(id));
+  }
+
+  /**
+   * Build the JSON export envelope for a flow
+   * @param {Object} flow
+   * @param {Object} screenshots - Optional screenshotId -> data URL map to embed
+   * @returns {Object}
+   */
+  static exportFlow(flow, screenshots = null) {
+    const { id, ...exported } = flow;
+    exported.actions = flow.actions.map(action => this.redactAction(action));
+
+    const envelope = {
+      name: flow.name,
+      version: '1.0',
+      schemaVersion: FLOW_SCHEMA_VERSION,
+      exported: new Date().toISOString(),
+      flow: exported
+    };
+
+    if (screenshots) {
+      envelope.screenshots = screenshots;
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Strip values that must not leave the browser: sensitive variables keep no
+   * default, and password steps from flows recorded before masking existed
+   * become sensitive variables
+   * @param {Object} action
+   * @returns {Object}
+   */
+  static redactAction(action) {
+    if (action.sensitive) {
+      return { ...action, originalValue: '' };
+    }
+
+    if (action.type === 'input' && action.inputType === 'password') {
+      return { ...action, value: '{{senha}}', originalValue: '', isVariable: true, sensitive: true };
+    }
+
+    return action;
+  }
+
+  /**
+   * Import an export envelope as a new flow, migrating older schemas.
+   * Clashing names get a " (n)" suffix.
+   * @param {Object} importData - Parsed export file
+   * @returns {Promise<Object>} The stored flow
+   */
+  static async importFlow(importData) {
+    if (!importData?.flow || !Array.isArray(importData.flow.actions)) {
+      throw new Error('Arquivo inválido');
+    }
+
+    const flow = this.migrate(importData.flow);
+
+    const existingNames = new Set((await this.list()).map(f => f.name));
+    let name = flow.name;
+    let counter = 1;
+    while (existingNames.has(name)) {
+      name = `${flow.name} (${counter})`;
+      counter++;
+    }
+
+    return this.save({ ...flow, name, id: this.generateId() });
+  }
+
+  /**
+   * Upgrade a flow object to the current schema version
+   * @param {Object} flow
+   * @returns {Object}
+   */
+  static migrate(flow) {
+    let migrated = { ...flow };
+    let version = migrated.schemaVersion || 0;
+
+    if (version > FLOW_SCHEMA_VERSION) {
+      throw new Error(`Versão de fluxo não suportada: ${version}`);
+    }
+
+    while (version < FLOW_SCHEMA_VERSION) {
+      migrated = this.MIGRATIONS[version](migrated);
+      version++;
+      migrated.schemaVersion = version;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Subscribe to flow changes from any extension page or the worker
+   * @param {Function} callback - Receives { type: 'created'|'updated'|'removed', id, flow, oldFlow }
+   * @returns {Function} Unsubscribe
+   */
+  static onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      Object.entries(changes).forEach(([key, change]) => {
+        if (!key.startsWith(FLOW_KEY_PREFIX)) return;
+
+        const id = key.substring(FLOW_KEY_PREFIX.length);
+        const type = !change.newValue ? 'removed' : !change.oldValue ? 'created' : 'updated';
+
+        callback({ type, id, flow: change.newValue || null, oldFlow: change.oldValue || null });
+      });
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  /**
+   * Move flows saved under their display name (pre-FlowStore) to ID keys
+   */
+  static async migrateLegacyFlows() {
+    const storage = await chrome.storage.local.get(null);
+    const legacy = Object.entries(storage).filter(([key, value]) =>
+      !key.startsWith(FLOW_KEY_PREFIX) &&
+      value && typeof value === 'object' &&
+      value.actions && value.recordedAt
+    );
+
+    if (legacy.length === 0) return;
+
+    const migrated = {};
+    legacy.forEach(([key, value]) => {
+      // Derive the ID from the old key so two pages migrating at once agree
+      const id = `legacy-${this.hashString(key)}`;
+      migrated[this.keyFor(id)] = {
+        ...this.migrate({ name: key, ...value }),
+        id
+      };
+    });
+
+    await chrome.storage.local.set(migrated);
+    await chrome.storage.local.remove(legacy.map(([key]) => key));
+
+    console.log('[Marionete Store] Migrated', legacy.length, 'legacy flows');
+  }
+
+  /**
+   * Rewrite stored flows saved under an older schema version
+   */
+  static async migrateStoredFlows() {
+    const storage = await chrome.storage.local.get(null);
+    const outdated = Object.entries(storage).filter(([key, flow]) =>
+      key.startsWith(FLOW_KEY_PREFIX) && (flow.schemaVersion || 0) < FLOW_SCHEMA_VERSION
+    );
+
+    if (outdated.length === 0) return;
+
+    const migrated = {};
+    outdated.forEach(([key, flow]) => {
+      migrated[key] = this.migrate(flow);
+    });
+
+    await chrome.storage.local.set(migrated);
+
+    console.log('[Marionete Store] Upgraded', outdated.length, 'stored flows to schema version', FLOW_SCHEMA_VERSION);
+  }
+
+  static keyFor(id) {
+    return `${FLOW_KEY_PREFIX}${id}`;
+  }
+
+  static generateId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Small stable string hash (FNV-1a), hex encoded
+   */
+  static hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+}
\ No newline at end of file
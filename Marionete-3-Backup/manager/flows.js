@@ -1,720 +1,1820 @@
-/**
- * Flow Manager Controller - WITH VARIABLES + EXPORT/IMPORT
- */
-
-// State
-let flows = {};
-let selectedFlow = null;
-let selectedSpeed = 1;
-let sortableInstance = null;
-let currentEditingStep = null;
-
-// DOM Elements
-const flowList = document.getElementById('flowList');
-const flowTitle = document.getElementById('flowTitle');
-const btnDelete = document.getElementById('btnDelete');
-const btnExecute = document.getElementById('btnExecute');
-const btnExport = document.getElementById('btnExport');
-const btnImport = document.getElementById('btnImport');
-const btnNewFlow = document.getElementById('btnNewFlow');
-const speedSelector = document.getElementById('speedSelector');
-const flowDetails = document.getElementById('flowDetails');
-const emptyState = document.getElementById('emptyState');
-const detailUrl = document.getElementById('detailUrl');
-const detailActions = document.getElementById('detailActions');
-const detailDuration = document.getElementById('detailDuration');
-const detailVariables = document.getElementById('detailVariables');
-const detailCreated = document.getElementById('detailCreated');
-const stepCount = document.getElementById('stepCount');
-const stepsList = document.getElementById('stepsList');
-const variablesSection = document.getElementById('variablesSection');
-const variablesList = document.getElementById('variablesList');
-
-// Modals
-const variableModal = document.getElementById('variableModal');
-const executionModal = document.getElementById('executionModal');
-const fileInput = document.getElementById('fileInput');
-
-// Initialize
-document.addEventListener('DOMContentLoaded', async () => {
-  await loadFlows();
-  setupEventListeners();
-  setupSpeedSelector();
-});
-
-function setupEventListeners() {
-  btnDelete.addEventListener('click', handleDelete);
-  btnExecute.addEventListener('click', handleExecuteWithVariables);
-  btnExport.addEventListener('click', handleExport);
-  btnImport.addEventListener('click', () => fileInput.click());
-  btnNewFlow.addEventListener('click', handleNewFlow);
-  
-  fileInput.addEventListener('change', handleImport);
-  
-  // Variable modal
-  document.getElementById('closeVariableModal').addEventListener('click', closeVariableModal);
-  document.getElementById('cancelVariable').addEventListener('click', closeVariableModal);
-  document.getElementById('saveVariable').addEventListener('click', saveVariableConfig);
-  
-  // Execution modal
-  document.getElementById('cancelExecution').addEventListener('click', closeExecutionModal);
-  document.getElementById('startExecution').addEventListener('click', executeWithVariableValues);
-}
-
-function setupSpeedSelector() {
-  const speedBtns = document.querySelectorAll('.speed-btn');
-  
-  speedBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      selectedSpeed = parseFloat(btn.dataset.speed);
-      
-      speedBtns.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-    });
-  });
-}
-
-async function loadFlows() {
-  try {
-    const storage = await chrome.storage.local.get(null);
-    
-    flows = Object.entries(storage)
-      .filter(([key, value]) => value.actions && value.recordedAt)
-      .reduce((acc, [key, value]) => {
-        acc[key] = value;
-        return acc;
-      }, {});
-
-    renderFlowList();
-  } catch (error) {
-    console.error('[Marionete Manager] Load error:', error);
-  }
-}
-
-function renderFlowList() {
-  const flowArray = Object.entries(flows).sort((a, b) => {
-    return new Date(b[1].recordedAt) - new Date(a[1].recordedAt);
-  });
-
-  if (flowArray.length === 0) {
-    flowList.innerHTML = '<div style="padding: 20px; text-align: center; color: #6c757d; font-size: 13px;">Nenhum fluxo salvo</div>';
-    return;
-  }
-
-  flowList.innerHTML = flowArray.map(([name, flow]) => {
-    const varCount = countVariables(flow);
-    const varBadge = varCount > 0 ? ` <span style="background:#667eea;color:white;padding:2px 6px;border-radius:10px;font-size:10px;">${varCount} var</span>` : '';
-    
-    return `
-      <div class="flow-item-sidebar" data-flow="${escapeHtml(name)}">
-        <div class="flow-item-name">${escapeHtml(flow.name || name)}${varBadge}</div>
-        <div class="flow-item-meta">
-          ${flow.actionCount || flow.actions.length} ações • ${formatDuration(flow.duration)}
-        </div>
-      </div>
-    `;
-  }).join('');
-
-  flowList.querySelectorAll('.flow-item-sidebar').forEach(item => {
-    item.addEventListener('click', () => {
-      const flowName = item.dataset.flow;
-      selectFlow(flowName);
-    });
-  });
-}
-
-function selectFlow(flowName) {
-  selectedFlow = flowName;
-  const flow = flows[flowName];
-
-  if (!flow) return;
-
-  flowList.querySelectorAll('.flow-item-sidebar').forEach(item => {
-    if (item.dataset.flow === flowName) {
-      item.classList.add('active');
-    } else {
-      item.classList.remove('active');
-    }
-  });
-
-  flowTitle.textContent = flow.name || flowName;
-  btnDelete.disabled = false;
-  btnExecute.disabled = false;
-  btnExport.disabled = false;
-
-  emptyState.classList.add('hidden');
-  speedSelector.classList.remove('hidden');
-  flowDetails.classList.remove('hidden');
-
-  renderFlowDetails(flow);
-}
-
-function renderFlowDetails(flow) {
-  detailUrl.textContent = flow.startUrl || 'N/A';
-  detailActions.textContent = flow.actionCount || flow.actions.length;
-  detailDuration.textContent = formatDuration(flow.duration);
-  
-  const varCount = countVariables(flow);
-  detailVariables.textContent = varCount;
-  
-  if (varCount > 0) {
-    variablesSection.classList.remove('hidden');
-    renderVariablesList(flow);
-  } else {
-    variablesSection.classList.add('hidden');
-  }
-
-  stepCount.textContent = `${flow.actions.length} passos`;
-  renderSteps(flow.actions);
-}
-
-function renderVariablesList(flow) {
-  const variables = extractVariables(flow);
-  
-  if (variables.length === 0) {
-    variablesList.innerHTML = '<p style="color:#6c757d;font-size:13px;">Nenhuma variável definida</p>';
-    return;
-  }
-
-  variablesList.innerHTML = variables.map(variable => `
-    <div class="variable-item">
-      <div class="variable-info">
-        <div class="variable-name">{{${variable.name}}}</div>
-        <div class="variable-preview">Valor padrão: "${variable.defaultValue}"</div>
-      </div>
-      <div class="variable-actions">
-        <button class="variable-btn" onclick="removeVariable('${variable.name}')">
-          🗑️ Remover
-        </button>
-      </div>
-    </div>
-  `).join('');
-}
-
-function renderSteps(actions) {
-  stepsList.innerHTML = actions.map((action, index) => {
-    const stepNumber = index + 1;
-    const typeLabel = getActionTypeLabel(action.type);
-    const badge = getActionBadge(action.type);
-    const timing = action.timing ? formatDuration(action.timing.delay) : '0ms';
-    
-    return `
-      <div class="step-item" data-index="${index}">
-        <div class="step-number">${stepNumber}</div>
-        <div class="step-content">
-          <div class="step-header">
-            <div class="step-type">
-              <span class="step-badge ${action.type}">${badge}</span>
-              ${typeLabel}
-            </div>
-            <div class="step-timing">⏱️ +${timing}</div>
-          </div>
-          <div class="step-details">
-            ${renderStepDetails(action, index)}
-          </div>
-          <div class="step-actions">
-            ${action.type === 'input' ? `
-              <button class="step-action-btn variable-btn-icon" data-action="make-variable" data-index="${index}" title="Converter em variável">
-                🔤
-              </button>
-            ` : ''}
-            <button class="step-action-btn" data-action="edit" data-index="${index}">
-              ✏️ Editar
-            </button>
-            <button class="step-action-btn" data-action="delete" data-index="${index}">
-              🗑️ Remover
-            </button>
-          </div>
-        </div>
-      </div>
-    `;
-  }).join('');
-
-  setupSortable();
-
-  stepsList.querySelectorAll('.step-action-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const action = btn.dataset.action;
-      const index = parseInt(btn.dataset.index);
-      
-      if (action === 'delete') {
-        handleDeleteStep(index);
-      } else if (action === 'edit') {
-        handleEditStep(index);
-      } else if (action === 'make-variable') {
-        openVariableModal(index);
-      }
-    });
-  });
-}
-
-function renderStepDetails(action, index) {
-  let details = '';
-
-  if (action.selectors) {
-    const selector = action.selectors.id || action.selectors.css || action.selectors.className || 'N/A';
-    details += `
-      <div class="step-detail-item">
-        <span class="step-detail-label">Seletor:</span>
-        <span class="step-detail-value">${escapeHtml(selector)}</span>
-      </div>
-    `;
-  }
-
-  if (action.type === 'input' && action.value) {
-    const isVariable = action.value.match(/^{{(.+)}}$/);
-    const displayValue = isVariable 
-      ? `<span class="step-value-with-var"><span class="var-badge">VAR</span> ${escapeHtml(action.value)}</span>`
-      : `"${escapeHtml(action.value)}"`;
-    
-    details += `
-      <div class="step-detail-item">
-        <span class="step-detail-label">Valor:</span>
-        <span class="step-detail-value">${displayValue}</span>
-      </div>
-    `;
-  }
-
-  if (action.type === 'keypress' && action.key) {
-    details += `
-      <div class="step-detail-item">
-        <span class="step-detail-label">Tecla:</span>
-        <span class="step-detail-value">${action.key}</span>
-      </div>
-    `;
-  }
-
-  if (action.type === 'navigation') {
-    details += `
-      <div class="step-detail-item">
-        <span class="step-detail-label">URL:</span>
-        <span class="step-detail-value">${escapeHtml(action.url)}</span>
-      </div>
-    `;
-  }
-
-  if (action.url && action.type !== 'navigation') {
-    details += `
-      <div class="step-detail-item">
-        <span class="step-detail-label">Página:</span>
-        <span class="step-detail-value">${escapeHtml(action.url)}</span>
-      </div>
-    `;
-  }
-
-  return details;
-}
-
-function setupSortable() {
-  if (sortableInstance) {
-    sortableInstance.destroy();
-  }
-
-  if (!window.Sortable || !selectedFlow) return;
-
-  sortableInstance = Sortable.create(stepsList, {
-    animation: 150,
-    handle: '.step-item',
-    ghostClass: 'sortable-ghost',
-    dragClass: 'sortable-drag',
-    onEnd: function(evt) {
-      const flow = flows[selectedFlow];
-      const movedItem = flow.actions.splice(evt.oldIndex, 1)[0];
-      flow.actions.splice(evt.newIndex, 0, movedItem);
-      
-      saveFlow(selectedFlow, flow);
-      renderSteps(flow.actions);
-    }
-  });
-}
-
-// ============ VARIABLE FUNCTIONS ============
-
-function openVariableModal(stepIndex) {
-  const flow = flows[selectedFlow];
-  const action = flow.actions[stepIndex];
-  
-  if (action.type !== 'input') {
-    alert('Apenas ações de digitação podem ser variáveis');
-    return;
-  }
-
-  currentEditingStep = stepIndex;
-  
-  // Check if already a variable
-  const existingVar = action.value.match(/^{{(.+)}}$/);
-  if (existingVar) {
-    document.getElementById('variableName').value = existingVar[1];
-    document.getElementById('variableValue').value = action.originalValue || action.value;
-  } else {
-    document.getElementById('variableName').value = '';
-    document.getElementById('variableValue').value = action.value;
-  }
-  
-  document.getElementById('variableSensitive').checked = action.sensitive || false;
-  
-  variableModal.classList.remove('hidden');
-}
-
-function closeVariableModal() {
-  variableModal.classList.add('hidden');
-  currentEditingStep = null;
-}
-
-function saveVariableConfig() {
-  const varName = document.getElementById('variableName').value.trim();
-  const originalValue = document.getElementById('variableValue').value;
-  const isSensitive = document.getElementById('variableSensitive').checked;
-  
-  if (!varName) {
-    alert('Digite um nome para a variável');
-    return;
-  }
-  
-  // Validate variable name (no spaces, alphanumeric + underscore)
-  if (!/^[a-zA-Z0-9_]+$/.test(varName)) {
-    alert('Nome inválido. Use apenas letras, números e underscore (_)');
-    return;
-  }
-  
-  const flow = flows[selectedFlow];
-  const action = flow.actions[currentEditingStep];
-  
-  action.value = `{{${varName}}}`;
-  action.originalValue = originalValue;
-  action.sensitive = isSensitive;
-  action.isVariable = true;
-  
-  saveFlow(selectedFlow, flow);
-  renderFlowDetails(flow);
-  closeVariableModal();
-}
-
-function removeVariable(varName) {
-  if (!confirm(`Remover variável "{{${varName}}}"?`)) return;
-  
-  const flow = flows[selectedFlow];
-  
-  flow.actions.forEach(action => {
-    if (action.isVariable && action.value === `{{${varName}}}`) {
-      action.value = action.originalValue || '';
-      delete action.isVariable;
-      delete action.originalValue;
-      delete action.sensitive;
-    }
-  });
-  
-  saveFlow(selectedFlow, flow);
-  renderFlowDetails(flow);
-}
-
-function extractVariables(flow) {
-  const variables = [];
-  const seen = new Set();
-  
-  flow.actions.forEach(action => {
-    if (action.isVariable && action.value.match(/^{{(.+)}}$/)) {
-      const varName = action.value.match(/^{{(.+)}}$/)[1];
-      if (!seen.has(varName)) {
-        seen.add(varName);
-        variables.push({
-          name: varName,
-          defaultValue: action.originalValue || '',
-          sensitive: action.sensitive || false
-        });
-      }
-    }
-  });
-  
-  return variables;
-}
-
-function countVariables(flow) {
-  return extractVariables(flow).length;
-}
-
-// ============ EXECUTION WITH VARIABLES ============
-
-function handleExecuteWithVariables() {
-  if (!selectedFlow) return;
-  
-  const flow = flows[selectedFlow];
-  const variables = extractVariables(flow);
-  
-  if (variables.length === 0) {
-    // No variables, execute directly
-    executeFlow(flow, {});
-  } else {
-    // Show modal to collect variable values
-    showExecutionModal(variables, flow);
-  }
-}
-
-function showExecutionModal(variables, flow) {
-  const container = document.getElementById('executionVariableInputs');
-  
-  container.innerHTML = variables.map(variable => `
-    <div class="form-group">
-      <label>${variable.name}:</label>
-      <input 
-        type="${variable.sensitive ? 'password' : 'text'}" 
-        id="exec_${variable.name}" 
-        placeholder="${variable.sensitive ? '••••••' : variable.defaultValue}"
-        value="${variable.sensitive ? '' : variable.defaultValue}"
-      />
-      <small>${variable.sensitive ? '🔒 Informação sensível' : 'Pressione Enter para usar o valor padrão'}</small>
-    </div>
-  `).join('');
-  
-  executionModal.classList.remove('hidden');
-}
-
-function closeExecutionModal() {
-  executionModal.classList.add('hidden');
-}
-
-function executeWithVariableValues() {
-  const flow = flows[selectedFlow];
-  const variables = extractVariables(flow);
-  
-  const variableValues = {};
-  
-  for (const variable of variables) {
-    const input = document.getElementById(`exec_${variable.name}`);
-    const value = input.value.trim();
-    
-    if (!value) {
-      alert(`Por favor, preencha o valor para: ${variable.name}`);
-      return;
-    }
-    
-    variableValues[variable.name] = value;
-  }
-  
-  closeExecutionModal();
-  executeFlow(flow, variableValues);
-}
-
-async function executeFlow(flow, variableValues) {
-  try {
-    // Replace variables in actions
-    const processedActions = flow.actions.map(action => {
-      if (action.isVariable && action.value.match(/^{{(.+)}}$/)) {
-        const varName = action.value.match(/^{{(.+)}}$/)[1];
-        return {
-          ...action,
-          value: variableValues[varName] || action.originalValue || action.value
-        };
-      }
-      return action;
-    });
-    
-    const response = await chrome.runtime.sendMessage({
-      type: 'EXECUTE_FLOW',
-      data: {
-        actions: processedActions,
-        startUrl: flow.startUrl,
-        speed: selectedSpeed
-      }
-    });
-
-    if (response?.success) {
-      alert('✅ Fluxo enviado para execução!');
-    } else {
-      alert('❌ Erro ao executar: ' + (response?.error || 'Desconhecido'));
-    }
-  } catch (error) {
-    console.error('[Marionete Manager] Execute error:', error);
-    alert('❌ Erro ao executar fluxo');
-  }
-}
-
-// ============ EXPORT/IMPORT ============
-
-function handleExport() {
-  if (!selectedFlow) return;
-  
-  const flow = flows[selectedFlow];
-  
-  const exportData = {
-    name: flow.name,
-    version: '1.0',
-    exported: new Date().toISOString(),
-    flow: flow
-  };
-  
-  const dataStr = JSON.stringify(exportData, null, 2);
-  const dataBlob = new Blob([dataStr], { type: 'application/json' });
-  
-  const url = URL.createObjectURL(dataBlob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `${flow.name.replace(/[^a-z0-9]/gi, '_')}.json`;
-  link.click();
-  
-  URL.revokeObjectURL(url);
-  
-  console.log('[Marionete] Exported flow:', flow.name);
-}
-
-async function handleImport(event) {
-  const file = event.target.files[0];
-  if (!file) return;
-  
-  try {
-    const text = await file.text();
-    const importData = JSON.parse(text);
-    
-    // Validate
-    if (!importData.flow || !importData.flow.actions) {
-      throw new Error('Arquivo inválido');
-    }
-    
-    const flow = importData.flow;
-    
-    // Check if flow name already exists
-    let flowName = flow.name;
-    let counter = 1;
-    while (flows[flowName]) {
-      flowName = `${flow.name} (${counter})`;
-      counter++;
-    }
-    
-    flow.name = flowName;
-    flow.recordedAt = flow.recordedAt || new Date().toISOString();
-    
-    // Save
-    await chrome.storage.local.set({ [flowName]: flow });
-    flows[flowName] = flow;
-    
-    renderFlowList();
-    selectFlow(flowName);
-    
-    alert(`✅ Fluxo importado: ${flowName}`);
-    
-  } catch (error) {
-    console.error('[Marionete] Import error:', error);
-    alert('❌ Erro ao importar: ' + error.message);
-  } finally {
-    fileInput.value = '';
-  }
-}
-
-// ============ STANDARD FUNCTIONS ============
-
-async function handleDeleteStep(index) {
-  if (!selectedFlow) return;
-
-  const confirmed = confirm('Deseja remover este passo?');
-  if (!confirmed) return;
-
-  const flow = flows[selectedFlow];
-  flow.actions.splice(index, 1);
-  flow.actionCount = flow.actions.length;
-
-  await saveFlow(selectedFlow, flow);
-  renderFlowDetails(flow);
-}
-
-function handleEditStep(index) {
-  if (!selectedFlow) return;
-
-  const flow = flows[selectedFlow];
-  const action = flow.actions[index];
-
-  if (action.type === 'input') {
-    const currentValue = action.isVariable ? action.originalValue : action.value;
-    const newValue = prompt('Novo valor:', currentValue);
-    if (newValue !== null) {
-      if (action.isVariable) {
-        action.originalValue = newValue;
-      } else {
-        action.value = newValue;
-      }
-      saveFlow(selectedFlow, flow);
-      renderFlowDetails(flow);
-    }
-  } else {
-    alert('Edição disponível apenas para ações de digitação no momento');
-  }
-}
-
-async function handleDelete() {
-  if (!selectedFlow) return;
-
-  const flow = flows[selectedFlow];
-  const confirmed = confirm(`Deseja apagar o fluxo "${flow.name}"?`);
-  
-  if (!confirmed) return;
-
-  try {
-    await chrome.storage.local.remove(selectedFlow);
-    delete flows[selectedFlow];
-    
-    selectedFlow = null;
-    
-    flowTitle.textContent = 'Selecione um fluxo';
-    btnDelete.disabled = true;
-    btnExecute.disabled = true;
-    btnExport.disabled = true;
-    speedSelector.classList.add('hidden');
-    flowDetails.classList.add('hidden');
-    emptyState.classList.remove('hidden');
-    
-    renderFlowList();
-  } catch (error) {
-    console.error('[Marionete Manager] Delete error:', error);
-    alert('Erro ao apagar fluxo');
-  }
-}
-
-function handleNewFlow() {
-  alert('Para criar um novo fluxo, use o botão de gravação na extensão enquanto navega em uma página.');
-}
-
-async function saveFlow(name, flow) {
-  await chrome.storage.local.set({ [name]: flow });
-  flows[name] = flow;
-}
-
-// ============ HELPER FUNCTIONS ============
-
-function getActionTypeLabel(type) {
-  const labels = {
-    click: 'Clique',
-    input: 'Digitação',
-    keypress: 'Tecla Pressionada',
-    navigation: 'Navegação'
-  };
-  return labels[type] || type;
-}
-
-function getActionBadge(type) {
-  const badges = {
-    click: '👆',
-    input: '⌨️',
-    keypress: '↵',
-    navigation: '🌐'
-  };
-  return badges[type] || '•';
-}
-
-function formatDuration(ms) {
-  if (!ms || ms < 0) return '0ms';
-  if (ms < 1000) return `${Math.round(ms)}ms`;
-  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
-  const minutes = Math.floor(ms / 60000);
-  const seconds = Math.floor((ms % 60000) / 1000);
-  return `${minutes}m ${seconds}s`;
-}
-
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
-// Make removeVariable globally accessible
+/**
+ * Flow Manager Controller - WITH VARIABLES + EXPORT/IMPORT
+ */
+
+// State (flows keyed by FlowStore ID, fixture metadata keyed by FixtureStore ID)
+let flows = {};
+let fixtures = {};
+let selectedFlow = null;
+let selectedSpeed = 1;
+let sortableInstance = null;
+let currentEditingStep = null;
+let editingAssertion = false;
+// Object URLs of step screenshots shown in the step list, by screenshotId
+let screenshotUrls = {};
+// What the execution modal starts once variables are filled in: { variables, run(values) }
+let pendingExecution = null;
+
+// DOM Elements
+const flowList = document.getElementById('flowList');
+const flowTitle = document.getElementById('flowTitle');
+const btnDelete = document.getElementById('btnDelete');
+const btnExecute = document.getElementById('btnExecute');
+const btnExport = document.getElementById('btnExport');
+const btnRename = document.getElementById('btnRename');
+const btnImport = document.getElementById('btnImport');
+const btnNewFlow = document.getElementById('btnNewFlow');
+const btnSensitive = document.getElementById('btnSensitive');
+const btnRecordingRules = document.getElementById('btnRecordingRules');
+const speedSelector = document.getElementById('speedSelector');
+const flowDetails = document.getElementById('flowDetails');
+const emptyState = document.getElementById('emptyState');
+const detailUrl = document.getElementById('detailUrl');
+const detailActions = document.getElementById('detailActions');
+const detailDuration = document.getElementById('detailDuration');
+const detailVariables = document.getElementById('detailVariables');
+const failOnUnexpectedDialog = document.getElementById('failOnUnexpectedDialog');
+const detailCreated = document.getElementById('detailCreated');
+const stepCount = document.getElementById('stepCount');
+const stepsList = document.getElementById('stepsList');
+const variablesSection = document.getElementById('variablesSection');
+const variablesList = document.getElementById('variablesList');
+
+// Modals
+const variableModal = document.getElementById('variableModal');
+const waitModal = document.getElementById('waitModal');
+const assertModal = document.getElementById('assertModal');
+const fixtureModal = document.getElementById('fixtureModal');
+const fixtureList = document.getElementById('fixtureList');
+const fixtureFileInput = document.getElementById('fixtureFileInput');
+const sensitiveModal = document.getElementById('sensitiveModal');
+const recordingRulesModal = document.getElementById('recordingRulesModal');
+const executionModal = document.getElementById('executionModal');
+const screenshotModal = document.getElementById('screenshotModal');
+const fileInput = document.getElementById('fileInput');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadFixtures();
+  await loadFlows();
+  setupEventListeners();
+  setupSpeedSelector();
+  FlowStore.onChange(handleFlowStoreChange);
+  pruneScreenshots();
+  runRequestedFlow();
+});
+
+/**
+ * The popup and the replay shortcut can't ask for variable values, so they
+ * open the manager with ?run=<flowId> and the run starts here
+ */
+function runRequestedFlow() {
+  const params = new URLSearchParams(location.search);
+  const flowId = params.get('run');
+  if (!flowId) return;
+
+  // A reload shouldn't start the flow again
+  history.replaceState(null, '', location.pathname);
+
+  if (!flows[flowId]) {
+    console.warn('[Marionete Manager] Flow to run not found:', flowId);
+    return;
+  }
+
+  selectFlow(flowId);
+  handleExecuteWithVariables();
+}
+
+function setupEventListeners() {
+  btnDelete.addEventListener('click', handleDelete);
+  btnExecute.addEventListener('click', handleExecuteWithVariables);
+  btnExport.addEventListener('click', handleExport);
+  btnRename.addEventListener('click', handleRename);
+  btnImport.addEventListener('click', () => fileInput.click());
+  btnNewFlow.addEventListener('click', handleNewFlow);
+  btnSensitive.addEventListener('click', openSensitiveModal);
+  btnRecordingRules.addEventListener('click', openRecordingRulesModal);
+  
+  fileInput.addEventListener('change', handleImport);
+  failOnUnexpectedDialog.addEventListener('change', handleFailOnUnexpectedDialogChange);
+  
+  // Variable modal
+  document.getElementById('closeVariableModal').addEventListener('click', closeVariableModal);
+  document.getElementById('cancelVariable').addEventListener('click', closeVariableModal);
+  document.getElementById('saveVariable').addEventListener('click', saveVariableConfig);
+  
+  // Wait modal
+  document.getElementById('closeWaitModal').addEventListener('click', closeWaitModal);
+  document.getElementById('cancelWait').addEventListener('click', closeWaitModal);
+  document.getElementById('saveWait').addEventListener('click', saveWaitStep);
+  document.getElementById('waitKind').addEventListener('change', updateWaitModalFields);
+
+  // Assertion modal
+  document.getElementById('closeAssertModal').addEventListener('click', closeAssertModal);
+  document.getElementById('cancelAssert').addEventListener('click', closeAssertModal);
+  document.getElementById('saveAssert').addEventListener('click', saveAssertStep);
+  document.getElementById('assertKind').addEventListener('change', updateAssertModalFields);
+  
+  // Fixture modal
+  document.getElementById('closeFixtureModal').addEventListener('click', closeFixtureModal);
+  document.getElementById('cancelFixture').addEventListener('click', closeFixtureModal);
+  document.getElementById('saveFixture').addEventListener('click', saveFixtureSelection);
+  document.getElementById('btnAddFixture').addEventListener('click', () => fixtureFileInput.click());
+  fixtureFileInput.addEventListener('change', handleAddFixtures);
+  fixtureList.addEventListener('click', handleFixtureListClick);
+  
+  // Sensitive field patterns modal
+  document.getElementById('closeSensitiveModal').addEventListener('click', closeSensitiveModal);
+  document.getElementById('cancelSensitive').addEventListener('click', closeSensitiveModal);
+  document.getElementById('saveSensitive').addEventListener('click', saveSensitivePatterns);
+
+  // Recording rules modal
+  document.getElementById('closeRecordingRulesModal').addEventListener('click', closeRecordingRulesModal);
+  document.getElementById('cancelRecordingRules').addEventListener('click', closeRecordingRulesModal);
+  document.getElementById('saveRecordingRules').addEventListener('click', saveRecordingRules);
+  
+  // Screenshot lightbox - any click closes it
+  screenshotModal.addEventListener('click', closeScreenshotModal);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeScreenshotModal();
+  });
+  
+  // Execution modal
+  document.getElementById('cancelExecution').addEventListener('click', closeExecutionModal);
+  document.getElementById('startExecution').addEventListener('click', executeWithVariableValues);
+}
+
+function setupSpeedSelector() {
+  const speedBtns = document.querySelectorAll('.speed-btn');
+  
+  speedBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      selectedSpeed = parseFloat(btn.dataset.speed);
+      
+      speedBtns.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+    });
+  });
+}
+
+async function loadFlows() {
+  try {
+    const flowArray = await FlowStore.list();
+    
+    flows = flowArray.reduce((acc, flow) => {
+      acc[flow.id] = flow;
+      return acc;
+    }, {});
+
+    renderFlowList();
+  } catch (error) {
+    console.error('[Marionete Manager] Load error:', error);
+  }
+}
+
+/**
+ * Drop screenshots no saved flow refers to
+ */
+async function pruneScreenshots() {
+  try {
+    const referenced = new Set(Object.values(flows).flatMap(flow => ScreenshotStore.idsIn(flow.actions)));
+    const removed = await ScreenshotStore.prune(referenced);
+    if (removed > 0) {
+      console.log('[Marionete Manager] Removed', removed, 'unused screenshots');
+    }
+  } catch (error) {
+    console.error('[Marionete Manager] Screenshot cleanup error:', error);
+  }
+}
+
+async function loadFixtures() {
+  try {
+    const fixtureArray = await FixtureStore.list();
+
+    fixtures = fixtureArray.reduce((acc, fixture) => {
+      acc[fixture.id] = fixture;
+      return acc;
+    }, {});
+  } catch (error) {
+    console.error('[Marionete Manager] Fixture load error:', error);
+  }
+}
+
+/**
+ * Keep the manager in sync with saves made elsewhere (popup, other manager tabs)
+ */
+function handleFlowStoreChange({ type, id, flow }) {
+  if (type === 'removed') {
+    if (!flows[id]) return;
+    delete flows[id];
+
+    if (selectedFlow === id) {
+      clearSelection();
+    }
+    renderFlowList();
+    return;
+  }
+
+  // Our own saves already updated the local copy
+  if (flows[id]?.updatedAt === flow.updatedAt) return;
+
+  flows[id] = flow;
+  renderFlowList();
+
+  if (selectedFlow === id) {
+    selectFlow(id);
+  }
+}
+
+function renderFlowList() {
+  const flowArray = Object.entries(flows).sort((a, b) => {
+    return new Date(b[1].recordedAt) - new Date(a[1].recordedAt);
+  });
+
+  if (flowArray.length === 0) {
+    flowList.innerHTML = '<div style="padding: 20px; text-align: center; color: #6c757d; font-size: 13px;">Nenhum fluxo salvo</div>';
+    return;
+  }
+
+  flowList.innerHTML = flowArray.map(([id, flow]) => {
+    const varCount = countVariables(flow);
+    const varBadge = varCount > 0 ? ` <span style="background:#667eea;color:white;padding:2px 6px;border-radius:10px;font-size:10px;">${varCount} var</span>` : '';
+    
+    return `
+      <div class="flow-item-sidebar${id === selectedFlow ? ' active' : ''}" data-flow-id="${escapeHtml(id)}">
+        <div class="flow-item-name">${escapeHtml(flow.name)}${varBadge}</div>
+        <div class="flow-item-meta">
+          ${flow.actionCount || flow.actions.length} ações • ${formatDuration(flow.duration)}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  flowList.querySelectorAll('.flow-item-sidebar').forEach(item => {
+    item.addEventListener('click', () => {
+      selectFlow(item.dataset.flowId);
+    });
+  });
+}
+
+function selectFlow(flowId) {
+  selectedFlow = flowId;
+  const flow = flows[flowId];
+
+  if (!flow) return;
+
+  flowList.querySelectorAll('.flow-item-sidebar').forEach(item => {
+    if (item.dataset.flowId === flowId) {
+      item.classList.add('active');
+    } else {
+      item.classList.remove('active');
+    }
+  });
+
+  flowTitle.textContent = flow.name;
+  btnDelete.disabled = false;
+  btnExecute.disabled = false;
+  btnExport.disabled = false;
+  btnRename.disabled = false;
+
+  emptyState.classList.add('hidden');
+  speedSelector.classList.remove('hidden');
+  flowDetails.classList.remove('hidden');
+
+  renderFlowDetails(flow);
+}
+
+function renderFlowDetails(flow) {
+  detailUrl.textContent = flow.startUrl || 'N/A';
+  detailActions.textContent = flow.actionCount || flow.actions.length;
+  detailDuration.textContent = formatDuration(flow.duration);
+  
+  const varCount = countVariables(flow);
+  detailVariables.textContent = varCount;
+  failOnUnexpectedDialog.checked = !!flow.failOnUnexpectedDialog;
+  
+  if (varCount > 0) {
+    variablesSection.classList.remove('hidden');
+    renderVariablesList(flow);
+  } else {
+    variablesSection.classList.add('hidden');
+  }
+
+  stepCount.textContent = `${flow.actions.length} passos`;
+  renderSteps(flow.actions);
+}
+
+function renderVariablesList(flow) {
+  const variables = extractVariables(flow);
+  
+  if (variables.length === 0) {
+    variablesList.innerHTML = '<p style="color:#6c757d;font-size:13px;">Nenhuma variável definida</p>';
+    return;
+  }
+
+  variablesList.innerHTML = variables.map(variable => `
+    <div class="variable-item">
+      <div class="variable-info">
+        <div class="variable-name">{{${variable.name}}}</div>
+        <div class="variable-preview">Valor padrão: "${variable.defaultValue}"</div>
+      </div>
+      <div class="variable-actions">
+        <button class="variable-btn" onclick="removeVariable('${variable.name}')">
+          🗑️ Remover
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderSteps(actions) {
+  stepsList.innerHTML = actions.map((action, index) => {
+    const stepNumber = index + 1;
+    const typeLabel = getActionTypeLabel(action.type, action);
+    const badge = getActionBadge(action.type);
+    const timing = action.timing ? formatDuration(action.timing.delay) : '0ms';
+    
+    return `
+      <div class="step-item${action.breakpoint ? ' has-breakpoint' : ''}" data-index="${index}">
+        <div class="step-number" title="${action.breakpoint ? 'Ponto de parada' : ''}">${stepNumber}</div>
+        <div class="step-content">
+          <div class="step-header">
+            <div class="step-type">
+              <span class="step-badge ${action.type}">${badge}</span>
+              ${typeLabel}
+            </div>
+            <div class="step-timing">⏱️ +${timing}</div>
+          </div>
+          <div class="step-details">
+            ${renderStepDetails(action, index)}
+          </div>
+          <div class="step-actions">
+            ${isTextAction(action) ? `
+              <button class="step-action-btn variable-btn-icon" data-action="make-variable" data-index="${index}" title="Converter em variável">
+                🔤
+              </button>
+            ` : ''}
+            ${action.type === 'upload' ? `
+              <button class="step-action-btn" data-action="attach-files" data-index="${index}" title="Escolher arquivos enviados na execução">
+                📎 Arquivos
+              </button>
+            ` : ''}
+            <button class="step-action-btn breakpoint-btn${action.breakpoint ? ' active' : ''}" data-action="breakpoint" data-index="${index}" title="Pausar a execução antes deste passo">
+              ${action.breakpoint ? '🔴 Remover parada' : '⭕ Ponto de parada'}
+            </button>
+            <button class="step-action-btn" data-action="add-wait" data-index="${index}" title="Inserir espera após este passo">
+              ⏳ Espera
+            </button>
+            <button class="step-action-btn" data-action="add-assert" data-index="${index}" title="Inserir verificação após este passo">
+              ✔️ Verificação
+            </button>
+            <button class="step-action-btn" data-action="record-from" data-index="${index}" title="Executar o fluxo até aqui e gravar a partir deste passo">
+              ⏺️ Gravar daqui
+            </button>
+            <button class="step-action-btn" data-action="edit" data-index="${index}">
+              ✏️ Editar
+            </button>
+            <button class="step-action-btn" data-action="delete" data-index="${index}">
+              🗑️ Remover
+            </button>
+          </div>
+        </div>
+        ${action.screenshotId ? `
+          <img class="step-screenshot hidden" data-screenshot-id="${escapeHtml(action.screenshotId)}" data-index="${index}" alt="Captura do passo ${stepNumber}" title="Ampliar captura">
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+
+  setupSortable();
+  loadStepScreenshots(actions);
+
+  stepsList.querySelectorAll('.step-screenshot').forEach(img => {
+    img.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openScreenshotModal(img.src, parseInt(img.dataset.index));
+    });
+  });
+
+  stepsList.querySelectorAll('.step-action-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const action = btn.dataset.action;
+      const index = parseInt(btn.dataset.index);
+      
+      if (action === 'delete') {
+        handleDeleteStep(index);
+      } else if (action === 'edit') {
+        handleEditStep(index);
+      } else if (action === 'make-variable') {
+        openVariableModal(index);
+      } else if (action === 'breakpoint') {
+        handleToggleBreakpoint(index);
+      } else if (action === 'add-wait') {
+        openWaitModal(index);
+      } else if (action === 'add-assert') {
+        openAssertModal(index, false);
+      } else if (action === 'attach-files') {
+        openFixtureModal(index);
+      } else if (action === 'record-from') {
+        handleRecordFromStep(index);
+      }
+    });
+  });
+}
+
+/**
+ * Fill in step thumbnails from IndexedDB. Steps whose screenshot is missing
+ * (capture failed, older flow) keep theirs hidden.
+ */
+async function loadStepScreenshots(actions) {
+  const ids = new Set(ScreenshotStore.idsIn(actions));
+
+  // Release images of steps that are no longer listed
+  Object.keys(screenshotUrls).forEach(id => {
+    if (!ids.has(id)) {
+      URL.revokeObjectURL(screenshotUrls[id]);
+      delete screenshotUrls[id];
+    }
+  });
+
+  for (const id of ids) {
+    try {
+      if (!screenshotUrls[id]) {
+        const blob = await ScreenshotStore.get(id);
+        if (!blob) continue;
+        screenshotUrls[id] = URL.createObjectURL(blob);
+      }
+
+      stepsList.querySelectorAll(`.step-screenshot[data-screenshot-id="${CSS.escape(id)}"]`).forEach(img => {
+        img.src = screenshotUrls[id];
+        img.classList.remove('hidden');
+      });
+    } catch (error) {
+      console.error('[Marionete Manager] Screenshot load error:', error);
+    }
+  }
+}
+
+function openScreenshotModal(src, stepIndex) {
+  const flow = flows[selectedFlow];
+  const action = flow?.actions[stepIndex];
+
+  document.getElementById('screenshotImage').src = src;
+  document.getElementById('screenshotCaption').textContent = action
+    ? `${stepIndex + 1}. ${getActionTypeLabel(action.type, action)}`
+    : '';
+  screenshotModal.classList.remove('hidden');
+}
+
+function closeScreenshotModal() {
+  screenshotModal.classList.add('hidden');
+}
+
+function renderStepDetails(action, index) {
+  let details = '';
+
+  if (action.selectors) {
+    const selector = getPrimarySelector(action.selectors) || 'N/A';
+    const weakWarning = SelectorEngine.isWeakSelector(action.selectors)
+      ? `<span class="selector-weak" title="${escapeHtml(formatSelectorScores(action.selectors.scores))}">⚠️ Seletor frágil</span>`
+      : '';
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Seletor:</span>
+        <span class="step-detail-value">${escapeHtml(selector)}</span>
+        ${weakWarning}
+      </div>
+    `;
+
+    if (action.selectors.shadowPath?.length) {
+      const hosts = action.selectors.shadowPath.map(host => getPrimarySelector(host) || host.tagName);
+      details += `
+        <div class="step-detail-item">
+          <span class="step-detail-label">Shadow DOM:</span>
+          <span class="step-detail-value">${escapeHtml(hosts.join(' › '))}</span>
+        </div>
+      `;
+    }
+  }
+
+  if (isTextAction(action) && action.value) {
+    const isVariable = action.value.match(/^{{(.+)}}$/);
+    const displayValue = isVariable 
+      ? `<span class="step-value-with-var"><span class="var-badge">VAR</span> ${escapeHtml(action.value)}${action.sensitive ? ' 🔒' : ''}</span>`
+      : `"${escapeHtml(action.value)}"`;
+    
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Valor:</span>
+        <span class="step-detail-value">${displayValue}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'select') {
+    const shown = action.labels || [action.label || action.value];
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Opção:</span>
+        <span class="step-detail-value">${shown.map(label => `"${escapeHtml(label)}"`).join(', ')}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'upload') {
+    const attached = (action.fixtureIds || []).map(id =>
+      fixtures[id] ? escapeHtml(fixtures[id].name) : '<span class="fixture-missing">arquivo removido</span>'
+    );
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Gravado:</span>
+        <span class="step-detail-value">${escapeHtml(formatRecordedFiles(action.files))}</span>
+      </div>
+      <div class="step-detail-item">
+        <span class="step-detail-label">Enviar:</span>
+        <span class="step-detail-value">${attached.length > 0 ? attached.join(', ') : '<span class="fixture-missing">nenhum arquivo anexado</span>'}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'drag' && action.targetSelectors) {
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Soltar em:</span>
+        <span class="step-detail-value">${escapeHtml(getPrimarySelector(action.targetSelectors) || 'N/A')}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'scroll' && action.position) {
+    const { y, yRatio } = action.position;
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Rolar:</span>
+        <span class="step-detail-value">${action.scrollTarget === 'window' ? 'Página' : 'Contêiner'} até ${y}px (${Math.round((yRatio || 0) * 100)}%)</span>
+      </div>
+    `;
+
+    if (action.untilSelectors) {
+      details += `
+        <div class="step-detail-item">
+          <span class="step-detail-label">Até aparecer:</span>
+          <span class="step-detail-value">${escapeHtml(getPrimarySelector(action.untilSelectors))}</span>
+        </div>
+      `;
+    }
+  }
+
+  if (action.type === 'keypress' && action.key) {
+    const repeat = action.count > 1 ? ` × ${action.count}` : '';
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Tecla:</span>
+        <span class="step-detail-value">${escapeHtml(KeyChord.describe(action))}${repeat}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'assert' && action.assertion) {
+    const { kind, expected, attribute } = action.assertion;
+    const target = kind === 'attribute_equals' ? ` [${escapeHtml(attribute)}]` : '';
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Verifica:</span>
+        <span class="step-detail-value">${getAssertionKindLabel(kind)}${target}${expected !== undefined ? ` "${escapeHtml(String(expected))}"` : ''}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'wait' && action.wait) {
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Até:</span>
+        <span class="step-detail-value">${describeWaitStep(action.wait)}</span>
+      </div>
+      <div class="step-detail-item">
+        <span class="step-detail-label">Limite:</span>
+        <span class="step-detail-value">${formatDuration(action.wait.timeout)}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'navigation') {
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">URL:</span>
+        <span class="step-detail-value">${escapeHtml(action.url)}</span>
+      </div>
+    `;
+
+    if (action.navigationType) {
+      details += `
+        <div class="step-detail-item">
+          <span class="step-detail-label">Tipo:</span>
+          <span class="step-detail-value">${getNavigationTypeLabel(action.navigationType)}</span>
+        </div>
+      `;
+    }
+  }
+
+  if (action.type === 'switchTab' || action.type === 'closeTab') {
+    let tab = `Aba ${action.tabIndex + 1}`;
+    if (action.opened) {
+      tab += ` (nova, aberta pela aba ${action.openerIndex + 1})`;
+    } else if (action.type === 'closeTab' && action.returnTo !== null && action.returnTo !== undefined) {
+      tab += ` (volta para a aba ${action.returnTo + 1})`;
+    }
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Aba:</span>
+        <span class="step-detail-value">${tab}</span>
+      </div>
+    `;
+  }
+
+  if (action.type === 'dialog') {
+    if (action.message) {
+      details += `
+        <div class="step-detail-item">
+          <span class="step-detail-label">Mensagem:</span>
+          <span class="step-detail-value">"${escapeHtml(action.message)}"</span>
+        </div>
+      `;
+    }
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Resposta:</span>
+        <span class="step-detail-value">${getDialogResponseLabel(action)}</span>
+      </div>
+    `;
+  }
+
+  if (action.frame?.path?.length) {
+    const depth = action.frame.path.length > 1 ? ` (${action.frame.path.length} níveis)` : '';
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Frame:</span>
+        <span class="step-detail-value">${escapeHtml(action.frame.origin)}${depth}</span>
+      </div>
+    `;
+  }
+
+  if (action.url && action.type !== 'navigation') {
+    details += `
+      <div class="step-detail-item">
+        <span class="step-detail-label">Página:</span>
+        <span class="step-detail-value">${escapeHtml(action.url)}</span>
+      </div>
+    `;
+  }
+
+  return details;
+}
+
+function setupSortable() {
+  if (sortableInstance) {
+    sortableInstance.destroy();
+  }
+
+  if (!window.Sortable || !selectedFlow) return;
+
+  sortableInstance = Sortable.create(stepsList, {
+    animation: 150,
+    handle: '.step-item',
+    ghostClass: 'sortable-ghost',
+    dragClass: 'sortable-drag',
+    onEnd: function(evt) {
+      const flow = flows[selectedFlow];
+      const movedItem = flow.actions.splice(evt.oldIndex, 1)[0];
+      flow.actions.splice(evt.newIndex, 0, movedItem);
+      
+      saveFlow(flow);
+      renderSteps(flow.actions);
+    }
+  });
+}
+
+// ============ VARIABLE FUNCTIONS ============
+
+function openVariableModal(stepIndex) {
+  const flow = flows[selectedFlow];
+  const action = flow.actions[stepIndex];
+  
+  if (!isTextAction(action)) {
+    alert('Apenas ações de digitação e respostas de prompt podem ser variáveis');
+    return;
+  }
+
+  currentEditingStep = stepIndex;
+  
+  // Check if already a variable
+  const existingVar = action.value.match(/^{{(.+)}}$/);
+  if (existingVar) {
+    document.getElementById('variableName').value = existingVar[1];
+    document.getElementById('variableValue').value = action.originalValue || action.value;
+  } else {
+    document.getElementById('variableName').value = '';
+    document.getElementById('variableValue').value = action.value;
+  }
+  
+  document.getElementById('variableSensitive').checked = action.sensitive || false;
+  
+  variableModal.classList.remove('hidden');
+}
+
+function closeVariableModal() {
+  variableModal.classList.add('hidden');
+  currentEditingStep = null;
+}
+
+function saveVariableConfig() {
+  const varName = document.getElementById('variableName').value.trim();
+  const originalValue = document.getElementById('variableValue').value;
+  const isSensitive = document.getElementById('variableSensitive').checked;
+  
+  if (!varName) {
+    alert('Digite um nome para a variável');
+    return;
+  }
+  
+  // Validate variable name (no spaces, alphanumeric + underscore)
+  if (!/^[a-zA-Z0-9_]+$/.test(varName)) {
+    alert('Nome inválido. Use apenas letras, números e underscore (_)');
+    return;
+  }
+  
+  const flow = flows[selectedFlow];
+  const action = flow.actions[currentEditingStep];
+  
+  action.value = `{{${varName}}}`;
+  // Sensitive values are asked for at every run instead of being stored
+  action.originalValue = isSensitive ? '' : originalValue;
+  action.sensitive = isSensitive;
+  action.isVariable = true;
+  
+  saveFlow(flow);
+  renderFlowDetails(flow);
+  closeVariableModal();
+}
+
+function removeVariable(varName) {
+  if (!confirm(`Remover variável "{{${varName}}}"?`)) return;
+  
+  const flow = flows[selectedFlow];
+  
+  flow.actions.forEach(action => {
+    if (action.isVariable && action.value === `{{${varName}}}`) {
+      action.value = action.originalValue || '';
+      delete action.isVariable;
+      delete action.originalValue;
+      delete action.sensitive;
+    }
+  });
+  
+  saveFlow(flow);
+  renderFlowDetails(flow);
+}
+
+function extractVariables(flow) {
+  const variables = [];
+  const seen = new Set();
+  
+  flow.actions.forEach(action => {
+    if (action.isVariable && action.value.match(/^{{(.+)}}$/)) {
+      const varName = action.value.match(/^{{(.+)}}$/)[1];
+      if (!seen.has(varName)) {
+        seen.add(varName);
+        variables.push({
+          name: varName,
+          defaultValue: action.originalValue || '',
+          sensitive: action.sensitive || false
+        });
+      }
+    }
+  });
+  
+  return variables;
+}
+
+function countVariables(flow) {
+  return extractVariables(flow).length;
+}
+
+// ============ SENSITIVE FIELDS ============
+
+async function openSensitiveModal() {
+  const patterns = await SensitiveFields.getPatterns();
+  document.getElementById('sensitivePatterns').value = patterns.join('\n');
+  sensitiveModal.classList.remove('hidden');
+}
+
+function closeSensitiveModal() {
+  sensitiveModal.classList.add('hidden');
+}
+
+async function saveSensitivePatterns() {
+  const patterns = document.getElementById('sensitivePatterns').value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  try {
+    await SensitiveFields.savePatterns(patterns);
+    closeSensitiveModal();
+  } catch (error) {
+    console.error('[Marionete Manager] Save patterns error:', error);
+    alert('❌ Erro ao salvar padrões');
+  }
+}
+
+// ============ RECORDING RULES ============
+
+async function openRecordingRulesModal() {
+  const rules = await RecordingRules.getRules();
+  document.getElementById('filterNoiseClicks').checked = rules.filterNoise;
+  document.getElementById('recordingIgnoreList').value = RecordingRules.formatIgnoreList(rules.ignore);
+  recordingRulesModal.classList.remove('hidden');
+}
+
+function closeRecordingRulesModal() {
+  recordingRulesModal.classList.add('hidden');
+}
+
+async function saveRecordingRules() {
+  const rules = {
+    filterNoise: document.getElementById('filterNoiseClicks').checked,
+    ignore: RecordingRules.parseIgnoreList(document.getElementById('recordingIgnoreList').value)
+  };
+
+  try {
+    await RecordingRules.saveRules(rules);
+    closeRecordingRulesModal();
+  } catch (error) {
+    console.error('[Marionete Manager] Save recording rules error:', error);
+    alert('❌ Erro ao salvar regras');
+  }
+}
+
+// ============ WAIT STEPS ============
+
+function openWaitModal(stepIndex) {
+  const flow = flows[selectedFlow];
+  const action = flow.actions[stepIndex];
+
+  currentEditingStep = stepIndex;
+
+  document.getElementById('waitKind').value = 'element_visible';
+  document.getElementById('waitSelector').value = getPrimarySelector(action.selectors) || '';
+  document.getElementById('waitPattern').value = '';
+  document.getElementById('waitIdleTime').value = 500;
+  document.getElementById('waitTimeout').value = 10000;
+  updateWaitModalFields();
+
+  waitModal.classList.remove('hidden');
+}
+
+function closeWaitModal() {
+  waitModal.classList.add('hidden');
+  currentEditingStep = null;
+}
+
+function updateWaitModalFields() {
+  const kind = document.getElementById('waitKind').value;
+
+  document.getElementById('waitSelectorGroup').classList.toggle('hidden', !kind.startsWith('element_'));
+  document.getElementById('waitPatternGroup').classList.toggle('hidden', kind !== 'url_matches');
+  document.getElementById('waitIdleGroup').classList.toggle('hidden', kind !== 'dom_idle');
+}
+
+async function saveWaitStep() {
+  const kind = document.getElementById('waitKind').value;
+  const timeout = parseInt(document.getElementById('waitTimeout').value, 10);
+
+  if (!timeout || timeout < 0) {
+    alert('Informe um tempo limite válido');
+    return;
+  }
+
+  const flow = flows[selectedFlow];
+  const afterAction = flow.actions[currentEditingStep];
+  const waitAction = {
+    type: 'wait',
+    wait: { kind, timeout },
+    url: afterAction.url,
+    timing: { delay: 0, type: 'wait' }
+  };
+
+  if (kind.startsWith('element_')) {
+    const selector = document.getElementById('waitSelector').value.trim();
+    if (!selector) {
+      alert('Informe o seletor do elemento');
+      return;
+    }
+
+    // Keep the step's full fallback chain when its selector was left as-is
+    waitAction.selectors = afterAction.selectors && selector === getPrimarySelector(afterAction.selectors)
+      ? { ...afterAction.selectors }
+      : { css: selector };
+  } else if (kind === 'url_matches') {
+    const pattern = document.getElementById('waitPattern').value.trim();
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      alert('Padrão de URL inválido');
+      return;
+    }
+    waitAction.wait.pattern = pattern;
+  } else if (kind === 'dom_idle') {
+    waitAction.wait.idleTime = parseInt(document.getElementById('waitIdleTime').value, 10) || 500;
+  }
+
+  flow.actions.splice(currentEditingStep + 1, 0, waitAction);
+
+  await saveFlow(flow);
+  renderFlowDetails(flow);
+  closeWaitModal();
+}
+
+// ============ ASSERTION STEPS ============
+
+/**
+ * Add an assertion after a step, or edit an assertion step in place
+ * @param {number} stepIndex
+ * @param {boolean} editing - stepIndex is the assertion itself
+ */
+function openAssertModal(stepIndex, editing) {
+  const flow = flows[selectedFlow];
+  const action = flow.actions[stepIndex];
+  const assertion = editing ? action.assertion || {} : {};
+
+  currentEditingStep = stepIndex;
+  editingAssertion = editing;
+
+  document.getElementById('assertModalTitle').textContent = editing ? '✔️ Editar Verificação' : '✔️ Adicionar Verificação';
+  document.getElementById('assertModalDescription').classList.toggle('hidden', editing);
+  document.getElementById('saveAssert').textContent = editing ? 'Salvar Verificação' : 'Adicionar Verificação';
+
+  document.getElementById('assertKind').value = assertion.kind || 'exists';
+  document.getElementById('assertSelector').value = assertion.countSelector || getPrimarySelector(action.selectors) || '';
+  document.getElementById('assertAttribute').value = assertion.attribute || '';
+  document.getElementById('assertExpected').value = assertion.expected ?? '';
+  document.getElementById('assertTimeout').value = assertion.timeout ?? 5000;
+  updateAssertModalFields();
+
+  assertModal.classList.remove('hidden');
+}
+
+function closeAssertModal() {
+  assertModal.classList.add('hidden');
+  currentEditingStep = null;
+  editingAssertion = false;
+}
+
+function updateAssertModalFields() {
+  const kind = document.getElementById('assertKind').value;
+  const expectedLabels = {
+    text_matches: 'Expressão regular:',
+    url_matches: 'Padrão da URL (expressão regular):',
+    count_equals: 'Quantidade esperada:'
+  };
+
+  document.getElementById('assertSelectorGroup').classList.toggle('hidden', kind === 'url_matches');
+  document.getElementById('assertAttributeGroup').classList.toggle('hidden', kind !== 'attribute_equals');
+  document.getElementById('assertExpectedGroup').classList.toggle('hidden', kind === 'exists' || kind === 'not_exists');
+  document.getElementById('assertExpectedLabel').textContent = expectedLabels[kind] || 'Valor esperado:';
+}
+
+async function saveAssertStep() {
+  const kind = document.getElementById('assertKind').value;
+  const selector = document.getElementById('assertSelector').value.trim();
+  const attribute = document.getElementById('assertAttribute').value.trim();
+  const expected = document.getElementById('assertExpected').value;
+  const timeout = parseInt(document.getElementById('assertTimeout').value, 10);
+
+  if (!timeout || timeout < 0) {
+    alert('Informe um tempo limite válido');
+    return;
+  }
+  if (kind !== 'url_matches' && !selector) {
+    alert('Informe o seletor do elemento');
+    return;
+  }
+  if (kind === 'attribute_equals' && !attribute) {
+    alert('Informe o nome do atributo');
+    return;
+  }
+  if (kind === 'text_matches' || kind === 'url_matches') {
+    try {
+      new RegExp(expected);
+    } catch (e) {
+      alert('Expressão regular inválida');
+      return;
+    }
+  }
+  if (kind === 'count_equals' && !/^\d+$/.test(expected.trim())) {
+    alert('Informe a quantidade esperada (número inteiro)');
+    return;
+  }
+
+  const flow = flows[selectedFlow];
+  const source = flow.actions[currentEditingStep];
+
+  const assertion = { kind, timeout };
+  if (kind === 'attribute_equals') assertion.attribute = attribute;
+  if (kind === 'count_equals') {
+    assertion.expected = parseInt(expected, 10);
+    assertion.countSelector = selector;
+  } else if (kind !== 'exists' && kind !== 'not_exists') {
+    assertion.expected = expected;
+  }
+
+  // Keep the step's full fallback chain when its selector was left as-is
+  let selectors = null;
+  if (kind !== 'url_matches') {
+    selectors = source.selectors && selector === getPrimarySelector(source.selectors)
+      ? { ...source.selectors }
+      : { css: selector };
+  }
+
+  if (editingAssertion) {
+    source.assertion = assertion;
+    if (selectors) {
+      source.selectors = selectors;
+    } else {
+      delete source.selectors;
+    }
+  } else {
+    const assertAction = {
+      type: 'assert',
+      assertion,
+      url: source.url,
+      timing: { delay: 0, type: 'assert' }
+    };
+    if (selectors) assertAction.selectors = selectors;
+    flow.actions.splice(currentEditingStep + 1, 0, assertAction);
+    flow.actionCount = flow.actions.length;
+  }
+
+  await saveFlow(flow);
+  renderFlowDetails(flow);
+  closeAssertModal();
+}
+
+function describeWaitStep(wait) {
+  const labels = {
+    element_present: 'Elemento aparecer',
+    element_visible: 'Elemento ficar visível',
+    element_enabled: 'Elemento ficar habilitado',
+    element_gone: 'Elemento desaparecer',
+    url_matches: `URL corresponder a ${escapeHtml(wait.pattern || '')}`,
+    dom_idle: `Página ociosa por ${wait.idleTime || 500}ms`
+  };
+  return labels[wait.kind] || escapeHtml(wait.kind);
+}
+
+// ============ UPLOAD FIXTURES ============
+
+function openFixtureModal(stepIndex) {
+  const flow = flows[selectedFlow];
+  const action = flow.actions[stepIndex];
+
+  currentEditingStep = stepIndex;
+
+  document.getElementById('fixtureRecordedFiles').textContent = formatRecordedFiles(action.files);
+  renderFixtureList(new Set(action.fixtureIds || []));
+
+  fixtureModal.classList.remove('hidden');
+}
+
+function closeFixtureModal() {
+  fixtureModal.classList.add('hidden');
+  currentEditingStep = null;
+}
+
+function renderFixtureList(checkedIds) {
+  const items = Object.values(fixtures).sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+
+  if (items.length === 0) {
+    fixtureList.innerHTML = '<p style="color:#6c757d;font-size:13px;">Nenhum arquivo na biblioteca</p>';
+    return;
+  }
+
+  fixtureList.innerHTML = items.map(fixture => `
+    <div class="fixture-item">
+      <label>
+        <input type="checkbox" value="${fixture.id}" ${checkedIds.has(fixture.id) ? 'checked' : ''} />
+        ${escapeHtml(fixture.name)}
+        <span class="fixture-size">${formatFileSize(fixture.size)}</span>
+      </label>
+      <button class="variable-btn" data-fixture-id="${fixture.id}" title="Apagar da biblioteca">🗑️</button>
+    </div>
+  `).join('');
+}
+
+function getCheckedFixtureIds() {
+  return new Set(Array.from(fixtureList.querySelectorAll('input[type="checkbox"]:checked'), input => input.value));
+}
+
+async function handleAddFixtures(event) {
+  const files = Array.from(event.target.files);
+  event.target.value = '';
+  if (files.length === 0) return;
+
+  const checkedIds = getCheckedFixtureIds();
+
+  try {
+    for (const file of files) {
+      const fixture = await FixtureStore.add(file);
+      fixtures[fixture.id] = fixture;
+      checkedIds.add(fixture.id);
+    }
+  } catch (error) {
+    console.error('[Marionete Manager] Add fixture error:', error);
+    alert('Erro ao adicionar arquivo à biblioteca');
+  }
+
+  renderFixtureList(checkedIds);
+}
+
+async function handleFixtureListClick(event) {
+  const button = event.target.closest('[data-fixture-id]');
+  if (!button) return;
+
+  const id = button.dataset.fixtureId;
+  const usedBy = Object.values(flows).filter(flow =>
+    flow.actions.some(action => action.type === 'upload' && (action.fixtureIds || []).includes(id))
+  );
+
+  const warning = usedBy.length > 0
+    ? `\n\nUsado em: ${usedBy.map(flow => flow.name).join(', ')}`
+    : '';
+  if (!confirm(`Apagar "${fixtures[id].name}" da biblioteca?${warning}`)) return;
+
+  try {
+    await FixtureStore.remove(id);
+    delete fixtures[id];
+  } catch (error) {
+    console.error('[Marionete Manager] Remove fixture error:', error);
+    alert('Erro ao apagar arquivo');
+    return;
+  }
+
+  const checkedIds = getCheckedFixtureIds();
+  checkedIds.delete(id);
+  renderFixtureList(checkedIds);
+
+  // Steps that referenced it now show it as removed
+  renderFlowDetails(flows[selectedFlow]);
+}
+
+async function saveFixtureSelection() {
+  const flow = flows[selectedFlow];
+  const action = flow.actions[currentEditingStep];
+  const fixtureIds = Array.from(getCheckedFixtureIds());
+
+  if (fixtureIds.length > 1 && action.multiple === false) {
+    alert('Este campo aceita apenas um arquivo');
+    return;
+  }
+
+  action.fixtureIds = fixtureIds;
+
+  await saveFlow(flow);
+  renderFlowDetails(flow);
+  closeFixtureModal();
+}
+
+function formatRecordedFiles(files) {
+  if (!files || files.length === 0) return '—';
+  return files.map(file => file.name).join(', ');
+}
+
+// ============ EXECUTION WITH VARIABLES ============
+
+function handleExecuteWithVariables() {
+  if (!selectedFlow) return;
+  
+  const flow = flows[selectedFlow];
+
+  const missingFixtures = findMissingFixtures(flow.actions);
+  if (missingFixtures.length > 0) {
+    alert(`Anexe arquivos aos passos de upload antes de executar: passo ${missingFixtures.join(', ')}`);
+    return;
+  }
+
+  runWithVariables(extractVariables(flow), variableValues => executeFlow(flow, variableValues));
+}
+
+/**
+ * Step numbers of upload steps with no file from the library attached
+ */
+function findMissingFixtures(actions) {
+  return actions
+    .map((action, index) => ({ action, step: index + 1 }))
+    .filter(({ action }) => action.type === 'upload' &&
+      !(action.fixtureIds || []).some(id => fixtures[id]))
+    .map(({ step }) => step);
+}
+
+/**
+ * Ask for variable values first if there are any
+ * @param {Object[]} variables - As returned by extractVariables
+ * @param {Function} run - Receives { name: value }
+ */
+function runWithVariables(variables, run) {
+  if (variables.length === 0) {
+    run({});
+    return;
+  }
+
+  pendingExecution = { variables, run };
+  showExecutionModal(variables);
+}
+
+function showExecutionModal(variables) {
+  const container = document.getElementById('executionVariableInputs');
+  
+  container.innerHTML = variables.map(variable => `
+    <div class="form-group">
+      <label>${variable.name}:</label>
+      <input 
+        type="${variable.sensitive ? 'password' : 'text'}" 
+        id="exec_${variable.name}" 
+        placeholder="${variable.sensitive ? '••••••' : variable.defaultValue}"
+        value="${variable.sensitive ? '' : variable.defaultValue}"
+      />
+      <small>${variable.sensitive ? '🔒 Informação sensível' : 'Pressione Enter para usar o valor padrão'}</small>
+    </div>
+  `).join('');
+  
+  executionModal.classList.remove('hidden');
+}
+
+function closeExecutionModal() {
+  executionModal.classList.add('hidden');
+  pendingExecution = null;
+}
+
+function executeWithVariableValues() {
+  if (!pendingExecution) return;
+
+  const { variables, run } = pendingExecution;
+  const variableValues = {};
+  
+  for (const variable of variables) {
+    const input = document.getElementById(`exec_${variable.name}`);
+    const value = input.value.trim();
+    
+    if (!value) {
+      alert(`Por favor, preencha o valor para: ${variable.name}`);
+      return;
+    }
+    
+    variableValues[variable.name] = value;
+  }
+  
+  closeExecutionModal();
+  run(variableValues);
+}
+
+/**
+ * Replace variable placeholders with the values given for this run
+ */
+function applyVariableValues(actions, variableValues) {
+  return actions.map(action => {
+    if (action.isVariable && action.value.match(/^{{(.+)}}$/)) {
+      const varName = action.value.match(/^{{(.+)}}$/)[1];
+      return {
+        ...action,
+        value: variableValues[varName] || action.originalValue || action.value
+      };
+    }
+    return action;
+  });
+}
+
+async function executeFlow(flow, variableValues) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXECUTE_FLOW',
+      data: {
+        actions: applyVariableValues(flow.actions, variableValues),
+        startUrl: flow.startUrl,
+        speed: selectedSpeed,
+        failOnUnexpectedDialog: !!flow.failOnUnexpectedDialog
+      }
+    });
+
+    const assertionSummary = formatAssertionSummary(response?.assertions);
+
+    if (response?.success) {
+      alert(`✅ Fluxo executado com sucesso! (${response.stepsExecuted} passos)` + assertionSummary);
+    } else {
+      const failedStep = response?.stepsExecuted !== undefined ? ` (passo ${response.stepsExecuted + 1})` : '';
+      alert('❌ Erro ao executar' + failedStep + ': ' + (response?.error || 'Desconhecido') + assertionSummary);
+    }
+  } catch (error) {
+    console.error('[Marionete Manager] Execute error:', error);
+    alert('❌ Erro ao executar fluxo');
+  }
+}
+
+// ============ RECORD INTO FLOW ============
+
+/**
+ * "Record from here": replay the flow up to the step in a new tab, then
+ * record there. The popup splices the recording in when it's stopped.
+ */
+function handleRecordFromStep(index) {
+  if (!selectedFlow) return;
+
+  const flow = flows[selectedFlow];
+  const remaining = flow.actions.length - index;
+
+  const answer = prompt(
+    `Gravar a partir do passo ${index + 1}.\n\n` +
+    `Quantos passos substituir a partir dele? (0 = inserir antes dele, máximo ${remaining})`,
+    '0'
+  );
+  if (answer === null) return;
+
+  const replaceCount = Number(answer.trim());
+  if (!Number.isInteger(replaceCount) || replaceCount < 0 || replaceCount > remaining) {
+    alert(`Informe um número de 0 a ${remaining}`);
+    return;
+  }
+
+  const replayed = flow.actions.slice(0, index);
+  const missingFixtures = findMissingFixtures(replayed);
+  if (missingFixtures.length > 0) {
+    alert(`Anexe arquivos aos passos de upload antes de gravar: passo ${missingFixtures.join(', ')}`);
+    return;
+  }
+
+  const target = { flowId: flow.id, index, replaceCount };
+  runWithVariables(
+    extractVariables({ actions: replayed }),
+    variableValues => recordIntoFlow(flow, target, applyVariableValues(replayed, variableValues))
+  );
+}
+
+async function recordIntoFlow(flow, target, actions) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'EXECUTE_FLOW',
+      data: {
+        actions,
+        startUrl: flow.startUrl,
+        speed: selectedSpeed,
+        failOnUnexpectedDialog: !!flow.failOnUnexpectedDialog,
+        recordInto: target
+      }
+    });
+
+    if (response?.success) {
+      alert(`⏺️ Gravando a partir do passo ${target.index + 1} na aba aberta. Pare a gravação pelo popup da extensão para salvar no fluxo.`);
+    } else {
+      const failedStep = response?.stepsExecuted !== undefined ? ` (passo ${response.stepsExecuted + 1})` : '';
+      alert('❌ Não foi possível chegar ao ponto de gravação' + failedStep + ': ' + (response?.error || 'Desconhecido'));
+    }
+  } catch (error) {
+    console.error('[Marionete Manager] Record into flow error:', error);
+    alert('❌ Erro ao iniciar a gravação');
+  }
+}
+
+// ============ EXPORT/IMPORT ============
+
+async function handleExport() {
+  if (!selectedFlow) return;
+  
+  const flow = flows[selectedFlow];
+
+  let screenshots = null;
+  if (ScreenshotStore.idsIn(flow.actions).length > 0 &&
+      confirm('Incluir as capturas de tela dos passos? O arquivo ficará maior.')) {
+    try {
+      screenshots = await ScreenshotStore.exportFor(flow.actions);
+    } catch (error) {
+      console.error('[Marionete Manager] Screenshot export error:', error);
+      alert('⚠️ Não foi possível incluir as capturas de tela');
+    }
+  }
+  
+  const exportData = FlowStore.exportFlow(flow, screenshots);
+  
+  const dataStr = JSON.stringify(exportData, null, 2);
+  const dataBlob = new Blob([dataStr], { type: 'application/json' });
+  
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${flow.name.replace(/[^a-z0-9]/gi, '_')}.json`;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+  
+  console.log('[Marionete] Exported flow:', flow.name);
+}
+
+async function handleImport(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  try {
+    const text = await file.text();
+    const importData = JSON.parse(text);
+    
+    // Validates, migrates older schemas and de-duplicates the name
+    const flow = await FlowStore.importFlow(importData);
+    flows[flow.id] = flow;
+
+    if (importData.screenshots) {
+      try {
+        await ScreenshotStore.importAll(importData.screenshots);
+      } catch (error) {
+        console.error('[Marionete Manager] Screenshot import error:', error);
+      }
+    }
+    
+    renderFlowList();
+    selectFlow(flow.id);
+    
+    alert(`✅ Fluxo importado: ${flow.name}`);
+    
+  } catch (error) {
+    console.error('[Marionete] Import error:', error);
+    alert('❌ Erro ao importar: ' + error.message);
+  } finally {
+    fileInput.value = '';
+  }
+}
+
+// ============ STANDARD FUNCTIONS ============
+
+async function handleDeleteStep(index) {
+  if (!selectedFlow) return;
+
+  const confirmed = confirm('Deseja remover este passo?');
+  if (!confirmed) return;
+
+  const flow = flows[selectedFlow];
+  flow.actions.splice(index, 1);
+  flow.actionCount = flow.actions.length;
+
+  await saveFlow(flow);
+  renderFlowDetails(flow);
+}
+
+async function handleToggleBreakpoint(index) {
+  if (!selectedFlow) return;
+
+  const flow = flows[selectedFlow];
+  const action = flow.actions[index];
+
+  if (action.breakpoint) {
+    delete action.breakpoint;
+  } else {
+    action.breakpoint = true;
+  }
+
+  await saveFlow(flow);
+  renderSteps(flow.actions);
+}
+
+function handleEditStep(index) {
+  if (!selectedFlow) return;
+
+  const flow = flows[selectedFlow];
+  const action = flow.actions[index];
+
+  if (action.type === 'assert') {
+    openAssertModal(index, true);
+    return;
+  }
+
+  if (action.type === 'scroll') {
+    const current = action.untilSelectors ? getPrimarySelector(action.untilSelectors) : '';
+    const selector = prompt('Continuar rolando até este seletor aparecer (vazio = elemento do próximo passo):', current);
+    if (selector !== null) {
+      if (selector.trim()) {
+        action.untilSelectors = { css: selector.trim() };
+      } else {
+        delete action.untilSelectors;
+      }
+      saveFlow(flow);
+      renderFlowDetails(flow);
+    }
+    return;
+  }
+
+  if (action.type === 'select' && !action.values) {
+    const newValue = prompt('Valor da opção (atributo value):', action.value);
+    if (newValue !== null) {
+      action.value = newValue;
+      // The recorded label no longer describes the option
+      delete action.label;
+      saveFlow(flow);
+      renderFlowDetails(flow);
+    }
+    return;
+  }
+
+  if (action.type === 'dialog') {
+    if (action.dialogType !== 'confirm' && action.dialogType !== 'prompt') {
+      alert('Este diálogo não tem resposta para editar');
+      return;
+    }
+
+    const accept = confirm(`${getDialogTypeLabel(action.dialogType)}: aceitar na execução?\n\nOK = Aceitar, Cancelar = Cancelar o diálogo`);
+
+    if (action.dialogType === 'prompt') {
+      if (accept && !action.isVariable) {
+        const text = prompt('Texto da resposta:', action.value ?? action.defaultValue ?? '');
+        if (text === null) return;
+        action.value = text;
+      } else if (!accept) {
+        delete action.value;
+        delete action.isVariable;
+        delete action.originalValue;
+        delete action.sensitive;
+      }
+    }
+
+    action.response = accept ? 'accept' : 'dismiss';
+    saveFlow(flow);
+    renderFlowDetails(flow);
+    return;
+  }
+
+  if (isTextAction(action)) {
+    const currentValue = action.isVariable ? action.originalValue : action.value;
+    const newValue = prompt('Novo valor:', currentValue);
+    if (newValue !== null) {
+      if (action.isVariable) {
+        action.originalValue = newValue;
+      } else {
+        action.value = newValue;
+      }
+      saveFlow(flow);
+      renderFlowDetails(flow);
+    }
+  } else {
+    alert('Edição disponível apenas para digitação, seleções, rolagens, verificações e diálogos no momento');
+  }
+}
+
+async function handleDelete() {
+  if (!selectedFlow) return;
+
+  const flow = flows[selectedFlow];
+  const confirmed = confirm(`Deseja apagar o fluxo "${flow.name}"?`);
+  
+  if (!confirmed) return;
+
+  try {
+    await FlowStore.remove(selectedFlow);
+    delete flows[selectedFlow];
+
+    // Imported copies of a flow share its screenshot IDs
+    const stillUsed = new Set(Object.values(flows).flatMap(f => ScreenshotStore.idsIn(f.actions)));
+    await ScreenshotStore.removeMany(ScreenshotStore.idsIn(flow.actions).filter(id => !stillUsed.has(id)));
+    
+    clearSelection();
+    renderFlowList();
+  } catch (error) {
+    console.error('[Marionete Manager] Delete error:', error);
+    alert('Erro ao apagar fluxo');
+  }
+}
+
+async function handleRename() {
+  if (!selectedFlow) return;
+
+  const flow = flows[selectedFlow];
+  const newName = prompt('Novo nome do fluxo:', flow.name);
+  if (!newName || !newName.trim() || newName.trim() === flow.name) return;
+
+  try {
+    flows[selectedFlow] = await FlowStore.rename(selectedFlow, newName.trim());
+    renderFlowList();
+    selectFlow(selectedFlow);
+  } catch (error) {
+    console.error('[Marionete Manager] Rename error:', error);
+    alert('Erro ao renomear fluxo');
+  }
+}
+
+function clearSelection() {
+  selectedFlow = null;
+
+  flowTitle.textContent = 'Selecione um fluxo';
+  btnDelete.disabled = true;
+  btnExecute.disabled = true;
+  btnExport.disabled = true;
+  btnRename.disabled = true;
+  speedSelector.classList.add('hidden');
+  flowDetails.classList.add('hidden');
+  emptyState.classList.remove('hidden');
+}
+
+function handleNewFlow() {
+  alert('Para criar um novo fluxo, use o botão de gravação na extensão enquanto navega em uma página.');
+}
+
+async function handleFailOnUnexpectedDialogChange() {
+  if (!selectedFlow) return;
+
+  const flow = flows[selectedFlow];
+  flow.failOnUnexpectedDialog = failOnUnexpectedDialog.checked;
+  await saveFlow(flow);
+}
+
+async function saveFlow(flow) {
+  const saved = await FlowStore.save(flow);
+  flows[flow.id] = saved;
+  return saved;
+}
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * @param {string} type
+ * @param {Object} action - Optional; keypress steps are labelled with their chord
+ */
+function getActionTypeLabel(type, action = {}) {
+  if (type === 'keypress' && action.key) {
+    return escapeHtml(`Tecla ${KeyChord.describe(action)}`);
+  }
+
+  const labels = {
+    click: 'Clique',
+    input: 'Digitação',
+    keypress: 'Tecla Pressionada',
+    upload: 'Upload',
+    drag: 'Arrastar e soltar',
+    hover: 'Passar o mouse',
+    dblclick: 'Clique duplo',
+    contextmenu: 'Menu de contexto',
+    scroll: 'Rolagem',
+    select: 'Seleção',
+    check: 'Marcar',
+    uncheck: 'Desmarcar',
+    contenteditable: 'Edição de texto',
+    navigation: 'Navegação',
+    switchTab: 'Trocar de aba',
+    closeTab: 'Fechar aba',
+    assert: 'Verificação',
+    wait: 'Espera'
+  };
+  if (type === 'dialog') {
+    return getDialogTypeLabel(action.dialogType);
+  }
+  return labels[type] || type;
+}
+
+function getAssertionKindLabel(kind) {
+  const labels = {
+    exists: 'Elemento existe',
+    not_exists: 'Elemento não existe',
+    text_equals: 'Texto igual a',
+    text_contains: 'Texto contém',
+    text_matches: 'Texto corresponde a',
+    value_equals: 'Valor igual a',
+    attribute_equals: 'Atributo igual a',
+    url_matches: 'URL corresponde a',
+    count_equals: 'Quantidade igual a'
+  };
+  return labels[kind] || escapeHtml(kind);
+}
+
+/**
+ * One line per assertion result, for the execution alert
+ */
+function formatAssertionSummary(assertions) {
+  if (!assertions || assertions.length === 0) return '';
+
+  const passed = assertions.filter(a => a.passed).length;
+  const lines = assertions.map(a => `${a.passed ? '✔' : '✘'} Passo ${a.step}: ${a.message}`);
+  return `\n\nVerificações: ${passed}/${assertions.length} aprovadas\n` + lines.join('\n');
+}
+
+function getNavigationTypeLabel(type) {
+  const labels = {
+    load: 'Carregamento de página',
+    push: 'SPA (pushState)',
+    replace: 'SPA (replaceState)',
+    hash: 'Âncora (#hash)',
+    back_forward: 'Voltar/Avançar'
+  };
+  return labels[type] || escapeHtml(type);
+}
+
+function getActionBadge(type) {
+  const badges = {
+    click: '👆',
+    input: '⌨️',
+    keypress: '↵',
+    upload: '📎',
+    drag: '✋',
+    hover: '🖱️',
+    dblclick: '👆👆',
+    contextmenu: '☰',
+    scroll: '↕️',
+    select: '🔽',
+    check: '☑️',
+    uncheck: '⬜',
+    contenteditable: '📝',
+    navigation: '🌐',
+    switchTab: '🗂️',
+    closeTab: '✖️',
+    assert: '✔️',
+    wait: '⏳',
+    dialog: '💬'
+  };
+  return badges[type] || '•';
+}
+
+function getDialogTypeLabel(dialogType) {
+  const labels = {
+    alert: 'Alerta',
+    confirm: 'Confirmação',
+    prompt: 'Pergunta (prompt)',
+    beforeunload: 'Sair da página?'
+  };
+  return labels[dialogType] || 'Diálogo';
+}
+
+/**
+ * What the dialog step answers. Only an accepted prompt carries text.
+ */
+function getDialogResponseLabel(action) {
+  if (action.dialogType === 'alert') return 'OK';
+  if (action.dialogType === 'beforeunload') {
+    return action.response === 'accept' ? 'Sair' : 'Ficar na página';
+  }
+  return action.response === 'accept' ? 'Aceitar' : 'Cancelar';
+}
+
+/**
+ * Steps that carry typed text (and so can become variables):
+ * typing, and the text answered to a prompt
+ * @param {Object} action
+ */
+function isTextAction(action) {
+  if (action.type === 'dialog') {
+    return action.dialogType === 'prompt' && action.response === 'accept';
+  }
+  return action.type === 'input' || action.type === 'contenteditable';
+}
+
+/**
+ * The selector shown for a step (and offered when reusing it): the best-scored
+ * of its CSS selectors, or ID > CSS > class for steps recorded before scoring
+ */
+function getPrimarySelector(selectors) {
+  if (!selectors) return null;
+
+  if (selectors.scores) {
+    const best = ['id', 'testId', 'name', 'css', 'className']
+      .filter(key => selectors[key] && selectors.scores[key] > 0)
+      .sort((a, b) => selectors.scores[b] - selectors.scores[a])[0];
+    if (best) return selectors[best];
+  }
+
+  return selectors.id || selectors.css || selectors.className || null;
+}
+
+function formatSelectorScores(scores) {
+  return 'Pontuação: ' + Object.entries(scores)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, score]) => `${key} ${score}`)
+    .join(', ');
+}
+
+function formatDuration(ms) {
+  if (!ms || ms < 0) return '0ms';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}m ${seconds}s`;
+}
+
+function formatFileSize(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Make removeVariable globally accessible
 window.removeVariable = removeVariable;
\ No newline at end of file